@@ -0,0 +1,34 @@
+// beleidsbank-api/api/admin/audit.js
+// Auditlog bekijken (rol viewer): wie heeft wanneer wat ge-ingest, verwijderd of beheerd.
+//
+// GET /api/admin/audit[?actor=naam&action=ingest.*&target=BWBR0005537&limit=50&offset=0]
+// action met * aan het eind zoekt op voorvoegsel (ingest.* = alle ingests).
+
+const { endpoint } = require("../../lib/http");
+const { getStore } = require("../../lib/store");
+
+module.exports = endpoint({
+  name: "admin/audit",
+  requires: ["store"],
+  GET: {
+    role: "viewer",
+    query: {
+      actor: { type: "string", maxLength: 80 },
+      action: { type: "string", maxLength: 80 },
+      target: { type: "string", maxLength: 200 },
+      limit: { type: "int", default: 50, range: [1, 200] },
+      offset: { type: "int", default: 0, range: [0, Infinity] }
+    }
+  }
+}, async (req, res, { query }) => {
+  const { actor, action, target, limit, offset } = query;
+  const entries = await getStore().listAudit({
+    actor: actor || undefined,
+    action: action || undefined,
+    target: target || undefined,
+    limit,
+    offset
+  });
+
+  return res.status(200).json({ ok: true, limit, offset, entries });
+});
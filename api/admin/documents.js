@@ -0,0 +1,58 @@
+// beleidsbank-api/api/admin/documents.js
+// Gegevens van één regeling bekijken en verwijderen (vervangt de oude /api/clear-awb).
+//
+// GET  /api/admin/documents?doc_id=BWBR0005537                  -> documents-rij en aantallen (rol viewer)
+// POST /api/admin/documents { action: "delete", doc_id, scope?: "chunks" | "document", dry_run?: true }
+//   (rol admin) scope chunks (standaard): chunks, hun verwijzingen en versies, zodat de regeling
+//   opnieuw ge-ingest kan worden; document: ook de documents-rij en aliassen.
+//   dry_run telt alleen wat verwijderd zou worden. Echte verwijderingen komen in het auditlog.
+
+const { audit } = require("../../lib/auth");
+const { endpoint, HttpError } = require("../../lib/http");
+const { getStore } = require("../../lib/store");
+
+const SCOPES = ["chunks", "document"];
+
+module.exports = endpoint({
+  name: "admin/documents",
+  requires: ["store"],
+  GET: {
+    role: "viewer",
+    query: {
+      doc_id: { type: "string", required: true, maxLength: 40 }
+    }
+  },
+  POST: {
+    role: "admin",
+    body: {
+      action: { type: "enum", required: true, values: ["delete"], message: "action moet delete zijn" },
+      doc_id: { type: "string", required: true, maxLength: 40 },
+      scope: { type: "enum", default: "chunks", values: SCOPES },
+      dry_run: { type: "bool", default: false }
+    }
+  }
+}, async (req, res, { method, actor, query, body }) => {
+  const store = getStore();
+
+  if (method === "GET") {
+    const docId = query.doc_id;
+    const document = await store.getDocument(docId);
+    const counts = await store.countDocumentData(docId, { scope: "document" });
+    if (!document && !counts.chunks) throw new HttpError(404, "document niet gevonden", { details: { doc_id: docId } });
+
+    const { embedding, ...doc } = document || {};
+    return res.status(200).json({ ok: true, doc_id: docId, document: document ? doc : null, counts });
+  }
+
+  const { doc_id: docId, scope, dry_run: dryRun } = body;
+
+  if (dryRun) {
+    const counts = await store.countDocumentData(docId, { scope });
+    return res.status(200).json({ ok: true, dry_run: true, doc_id: docId, scope, counts });
+  }
+
+  const deleted = await store.deleteDocumentData(docId, { scope });
+  await audit(actor, "document.delete", { target: docId, details: { scope, deleted } }, { store });
+
+  return res.status(200).json({ ok: true, dry_run: false, doc_id: docId, scope, deleted });
+});
@@ -0,0 +1,80 @@
+// beleidsbank-api/api/admin/keys.js
+// API-sleutels beheren (rol admin). Het token wordt alleen bij aanmaken teruggegeven.
+//
+// GET  /api/admin/keys                                   -> lijst (zonder tokens)
+// POST /api/admin/keys { action: "create", name, role, limits? }  -> { key: {...}, token }
+// POST /api/admin/keys { action: "revoke", id }
+// POST /api/admin/keys { action: "limits", id, limits }  -> eigen rate limits en dagbudget (null = standaard)
+//
+// Rollen: viewer, ingester, admin (zie lib/auth.js). De eerste sleutel maak je met ADMIN_TOKEN.
+// limits: { "chat": "120/60", "search": "1000/60", "daily_tokens": 2000000, "daily_cost": 5 }
+// (zie lib/rate-limit.js).
+
+const { ROLES, generateToken, hashToken, audit } = require("../../lib/auth");
+const { endpoint, invalidInput, HttpError } = require("../../lib/http");
+const { normalizeLimits } = require("../../lib/rate-limit");
+const { getStore } = require("../../lib/store");
+
+function limitsFrom(raw) {
+  const { limits, error } = normalizeLimits(raw);
+  if (error) throw invalidInput(error, "limits");
+  return limits;
+}
+
+module.exports = endpoint({
+  name: "admin/keys",
+  requires: ["store"],
+  GET: { role: "admin" },
+  POST: {
+    role: "admin",
+    body: {
+      action: { type: "enum", required: true, values: ["create", "revoke", "limits"], message: "action moet create, revoke of limits zijn" },
+      name: { type: "string", maxLength: 80, message: "name moet 2–80 tekens zijn" },
+      role: { type: "enum", values: ROLES },
+      id: { type: "int" },
+      limits: { type: "any" }
+    }
+  }
+}, async (req, res, { method, actor, body }) => {
+  const store = getStore();
+
+  if (method === "GET") {
+    return res.status(200).json({ ok: true, keys: await store.listApiKeys() });
+  }
+
+  if (body.action === "create") {
+    const name = (body.name || "").replace(/\s+/g, " ");
+    const { role } = body;
+    if (name.length < 2) throw invalidInput("name moet 2–80 tekens zijn", "name");
+    if (!role) throw invalidInput(`role moet een van ${ROLES.join(", ")} zijn`, "role");
+    const limits = limitsFrom(body.limits);
+
+    const token = generateToken();
+    const key = await store.insertApiKey({
+      name,
+      role,
+      key_hash: hashToken(token),
+      key_prefix: token.slice(0, 10),
+      limits,
+      created_by: actor.name
+    });
+    await audit(actor, "keys.create", { target: String(key?.id ?? ""), details: { name, role, limits } }, { store });
+    return res.status(200).json({ ok: true, key, token });
+  }
+
+  const { id } = body;
+  if (id == null) throw invalidInput("id ontbreekt", "id");
+
+  if (body.action === "limits") {
+    const limits = limitsFrom(body.limits);
+    const key = await store.updateApiKeyLimits(id, limits);
+    if (!key) throw new HttpError(404, "sleutel niet gevonden", { details: { id } });
+    await audit(actor, "keys.limits", { target: String(id), details: { limits } }, { store });
+    return res.status(200).json({ ok: true, key });
+  }
+
+  const revoked = await store.revokeApiKey(id);
+  if (!revoked) throw new HttpError(404, "sleutel niet gevonden of al ingetrokken", { details: { id } });
+  await audit(actor, "keys.revoke", { target: String(id) }, { store });
+  return res.status(200).json({ ok: true, id, revoked });
+});
@@ -0,0 +1,38 @@
+// beleidsbank-api/api/admin/usage.js
+// Dagverbruik per client bekijken (rol viewer): verzoeken, tokens en geraamde kosten (zie lib/rate-limit.js).
+//
+// GET /api/admin/usage[?day=2026-10-19&client=key:3&limit=100&offset=0]
+// client is ip:<adres> of key:<id>; met * aan het eind op voorvoegsel (key:* = alle sleutels).
+// Bij RATE_LIMIT_BACKEND=redis alleen per client (zonder *).
+
+const { todayIso } = require("../../lib/dates");
+const { endpoint, HttpError } = require("../../lib/http");
+const { getLimiterBackend, budgetFor } = require("../../lib/rate-limit");
+
+module.exports = endpoint({
+  name: "admin/usage",
+  requires: ["store"],
+  GET: {
+    role: "viewer",
+    query: {
+      day: { type: "date", default: todayIso },
+      client: { type: "string", maxLength: 200, pattern: /^(ip|key):\S+$/, message: "client moet ip:<adres> of key:<id> zijn" },
+      limit: { type: "int", default: 100, range: [1, 500] },
+      offset: { type: "int", default: 0, range: [0, Infinity] }
+    }
+  }
+}, async (req, res, { query }) => {
+  const backend = getLimiterBackend();
+  if (!backend) throw new HttpError(503, "rate limiting staat uit (RATE_LIMIT_BACKEND=off)");
+
+  const { day, client, limit, offset } = query;
+  if (client && !client.endsWith("*")) {
+    const usage = await backend.getUsage(client, day);
+    // Budget van een sleutel hangt af van api_keys.limits; hier alleen de standaard per soort
+    const budget = budgetFor({ kind: client.startsWith("key:") ? "key" : "ip", limits: null });
+    return res.status(200).json({ ok: true, day, usage, default_budget: budget });
+  }
+
+  const rows = await backend.listUsage({ day, client: client || undefined, limit, offset });
+  return res.status(200).json({ ok: true, day, limit, offset, usage: rows });
+});
@@ -0,0 +1,94 @@
+// beleidsbank-api/api/article-diff.js
+// GET /api/article-diff?doc_id=BWBR0005537&article=3:40&from=2023-01-01[&to=2024-01-01][&label=…]
+// Woord-diff van een artikel tussen de versies die op `from` en `to` (standaard vandaag) golden,
+// plus de data waarop het artikel daartussen is gewijzigd.
+// Staat het nummer op meerdere plekken (bijv. ook in een bijlage), dan 409 met de keuzes; kies dan
+// met `label` (het label van een van de keuzes of van een zoekresultaat).
+
+const { todayIso, isValidOn } = require("../lib/dates");
+const { cleanLegalText } = require("../lib/legal-text");
+const { diffWords } = require("../lib/diff");
+const { endpoint, invalidInput, HttpError } = require("../lib/http");
+const { getStore } = require("../lib/store");
+
+module.exports = endpoint({
+  name: "article-diff",
+  requires: ["store"],
+  GET: {
+    query: {
+      doc_id: { type: "string", required: true, maxLength: 40 },
+      article: { type: "string", required: true, maxLength: 40, from: ["artikel"] },
+      from: { type: "date", required: true, message: "from moet yyyy-mm-dd zijn" },
+      to: { type: "date", default: todayIso },
+      label: { type: "string", maxLength: 300 }
+    }
+  }
+}, async (req, res, { query }) => {
+  const store = getStore();
+  const { doc_id: docId, article, from, to } = query;
+  if (from > to) throw invalidInput("from moet voor to liggen", "from");
+
+  const all = await store.listChunkVersions({ doc_id: docId, article_nr: article });
+  if (!all.length) throw new HttpError(404, "artikel niet gevonden", { details: { doc_id: docId, article } });
+
+  // Versies per plek in de regeling (unit_key, zie lib/ingest/slice.js); nooit twee plekken mengen
+  const keyOf = v => v.unit_key || v.label;
+  let keys = [...new Set(all.map(keyOf))];
+  if (query.label) {
+    keys = [...new Set(all.filter(v => v.label === query.label).map(keyOf))];
+    if (!keys.length) {
+      throw new HttpError(404, "artikel met dit label niet gevonden", { details: { doc_id: docId, article, label: query.label } });
+    }
+  }
+  if (keys.length > 1) {
+    const choices = keys.map(k => {
+      const latest = all.filter(v => keyOf(v) === k).pop();
+      return { label: latest.label, path_label: latest.path_label || null };
+    });
+    throw new HttpError(409, `artikel ${article} staat op meerdere plekken; kies met label`, {
+      details: { doc_id: docId, article, choices }
+    });
+  }
+  const versions = all.filter(v => keyOf(v) === keys[0]);
+
+  const oldVersion = versions.find(v => isValidOn(v, from)) || null;
+  const newVersion = versions.find(v => isValidOn(v, to)) || null;
+
+  if (!oldVersion && !newVersion) {
+    throw new HttpError(404, "geen versie geldig op from of to", { details: { doc_id: docId, article, from, to } });
+  }
+
+  const oldText = cleanLegalText(oldVersion?.text || "");
+  const newText = cleanLegalText(newVersion?.text || "");
+
+  // Wijzigingsdata: versies die na `from` en uiterlijk op `to` ingingen met andere tekst dan hun voorganger
+  const amendments = [];
+  let prevText = null;
+  for (const v of versions) {
+    const txt = cleanLegalText(v.text || "");
+    if (v.valid_from > from && v.valid_from <= to && prevText !== null && txt !== prevText) {
+      amendments.push({ date: v.valid_from, id: v.id, source_url: v.source_url });
+    }
+    prevText = txt;
+  }
+
+  const { ops, stats } = diffWords(oldText, newText);
+
+  const describe = v => v
+    ? { id: v.id, label: v.label, valid_from: v.valid_from, valid_to: v.valid_to, source_url: v.source_url }
+    : null;
+
+  return res.status(200).json({
+    ok: true,
+    doc_id: docId,
+    article,
+    from,
+    to,
+    changed: oldText !== newText,
+    from_version: describe(oldVersion),
+    to_version: describe(newVersion),
+    amendments,
+    stats,
+    diff: ops
+  });
+});
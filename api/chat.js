@@ -1,8 +1,11 @@
-const ALLOW_ORIGIN = "https://app.beleidsbank.nl";
-
-function safeJsonParse(s) {
-  try { return JSON.parse(s); } catch { return null; }
-}
+const { answerCacheEnabled, lookupAnswer, storeAnswer } = require("../lib/answer-cache");
+const { conversationOwner, getConversation, conversationHistory, recordTurn, UUID_RE } = require("../lib/conversations");
+const { todayIso } = require("../lib/dates");
+const { endpoint, invalidInput, errorBody } = require("../lib/http");
+const { cleanLegalText, pickHighlight } = require("../lib/legal-text");
+const { referencedArticles, relatedCaseLaw } = require("../lib/references");
+const { search, parseChoice } = require("../lib/search");
+const { verifyAnswer, splitSentences, verifyModeName } = require("../lib/verify");
 
 function stripModelLeakage(text) {
   return (text || "")
@@ -12,176 +15,286 @@ function stripModelLeakage(text) {
     .trim();
 }
 
-function cleanLegalText(text) {
-  return (text || "")
-    .replace(/Toon relaties in LiDO/gi, "")
-    .replace(/Maak een permanente link/gi, "")
-    .replace(/Toon wetstechnische informatie/gi, "")
-    .replace(/Druk het regelingonderdeel af/gi, "")
-    .replace(/Sla het regelingonderdeel op/gi, "")
-    .replace(/Geen andere versie om mee te vergelijken/gi, "")
-    .replace(/^\s*\.\.\.\s*$/gmi, "")
-    .replace(/[ \t]+\n/g, "\n")
-    .replace(/\n[ \t]+/g, "\n")
-    .replace(/[ \t]{2,}/g, " ")
-    .replace(/\n{3,}/g, "\n\n")
-    .replace(/\n([a-z])\.\n/g, "\n$1. ")
-    .replace(/\n([0-9]+°?)\.\n/g, "\n$1. ")
-    .trim();
-}
-
-function pickHighlight(text) {
-  const raw = cleanLegalText(text || "");
-  if (!raw) return "";
+const REWRITE_SYSTEM = `
+Je zet een gebruikersvraag plus korte chatgeschiedenis om naar één korte juridische zoekquery.
+Regels:
+1. Geef alleen de zoekquery terug, geen uitleg.
+2. Als de gebruiker alleen een wetnaam antwoordt op een eerdere artikelvraag, combineer die context.
+3. Voorbeelden:
+- "Artikel 3:40" + "Awb" -> "artikel 3:40 awb"
+- "Wat is een besluit?" -> "besluit"
+- "Wanneer treedt een besluit in werking?" -> "besluit in werking bekendgemaakt"
+`.trim();
 
-  const lines = raw
-    .split("\n")
-    .map(s => s.replace(/\s+/g, " ").trim())
-    .filter(Boolean);
+// "geldig vanaf 2024-01-01" / "geldig 2022-01-01 t/m 2023-06-30"
+function versionText(r) {
+  if (!r?.valid_from || r.valid_from <= "1900-01-01") return "";
+  if (!r.valid_to) return `geldig vanaf ${r.valid_from}`;
+  const end = new Date(`${r.valid_to}T00:00:00Z`);
+  end.setUTCDate(end.getUTCDate() - 1);
+  return `geldig ${r.valid_from} t/m ${end.toISOString().slice(0, 10)}`;
+}
 
-  const preferred = lines.find(l =>
-    l.toLowerCase().includes("wordt verstaan") ||
-    l.toLowerCase().includes("schriftelijke beslissing")
-  );
+// Ids van opgehaalde chunks (uitspraken hebben een ECLI als id)
+function chunkIds(results) {
+  return results.filter(r => r.source_type !== "rechtspraak" && r.id != null).map(r => r.id);
+}
 
-  return (preferred || lines[0] || raw).slice(0, 220);
+function toSource(r, n, highlightText) {
+  const version = versionText(r);
+  return {
+    n,
+    id: r.id,
+    type: r.source_type === "rechtspraak" ? "rechtspraak" : "wetgeving",
+    ...(r.ecli ? { ecli: r.ecli } : {}),
+    title: version ? `${r.label} (${version})` : r.label,
+    link: r.source_url,
+    highlight: pickHighlight(highlightText),
+    valid_from: r.valid_from || null,
+    valid_to: r.valid_to || null
+  };
 }
 
-module.exports = async (req, res) => {
-  const origin = (req.headers.origin || "").toString();
+// Server-Sent Events: stage-events tijdens het beantwoorden (opt-in via stream:true
+// of Accept: text/event-stream). Volgorde: rewrite -> sources -> token* -> done (of error).
+function wantsStream(req, body) {
+  const accept = (req.headers.accept || "").toString();
+  return body.stream === true || accept.includes("text/event-stream");
+}
 
-  res.setHeader(
-    "Access-Control-Allow-Origin",
-    origin === ALLOW_ORIGIN ? origin : ALLOW_ORIGIN
-  );
-  res.setHeader("Vary", "Origin");
-  res.setHeader("Access-Control-Allow-Methods", "POST, OPTIONS");
-  res.setHeader("Access-Control-Allow-Headers", "Content-Type");
+function createEventStream(res) {
+  res.statusCode = 200;
+  res.setHeader("Content-Type", "text/event-stream; charset=utf-8");
+  res.setHeader("Cache-Control", "no-cache, no-transform");
+  res.setHeader("Connection", "keep-alive");
+  res.setHeader("X-Accel-Buffering", "no");
+  if (typeof res.flushHeaders === "function") res.flushHeaders();
+
+  return {
+    send(event, data) {
+      res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+    },
+    end() {
+      res.end();
+    }
+  };
+}
 
-  if (req.method === "OPTIONS") return res.status(200).end();
-  if (req.method !== "POST") {
-    return res.status(405).json({ error: "Only POST allowed" });
+module.exports = endpoint({
+  name: "chat",
+  requires: ["store", "llm"],
+  // Rate limit en dagbudget per IP of sleutel (zie lib/rate-limit.js); ctx.llm telt de tokens
+  limit: "chat",
+  budget: true,
+  POST: {
+    body: {
+      message: { type: "string", maxLength: 4000 },
+      // Vervolg op een bestaand gesprek; de geschiedenis komt uit de database (history wordt niet gelezen)
+      conversation_id: { type: "string", lower: true, pattern: UUID_RE, message: "conversation_id moet een uuid zijn" },
+      choice: { type: "object" },
+      peildatum: { type: "date", default: todayIso },
+      // Landelijke regels plus de decentrale regelingen van deze overheid(en): "Amsterdam", "gm0363" of een lijst
+      authority: { type: "list", default: [], maxLength: 120 },
+      stream: { type: "bool" }
+    }
   }
+}, async (req, res, { body, requestId, client, llm }) => {
+  let stream = null;
 
   try {
-    const OPENAI_KEY = process.env.OPENAI_API_KEY;
-    if (!OPENAI_KEY) {
-      return res.status(500).json({ error: "Missing OPENAI_API_KEY" });
-    }
+    const rawQuestion = body.message || "";
+    const { peildatum } = body;
+    const authorities = body.authority;
+
+    // Gekozen verduidelijkingsoptie (zie stap 3); dan mag message leeg zijn
+    const choice = parseChoice(body.choice);
+
+    if (!rawQuestion && !choice) throw invalidInput("message ontbreekt", "message");
+
+    // Gesprek (lib/conversations.js): onbekend of van een ander is 404, nog voor de stream begint
+    const owner = await conversationOwner(req, client);
+    const conversation = body.conversation_id ? await getConversation(body.conversation_id, owner) : null;
+    const history = conversation ? await conversationHistory(conversation.id) : [];
+
+    // Wat deze beurt in het gesprek vastlegt, aangevuld tijdens het beantwoorden
+    const turn = {
+      question: rawQuestion || `artikel ${choice.article} (${choice.doc_id})`,
+      rewritten_query: null,
+      chunk_ids: [],
+      peildatum
+    };
+
+    // Antwoordcache (lib/answer-cache.js); niet bij een gekozen verduidelijkingsoptie
+    const useCache = !choice && answerCacheEnabled();
+
+    // Zonder stream: één JSON-antwoord zoals altijd. Met stream: events + afsluitend "done".
+    stream = wantsStream(req, body) ? createEventStream(res) : null;
+    const emit = (event, data) => { if (stream) stream.send(event, data); };
+    const finish = async payload => {
+      if (useCache && !payload.cache) payload = { ...payload, cache: { hit: false } };
+
+      // Beurt opslaan vóór het antwoord; mislukt dat, dan komt het antwoord er toch
+      const saved = await recordTurn(conversation, owner, {
+        ...turn,
+        sources: payload.sources,
+        answer: payload.answer,
+        cache_hit: !!payload.cache?.hit
+      }).catch(e => {
+        console.error(`[chat] ${requestId} gesprek niet opgeslagen`, e);
+        return null;
+      });
+      const conversationId = saved?.conversation.id || conversation?.id || null;
+      payload = { ...payload, conversation_id: conversationId, turn_id: saved?.turn?.id ?? null };
 
-    const body =
-      typeof req.body === "string"
-        ? safeJsonParse(req.body) || {}
-        : (req.body || {});
+      if (!stream) return res.status(200).json(payload);
+      stream.send("done", payload);
+      return stream.end();
+    };
 
-    const rawQuestion = (body.message || "").toString().trim();
-    const history = Array.isArray(body.history) ? body.history : [];
+    // 1) AI maakt context-aware zoekquery. Koos de gebruiker een verduidelijkingsoptie (body.choice),
+    //    dan gaat die direct naar het artikel, zonder rewrite.
+    let searchQuery = rawQuestion;
 
-    if (!rawQuestion) {
-      return res.status(400).json({ error: "Missing message" });
-    }
-
-    // Alleen veilige history doorlaten
-    const safeHistory = history
-      .filter(m => m && (m.role === "user" || m.role === "assistant") && typeof m.content === "string")
-      .slice(-12)
-      .map(m => ({
-        role: m.role,
-        content: String(m.content).slice(0, 1200)
-      }));
-
-    // 1) AI maakt context-aware zoekquery
-    const rewriteSystem = `
-Je zet een gebruikersvraag plus korte chatgeschiedenis om naar één korte juridische zoekquery.
-Regels:
-1. Geef alleen de zoekquery terug, geen uitleg.
-2. Als de gebruiker alleen een wetnaam antwoordt op een eerdere artikelvraag, combineer die context.
-3. Voorbeelden:
-- "Artikel 3:40" + "Awb" -> "artikel 3:40 awb"
-- "Wat is een besluit?" -> "besluit"
-- "Wanneer treedt een besluit in werking?" -> "besluit in werking bekendgemaakt"
-`.trim();
-
-    const rewriteMessages = [
-      { role: "system", content: rewriteSystem },
-      ...safeHistory,
-      { role: "user", content: rawQuestion }
-    ];
-
-    const rewriteResp = await fetch("https://api.openai.com/v1/chat/completions", {
-      method: "POST",
-      headers: {
-        "Content-Type": "application/json",
-        Authorization: `Bearer ${OPENAI_KEY}`
-      },
-      body: JSON.stringify({
-        model: "gpt-4o-mini",
+    if (!choice) {
+      const rewrite = await llm.chat({
         temperature: 0,
         max_tokens: 40,
-        messages: rewriteMessages
-      })
-    });
-
-    const rewriteText = await rewriteResp.text();
-    const rewriteJson = safeJsonParse(rewriteText);
-    const searchQuery =
-      rewriteJson?.choices?.[0]?.message?.content?.trim() || rawQuestion;
+        messages: [
+          { role: "system", content: REWRITE_SYSTEM },
+          ...history,
+          { role: "user", content: rawQuestion }
+        ]
+      });
 
-    // 2) Search
-    const searchResp = await fetch(
-      `https://beleidsbank-api.vercel.app/api/search?q=` + encodeURIComponent(searchQuery),
-      { method: "GET" }
-    );
+      searchQuery = rewrite.content.trim() || rawQuestion;
+      turn.rewritten_query = searchQuery;
+      emit("rewrite", { query: searchQuery });
+    }
 
-    const searchText = await searchResp.text();
-    const searchJson = safeJsonParse(searchText);
+    // 1b) Antwoordcache: een eerder antwoord op een (bijna) gelijke zoekquery, als de geciteerde
+    //     artikelen sindsdien niet veranderd zijn. De embedding gaat daarna mee naar de zoekstap.
+    const cacheKey = useCache
+      ? { embedding: await llm.embedOne(searchQuery.toLowerCase()).catch(() => null), peildatum, authorities, model: llm.chatModel }
+      : null;
+    if (cacheKey?.embedding) {
+      const hit = await lookupAnswer(cacheKey).catch(() => null);
+      if (hit) {
+        turn.chunk_ids = hit.payload.sources.filter(s => s.type === "wetgeving").map(s => s.id);
+        emit("sources", { peildatum, sources: hit.payload.sources });
+        emit("token", { text: hit.payload.answer });
+        return finish({
+          ...hit.payload,
+          peildatum,
+          cache: { hit: true, similarity: hit.similarity, created_at: hit.created_at }
+        });
+      }
+    }
 
-    if (!searchResp.ok || !searchJson?.ok) {
-      return res.status(200).json({
+    // 2) Search (in-process, zelfde logica als /api/search; met RERANK_PROVIDER gererankt op de
+    //    oorspronkelijke vraag, passages onder de cutoff vallen dan al weg)
+    let searchJson = null;
+    try {
+      searchJson = await search({
+        q: searchQuery.toLowerCase(),
+        peildatum,
+        rerankQuery: rawQuestion,
+        choice,
+        filters: { authorities },
+        embedding: cacheKey?.embedding || undefined
+      }, { llm });
+    } catch {}
+
+    if (!searchJson?.ok) {
+      return finish({
         answer: "Zoeken naar bronnen is mislukt.",
+        peildatum,
         sources: []
       });
     }
 
-    // 3) Ambigue artikelvraag -> doorvragen
+    // 3) Ambigue artikelvraag -> doorvragen, met keuzes die de frontend als knoppen kan tonen.
+    //    Een keuze gaat als body.choice terug (optioneel met message = de titel van de optie).
     if (searchJson?.ambiguous && searchJson?.question) {
-      return res.status(200).json({
+      return finish({
         answer: searchJson.question,
-        sources: []
+        peildatum,
+        sources: [],
+        clarification: {
+          kind: searchJson.ambiguity,
+          question: searchJson.question,
+          options: searchJson.options || []
+        }
       });
     }
 
-    const results = (searchJson.results || []).slice(0, 12);
-
-    if (!results.length) {
-      return res.status(200).json({
-        answer: "Ik heb nog geen relevante wetgeving in de database gevonden.",
+    const found = (searchJson.results || []).slice(0, 12);
+    turn.chunk_ids = chunkIds(found);
+
+    if (!found.length) {
+      // Artikelvraag over een wet die niet in de database staat (zie unknown_laws in lib/search)
+      const unknown = searchJson.unknown_laws || [];
+      return finish({
+        answer: unknown.length
+          ? `De ${unknown.join(" en de ")} staat (nog) niet in de database.`
+          : "Ik heb nog geen relevante wetgeving in de database gevonden.",
+        peildatum,
         sources: []
       });
     }
 
-    // 4) Artikelvraag: direct artikel tonen, geen AI samenvatting
-    if (/artikel\s+[0-9]/i.test(searchQuery)) {
-      const r = results[0];
-      const cleaned = cleanLegalText(r.text || "");
-
-      return res.status(200).json({
-        answer: cleaned,
-        sources: [{
-          n: 1,
-          id: r.id,
-          title: r.label,
-          link: r.source_url,
-          highlight: pickHighlight(cleaned)
-        }]
+    // 4) Artikelvraag: direct de geciteerde bepaling(en) tonen, geen AI samenvatting
+    if (searchJson.citations?.length) {
+      const cited = found.slice(0, 5);
+      const answer = cited
+        .map(r => {
+          const c = r.citation || {};
+          const where = [c.lid ? `lid ${c.lid}` : "", c.onderdeel ? `onderdeel ${c.onderdeel}` : ""].filter(Boolean).join(", ");
+          return r.provision
+            ? `${r.label}${where ? `, ${where}` : ""}\n${cleanLegalText(r.provision)}`
+            : cleanLegalText(r.text || "");
+        })
+        .join("\n\n");
+
+      return finish({
+        answer,
+        peildatum: searchJson.peildatum || peildatum,
+        sources: cited.map((r, i) => toSource(r, i + 1, r.provision || r.text || ""))
       });
     }
 
-    // 5) Context opbouwen
+    // 5) Artikelen waarnaar de beste resultaten verwijzen meenemen (CHAT_EXPAND_REFERENCES=0 om uit te zetten)
+    let referenced = [];
+    if (process.env.CHAT_EXPAND_REFERENCES !== "0") {
+      referenced = await referencedArticles(found, { peildatum }).catch(() => []);
+    }
+    // Uitspraken bij de gevonden artikelen, als aparte bronsoort (CHAT_CASE_LAW=0 om uit te zetten)
+    let caseLaw = [];
+    if (process.env.CHAT_CASE_LAW !== "0") {
+      caseLaw = await relatedCaseLaw(found).catch(() => []);
+    }
+    const results = [...found, ...referenced, ...caseLaw];
+    turn.chunk_ids = chunkIds(results);
+
+    emit("sources", {
+      peildatum,
+      sources: results.map((r, i) => toSource(r, i + 1, r.text || ""))
+    });
+
+    // 6) Context opbouwen (volledige tekst; excerpt is alleen een zoekfragment).
+    //    Dezelfde passages gebruikt de verificatie na het antwoord.
+    const passages = results.map(r => cleanLegalText((r.text || "").slice(0, 700)));
     const context = results
       .map((r, i) => {
-        const txt = cleanLegalText((r.excerpt || r.text || "").slice(0, 700));
-        return `[${i + 1}] ${txt}`;
+        const txt = passages[i];
+        const version = versionText(r);
+        const from = r.referenced_by != null ? results.findIndex(x => x.id === r.referenced_by) + 1 : 0;
+        const about = r.case_law_for != null ? results.findIndex(x => x.id === r.case_law_for) + 1 : 0;
+        const notes = [
+          version,
+          from ? `verwezen vanuit [${from}]` : "",
+          r.source_type === "rechtspraak" ? (about ? `rechtspraak over [${about}]` : "rechtspraak") : ""
+        ].filter(Boolean).join("; ");
+        return `[${i + 1}] ${r.label}${notes ? ` (${notes})` : ""}\n${txt}`;
       })
       .join("\n\n");
 
@@ -194,74 +307,74 @@ Regels:
 3. Elke inhoudelijke zin eindigt met een bronverwijzing zoals [1].
 4. Als het antwoord niet direct uit de passages volgt, zeg exact:
 "Dit staat niet in de beschikbare wetstekst."
-5. Voeg geen eigen interpretatie toe.
+5. Voeg geen eigen interpretatie toe. Zinnen die niet door de geciteerde passage worden gedragen, worden verwijderd.
 6. Antwoord compact en juridisch.
+7. Staat bij een bron een geldigheid (bijv. "geldig vanaf 2024-01-01"), noem dan welke versie je gebruikt.
+8. Een bron met "verwezen vanuit [n]" is een artikel waarnaar bron [n] verwijst; gebruik die om de verwijzing uit te leggen.
+9. Een bron met "rechtspraak" is een uitspraak, geen wetstekst. Noem hem als uitspraak (instantie en ECLI) en presenteer hem niet als regel uit de wet.
 `.trim();
 
-    // 6) AI antwoord
-    const aiResp = await fetch("https://api.openai.com/v1/chat/completions", {
-      method: "POST",
-      headers: {
-        "Content-Type": "application/json",
-        Authorization: `Bearer ${OPENAI_KEY}`
-      },
-      body: JSON.stringify({
-        model: "gpt-4o-mini",
-        temperature: 0.1,
-        max_tokens: 450,
-        messages: [
-          { role: "system", content: answerSystem },
-          {
-            role: "user",
-            content: `Vraag: ${rawQuestion}\n\nZoekquery: ${searchQuery}\n\nBronpassages:\n${context}`
-          }
-        ]
-      })
-    });
-
-    const aiText = await aiResp.text();
-    const aiJson = safeJsonParse(aiText);
-
-    // 7) Fallback als OpenAI faalt
-    if (!aiResp.ok || !aiJson?.choices?.[0]?.message?.content) {
-      const fallback = pickHighlight(results[0].excerpt || results[0].text || "");
-      return res.status(200).json({
-        answer: fallback ? `${fallback} [1]` : "Dit staat niet in de beschikbare wetstekst.",
-        sources: [{
-          n: 1,
-          id: results[0].id,
-          title: results[0].label,
-          link: results[0].source_url,
-          highlight: pickHighlight(results[0].excerpt || results[0].text || "")
-        }]
+    // 7) AI antwoord. Met stream gaan de tokens alleen direct door als er geen bronverificatie is;
+    //    anders wacht de stream op de controle (stap 9) en komen alleen de goedgekeurde zinnen.
+    const liveTokens = !!stream && verifyModeName() === "off";
+    const answerOpts = {
+      temperature: 0.1,
+      max_tokens: 450,
+      messages: [
+        { role: "system", content: answerSystem },
+        {
+          role: "user",
+          content: `Vraag: ${rawQuestion}\n\nPeildatum: ${peildatum}\n\nZoekquery: ${searchQuery}\n\nBronpassages:\n${context}`
+        }
+      ]
+    };
+
+    const ai = liveTokens
+      ? await llm.chatStream(answerOpts, text => emit("token", { text }))
+      : await llm.chat(answerOpts);
+
+    // 8) Fallback als de LLM faalt
+    if (!ai.ok) {
+      const fallback = pickHighlight(results[0].text || "");
+      const answer = fallback ? `${fallback} [1]` : "Dit staat niet in de beschikbare wetstekst.";
+      if (!liveTokens) emit("token", { text: answer });
+      return finish({
+        answer,
+        peildatum,
+        sources: [toSource(results[0], 1, results[0].text || "")]
       });
     }
 
-    let answer = stripModelLeakage(aiJson.choices[0].message.content || "");
-
-    if (!/\[\d+\]/.test(answer)) {
-      answer = answer + " [1]";
+    // 9) Per zin controleren of de geciteerde passage de zin draagt (zie lib/verify: CHAT_VERIFY,
+    //    CHAT_VERIFY_ACTION). Zinnen zonder bron of steun worden weggelaten of gemarkeerd.
+    //    Met stream daarna per zin een token-event met het gecontroleerde antwoord.
+    const { answer, ...verification } = await verifyAnswer(stripModelLeakage(ai.content), passages, { llm });
+    if (!liveTokens) {
+      splitSentences(answer).forEach((s, i) => emit("token", { text: (i === 0 ? "" : s.newline ? "\n" : " ") + s.text }));
     }
 
-    // 8) Alleen gebruikte bronnen tonen
+    // 10) Alleen gebruikte bronnen tonen
     const used = [...answer.matchAll(/\[(\d+)\]/g)].map(m => parseInt(m[1], 10));
     const filtered = results.filter((r, i) => used.includes(i + 1));
-
-    return res.status(200).json({
+    const payload = {
       answer,
-      sources: (filtered.length ? filtered : results.slice(0, 3)).map((r, i) => ({
-        n: i + 1,
-        id: r.id,
-        title: r.label,
-        link: r.source_url,
-        highlight: pickHighlight(r.excerpt || r.text || "")
-      }))
-    });
+      sources: (filtered.length ? filtered : results.slice(0, 3)).map((r, i) =>
+        toSource(r, i + 1, r.text || "")
+      ),
+      verification
+    };
+
+    // 11) In de cache, alleen met geciteerde bronnen (een "staat er niet in" kan na een ingest veranderen)
+    if (cacheKey?.embedding && filtered.length) {
+      await storeAnswer({ ...cacheKey, query: searchQuery, payload, results: filtered }).catch(() => {});
+    }
+
+    return finish({ ...payload, peildatum });
 
   } catch (e) {
-    return res.status(500).json({
-      error: "chat crashed",
-      details: String(e?.message || e)
-    });
+    // Na de start van de stream kan alleen nog een error-event (zelfde vorm als andere fouten)
+    if (!stream) throw e;
+    stream.send("error", errorBody(e, requestId));
+    return stream.end();
   }
-};
+});
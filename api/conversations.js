@@ -0,0 +1,67 @@
+// beleidsbank-api/api/conversations.js
+// Gesprekken van chat bekijken en beheren (zie lib/conversations.js).
+//
+// GET  /api/conversations[?limit=50&offset=0]        -> gesprekken van deze API-sleutel, laatst bijgewerkt eerst
+// GET  /api/conversations?id=<uuid>                  -> gesprek met alle beurten
+// POST /api/conversations { action: "rename", id, title }
+// POST /api/conversations { action: "delete", id }
+//
+// De lijst vraagt een API-sleutel (anonieme gesprekken hebben geen eigenaar). Een gesprek ophalen,
+// hernoemen of verwijderen kan met de uuid, en bij een gesprek van een sleutel alleen met die sleutel.
+
+const { endpoint, HttpError, invalidInput } = require("../lib/http");
+const { conversationOwner, getConversation, UUID_RE } = require("../lib/conversations");
+const { getStore } = require("../lib/store");
+
+const ID = { type: "string", lower: true, pattern: UUID_RE, message: "id moet een uuid zijn" };
+
+module.exports = endpoint({
+  name: "conversations",
+  requires: ["store"],
+  GET: {
+    query: {
+      id: ID,
+      limit: { type: "int", default: 50, range: [1, 200] },
+      offset: { type: "int", default: 0, range: [0, Infinity] }
+    }
+  },
+  POST: {
+    body: {
+      action: { type: "enum", required: true, values: ["rename", "delete"], message: "action moet rename of delete zijn" },
+      id: { ...ID, required: true, message: "id ontbreekt of is geen uuid" },
+      title: { type: "string", maxLength: 120 }
+    }
+  }
+}, async (req, res, { method, client, query, body }) => {
+  const store = getStore();
+  const owner = await conversationOwner(req, client);
+
+  if (method === "GET") {
+    if (query.id) {
+      const conversation = await getConversation(query.id, owner, { store });
+      const turns = await store.listConversationTurns(conversation.id);
+      return res.status(200).json({ ok: true, conversation, turns });
+    }
+
+    if (!owner) {
+      throw new HttpError(401, "gesprekken opsommen kan alleen met een API-sleutel", {
+        details: { hint: "haal een anoniem gesprek op met ?id=<uuid>" }
+      });
+    }
+    const { limit, offset } = query;
+    const conversations = await store.listConversations({ owner, limit, offset });
+    return res.status(200).json({ ok: true, limit, offset, conversations });
+  }
+
+  const conversation = await getConversation(body.id, owner, { store });
+
+  if (body.action === "rename") {
+    const title = (body.title || "").replace(/\s+/g, " ");
+    if (!title) throw invalidInput("title ontbreekt", "title");
+    const updated = await store.updateConversation(conversation.id, { title, updated_at: new Date().toISOString() });
+    return res.status(200).json({ ok: true, conversation: updated });
+  }
+
+  const deleted = await store.deleteConversation(conversation.id);
+  return res.status(200).json({ ok: true, id: conversation.id, deleted });
+});
@@ -1,54 +1,30 @@
-module.exports = async (req, res) => {
-  try {
-    const SUPABASE_URL = process.env.SUPABASE_URL;
-    const SERVICE_KEY = process.env.SUPABASE_SERVICE_ROLE_KEY;
-    const OPENAI_KEY = process.env.OPENAI_API_KEY;
+const { audit } = require("../lib/auth");
+const { endpoint } = require("../lib/http");
+const { getLlm } = require("../lib/llm");
+const { getStore } = require("../lib/store");
 
-    // Pak max 200 documenten zonder embedding
-    const docsResp = await fetch(
-      `${SUPABASE_URL}/rest/v1/documents?select=id,title&embedding=is.null&limit=200`,
-      {
-        headers: {
-          apikey: SERVICE_KEY,
-          Authorization: `Bearer ${SERVICE_KEY}`
-        }
-      }
-    );
+module.exports = endpoint({
+  name: "embed-documents-batch",
+  requires: ["store", "llm"],
+  GET: { role: "ingester" },
+  POST: { role: "ingester" }
+}, async (req, res, { actor }) => {
+  const store = getStore();
+  const llm = getLlm();
 
-    const docs = await docsResp.json();
-    if (!docs.length) {
-      return res.json({ done: true });
-    }
+  // Pak max 200 documenten zonder embedding
+  const docs = await store.documentsWithoutEmbedding(200);
+  if (!docs.length) {
+    return res.json({ done: true });
+  }
 
-    for (const doc of docs) {
-      const embResp = await fetch("https://api.openai.com/v1/embeddings", {
-        method: "POST",
-        headers: {
-          "Content-Type": "application/json",
-          Authorization: `Bearer ${OPENAI_KEY}`
-        },
-        body: JSON.stringify({
-          model: "text-embedding-3-small",
-          input: doc.title
-        })
-      });
+  for (const doc of docs) {
+    const embedding = await llm.embedOne(doc.title);
 
-      const embJson = await embResp.json();
-      const embedding = embJson?.data?.[0]?.embedding;
+    await store.setDocumentEmbedding(doc.id, embedding);
+  }
 
-      await fetch(`${SUPABASE_URL}/rest/v1/documents?id=eq.${doc.id}`, {
-        method: "PATCH",
-        headers: {
-          "Content-Type": "application/json",
-          apikey: SERVICE_KEY,
-          Authorization: `Bearer ${SERVICE_KEY}`
-        },
-        body: JSON.stringify({ embedding })
-      });
-    }
+  await audit(actor, "embed.documents", { details: { processed: docs.length } }, { store });
 
-    return res.json({ processed: docs.length });
-  } catch (e) {
-    return res.status(500).json({ error: String(e) });
-  }
-};
+  return res.json({ processed: docs.length });
+});
@@ -1,20 +1,23 @@
 // beleidsbank-api/api/ingest-all.js
 // Stap 1: haal BWBR IDs uit SRU (BWB) en (optioneel) trigger ingest-bwb.
-// Compatibel met jouw Supabase schema: documents(id, title, source_url) -> GEEN 'type'.
+// Met enqueue=1 wordt per id een ingest-job aangemaakt (verwerkt door /api/jobs-run).
+// Vult ook het wettenregister: officiële titel, citeertitel, afkorting en soort regeling op documents,
+// en citeertitels/afkortingen als alias in law_aliases (zie lib/laws.js).
+// Rol ingester nodig (zie lib/auth.js); met ingest=1 gaat het token mee naar /api/ingest-bwb.
+
+const { audit } = require("../lib/auth");
+const { endpoint, HttpError } = require("../lib/http");
+const { normalizeAlias } = require("../lib/laws");
+const { getStore } = require("../lib/store");
+const { enqueueBwbJobs } = require("../lib/jobs");
+const { parseXml, findAll, findFirst, textOf } = require("../lib/xml");
 
 function safeInt(v, d) {
   const n = parseInt(v, 10);
   return Number.isFinite(n) ? n : d;
 }
-function toBool(v) {
-  const s = (v ?? "").toString().toLowerCase().trim();
-  return s === "1" || s === "true" || s === "yes";
-}
 function uniq(arr) { return [...new Set(arr)]; }
 
-function allTagBlocksRe(tag) {
-  return new RegExp(`<\\s*(?:[a-z0-9_-]+:)?${tag}\\b[\\s\\S]*?<\\s*\\/\\s*(?:[a-z0-9_-]+:)?${tag}\\s*>`, "gi");
-}
 function firstTagValue(xml, tag) {
   const re = new RegExp(
     `<\\s*(?:[a-z0-9_-]+:)?${tag}\\b[^>]*>\\s*([\\s\\S]*?)\\s*<\\s*\\/\\s*(?:[a-z0-9_-]+:)?${tag}\\s*>`,
@@ -24,21 +27,31 @@ function firstTagValue(xml, tag) {
   return m ? m[1] : null;
 }
 
+function oneLine(s) {
+  return (s || "").replace(/\s+/g, " ").trim();
+}
+
+// SRU-records -> ids + registergegevens (titel, citeertitels, afkortingen, soort regeling)
 function parseSruRecords(xml) {
   const ids = [];
-  const titles = new Map();
+  const records = new Map();
 
-  const recordBlocks = xml.match(allTagBlocksRe("record")) || [];
+  const root = parseXml(xml);
 
-  for (const rec of recordBlocks) {
-    const identRaw = firstTagValue(rec, "identifier");
-    if (identRaw) {
-      const m = identRaw.match(/\b(BWBR|BWBV)\d+\b/i);
-      if (m) ids.push(m[0].toUpperCase());
-    }
+  for (const rec of findAll(root, "record")) {
+    const identRaw = textOf(findFirst(rec, "identifier"));
+    const m = identRaw.match(/\b(BWBR|BWBV)\d+\b/i);
+    if (!m) continue;
 
-    const t = firstTagValue(rec, "title");
-    if (t && ids.length) titles.set(ids[ids.length - 1], t.replace(/\s+/g, " ").trim());
+    const id = m[0].toUpperCase();
+    ids.push(id);
+    records.set(id, {
+      id,
+      title: oneLine(textOf(findFirst(rec, "title"))) || null,
+      citeertitels: uniq(findAll(rec, "citeertitel").map(n => oneLine(textOf(n))).filter(Boolean)),
+      afkortingen: uniq(findAll(rec, "afkorting").map(n => oneLine(textOf(n))).filter(Boolean)),
+      type: oneLine(textOf(findFirst(rec, "type"))) || null
+    });
   }
 
   // fallback: scan hele XML
@@ -53,37 +66,16 @@ function parseSruRecords(xml) {
   const numberOfRecords = numberOfRecordsRaw ? safeInt(numberOfRecordsRaw.trim(), null) : null;
   const nextRecordPosition = nextRecordPositionRaw ? safeInt(nextRecordPositionRaw.trim(), null) : null;
 
-  return { ids: uniq(ids), titles, numberOfRecords, nextRecordPosition };
+  return { ids: uniq(ids), records, numberOfRecords, nextRecordPosition };
 }
 
-async function supabaseUpsertDocuments({ supabaseUrl, serviceKey, docs }) {
-  if (!docs.length) return;
-
-  const url = `${supabaseUrl}/rest/v1/documents?on_conflict=id`;
-  const resp = await fetch(url, {
-    method: "POST",
-    headers: {
-      "Content-Type": "application/json",
-      apikey: serviceKey,
-      Authorization: `Bearer ${serviceKey}`,
-      Prefer: "resolution=merge-duplicates,return=minimal",
-    },
-    body: JSON.stringify(docs),
-  });
-
-  const text = await resp.text();
-  if (!resp.ok) {
-    throw new Error(`Supabase upsert documents failed ${resp.status}: ${text.slice(0, 300)}`);
-  }
-}
-
-async function fetchText(url, ms = 25000) {
+async function fetchText(url, ms = 25000, headers = {}) {
   const controller = new AbortController();
   const t = setTimeout(() => controller.abort(), ms);
   try {
     const r = await fetch(url, {
       signal: controller.signal,
-      headers: { Accept: "application/xml,text/xml;q=0.9,*/*;q=0.8" },
+      headers: { Accept: "application/xml,text/xml;q=0.9,*/*;q=0.8", ...headers },
     });
     const text = await r.text();
     return { ok: r.ok, status: r.status, text };
@@ -92,108 +84,142 @@ async function fetchText(url, ms = 25000) {
   }
 }
 
-module.exports = async (req, res) => {
-  try {
-    const SUPABASE_URL = process.env.SUPABASE_URL;
-    const SERVICE_KEY = process.env.SUPABASE_SERVICE_ROLE_KEY || process.env.SUPABASE_SERVICE_KEY;
-
-    if (!SUPABASE_URL) return res.status(500).json({ error: "SUPABASE_URL missing" });
-    if (!SERVICE_KEY) return res.status(500).json({ error: "SUPABASE_SERVICE_ROLE_KEY missing" });
-
-    const startRecord = Math.max(1, safeInt(req.query.startRecord, 1));
-    const maximumRecords = Math.min(50, Math.max(1, safeInt(req.query.maximumRecords, 25)));
-    const includeVerdrag = toBool(req.query.include_verdrag);
-    const doIngest = toBool(req.query.ingest);
-
-    const limit = Math.min(60, Math.max(5, safeInt(req.query.limit, 60)));
-    const offset = Math.max(0, safeInt(req.query.offset, 0));
-    const maxCalls = Math.min(10, Math.max(1, safeInt(req.query.maxCalls, 2)));
-
-    // Correcte SRU "alles" query + accept param
-    const sruUrl =
-      `https://zoekservice.overheid.nl/sru/Search` +
-      `?operation=searchRetrieve` +
-      `&version=1.2` +
-      `&x-connection=BWB` +
-      `&x-info-1-accept=any` +
-      `&query=${encodeURIComponent("cql.allRecords=1")}` +
-      `&startRecord=${startRecord}` +
-      `&maximumRecords=${maximumRecords}`;
-
-    const sruResp = await fetchText(sruUrl, 25000);
-    if (!sruResp.ok) {
-      return res.status(500).json({
-        error: "SRU fetch failed",
-        status: sruResp.status,
-        preview: sruResp.text.slice(0, 1200),
-      });
+module.exports = endpoint({
+  name: "ingest-all",
+  requires: ["store"],
+  GET: {
+    role: "ingester",
+    query: {
+      startRecord: { type: "int", default: 1, range: [1, Infinity] },
+      maximumRecords: { type: "int", default: 25, range: [1, 50] },
+      include_verdrag: { type: "bool", default: false },
+      ingest: { type: "bool", default: false },
+      enqueue: { type: "bool", default: false },
+      limit: { type: "int", default: 60, range: [5, 60] },
+      offset: { type: "int", default: 0, range: [0, Infinity] },
+      maxCalls: { type: "int", default: 2, range: [1, 10] }
     }
+  }
+}, async (req, res, { actor, query, requestId }) => {
+  const store = getStore();
+  const { startRecord, maximumRecords, limit, offset, maxCalls } = query;
+  const includeVerdrag = query.include_verdrag;
+  const doIngest = query.ingest;
+  const doEnqueue = query.enqueue;
+
+  // Correcte SRU "alles" query + accept param
+  const sruUrl =
+    `https://zoekservice.overheid.nl/sru/Search` +
+    `?operation=searchRetrieve` +
+    `&version=1.2` +
+    `&x-connection=BWB` +
+    `&x-info-1-accept=any` +
+    `&query=${encodeURIComponent("cql.allRecords=1")}` +
+    `&startRecord=${startRecord}` +
+    `&maximumRecords=${maximumRecords}`;
+
+  const sruResp = await fetchText(sruUrl, 25000);
+  if (!sruResp.ok) {
+    throw new HttpError(502, "SRU fetch failed", {
+      details: { status: sruResp.status, preview: sruResp.text.slice(0, 1200) }
+    });
+  }
 
-    const parsed = parseSruRecords(sruResp.text);
+  const parsed = parseSruRecords(sruResp.text);
 
-    // BWBR = regelingen, BWBV = verdragen
-    const ids = parsed.ids
-      .filter(id => includeVerdrag ? /^(BWBR|BWBV)\d+/i.test(id) : /^BWBR\d+/i.test(id))
-      .slice(0, maximumRecords);
+  // BWBR = regelingen, BWBV = verdragen
+  const ids = parsed.ids
+    .filter(id => includeVerdrag ? /^(BWBR|BWBV)\d+/i.test(id) : /^BWBR\d+/i.test(id))
+    .slice(0, maximumRecords);
 
-    // ✅ Alleen kolommen die jij hebt
-    const docs = ids.map(id => ({
+  // Registergegevens (alle rijen dezelfde kolommen, anders weigert PostgREST de bulk-upsert)
+  const docs = ids.map(id => {
+    const rec = parsed.records.get(id) || {};
+    const citeertitel = rec.citeertitels?.[0] || null;
+    return {
       id,
-      title: parsed.titles.get(id) || id,
+      title: citeertitel || rec.title || id,
+      official_title: rec.title || null,
+      citeertitel,
+      short_title: rec.afkortingen?.[0] || null,
+      regulation_type: rec.type || null,
       source_url: `https://wetten.overheid.nl/${id}`,
-    }));
-
-    await supabaseUpsertDocuments({ supabaseUrl: SUPABASE_URL, serviceKey: SERVICE_KEY, docs });
-
-    // Optional: trigger ingest-bwb per id (bounded)
-    const ingestResults = [];
-    if (doIngest) {
-      const proto = (req.headers["x-forwarded-proto"] || "https").toString();
-      const host = req.headers.host;
-      const baseUrl = `${proto}://${host}`;
-
-      let calls = 0;
-      for (const id of ids) {
-        if (calls >= maxCalls) break;
-        calls++;
-
-        const ingestUrl =
-          `${baseUrl}/api/ingest-bwb?id=${encodeURIComponent(id)}` +
-          `&limit=${limit}&offset=${offset}`;
-
-        const rr = await fetchText(ingestUrl, 25000);
-        let json = null;
-        try { json = JSON.parse(rr.text); } catch {}
-
-        ingestResults.push({
-          id,
-          ok: !!(json && json.ok === true),
-          status: rr.status,
-          next: json?.next || null,
-          preview: json || rr.text.slice(0, 200),
-        });
-      }
-    }
+    };
+  });
 
-    return res.status(200).json({
-      ok: true,
-      sru_http_status: sruResp.status,
-      sru: {
-        startRecord,
-        maximumRecords,
-        includeVerdrag,
-        numberOfRecords: parsed.numberOfRecords,
-        nextRecordPosition: parsed.nextRecordPosition,
-      },
-      batch: { count: ids.length, ids },
-      ingest: doIngest
-        ? { called: ingestResults.length, maxCalls, limit, offset, results: ingestResults }
-        : { enabled: false },
-      next: parsed.nextRecordPosition
-        ? `/api/ingest-all?startRecord=${parsed.nextRecordPosition}&maximumRecords=${maximumRecords}&include_verdrag=${includeVerdrag ? 1 : 0}&ingest=${doIngest ? 1 : 0}&limit=${limit}&offset=${offset}&maxCalls=${maxCalls}`
-        : null,
-    });
-  } catch (e) {
-    return res.status(500).json({ error: "ingest-all crashed", details: String(e?.message || e) });
+  if (docs.length) await store.upsertDocuments(docs);
+
+  const aliasRows = new Map();
+  for (const id of ids) {
+    const rec = parsed.records.get(id);
+    for (const alias of [...(rec?.citeertitels || []), ...(rec?.afkortingen || [])]) {
+      const alias_norm = normalizeAlias(alias);
+      if (alias_norm) aliasRows.set(`${alias_norm}|${id}`, { alias, alias_norm, doc_id: id, source: "sru" });
+    }
+  }
+  await store.upsertLawAliases([...aliasRows.values()]);
+
+  // Optional: jobs aanmaken (bestaande actieve jobs voor hetzelfde id worden overgeslagen)
+  const jobs = doEnqueue && ids.length ? await enqueueBwbJobs(ids, { store }) : null;
+
+  // Optional: trigger ingest-bwb per id (bounded)
+  const ingestResults = [];
+  if (doIngest) {
+    const proto = (req.headers["x-forwarded-proto"] || "https").toString();
+    const host = req.headers.host;
+    const baseUrl = `${proto}://${host}`;
+    // ingest-bwb vraagt dezelfde rol: token (en request-id) van dit verzoek doorgeven
+    const auth = { "X-Request-Id": requestId };
+    if (req.headers.authorization) auth.Authorization = req.headers.authorization;
+    if (req.headers["x-api-key"]) auth["X-Api-Key"] = req.headers["x-api-key"];
+
+    let calls = 0;
+    for (const id of ids) {
+      if (calls >= maxCalls) break;
+      calls++;
+
+      const ingestUrl =
+        `${baseUrl}/api/ingest-bwb?id=${encodeURIComponent(id)}` +
+        `&limit=${limit}&offset=${offset}`;
+
+      const rr = await fetchText(ingestUrl, 25000, auth);
+      let json = null;
+      try { json = JSON.parse(rr.text); } catch {}
+
+      ingestResults.push({
+        id,
+        ok: !!(json && json.ok === true),
+        status: rr.status,
+        next: json?.next || null,
+        preview: json || rr.text.slice(0, 200),
+      });
+    }
   }
-};
+
+  await audit(actor, "register.bwb", {
+    details: { startRecord, maximumRecords, registered: docs.length, enqueued: jobs?.created.length ?? 0, ingest_calls: ingestResults.length }
+  }, { store });
+
+  return res.status(200).json({
+    ok: true,
+    sru_http_status: sruResp.status,
+    sru: {
+      startRecord,
+      maximumRecords,
+      includeVerdrag,
+      numberOfRecords: parsed.numberOfRecords,
+      nextRecordPosition: parsed.nextRecordPosition,
+    },
+    batch: { count: ids.length, ids },
+    registry: { documents: docs.length, aliases: aliasRows.size },
+    ingest: doIngest
+      ? { called: ingestResults.length, maxCalls, limit, offset, results: ingestResults }
+      : { enabled: false },
+    jobs: jobs
+      ? { created: jobs.created.length, skipped: jobs.skipped }
+      : { enabled: false },
+    next: parsed.nextRecordPosition
+      ? `/api/ingest-all?startRecord=${parsed.nextRecordPosition}&maximumRecords=${maximumRecords}&include_verdrag=${includeVerdrag ? 1 : 0}&ingest=${doIngest ? 1 : 0}&enqueue=${doEnqueue ? 1 : 0}&limit=${limit}&offset=${offset}&maxCalls=${maxCalls}`
+      : null,
+  });
+});
@@ -1,66 +1,40 @@
-module.exports = async (req, res) => {
-  try {
-
-    const SUPABASE_URL = process.env.SUPABASE_URL;
-    const SERVICE_KEY = process.env.SUPABASE_SERVICE_ROLE_KEY;
-    const OPENAI_KEY = process.env.OPENAI_API_KEY;
-
-    // download Awb XML
-    const xml = await fetch(
-      "https://wetten.overheid.nl/BWBR0005537/2024-01-01/0/tekst.xml"
-    ).then(r => r.text());
-
-    // pak alleen tekst (simpel voor V1)
-    const plain = xml.replace(/<[^>]+>/g, " ").replace(/\s+/g, " ");
-
-    // split in stukken van 1200 chars
-    const chunks = [];
-    for (let i = 0; i < plain.length; i += 1200) {
-      chunks.push(plain.slice(i, i + 1200));
+// beleidsbank-api/api/ingest-awb.js
+// Verouderd: ingest van de Awb. Doet nu hetzelfde als /api/ingest-bwb?id=BWBR0005537 (structuur per
+// artikel, incrementeel met content_hash, verwijzingen en cache-invalidatie; zie lib/ingest/slice.js).
+// GET /api/ingest-awb[?peildatum=2024-01-01][&limit=20&offset=0][&force=1]
+// Het antwoord heeft de Deprecation-header en `deprecated` met het vervangende endpoint.
+
+const { audit } = require("../lib/auth");
+const { todayIso } = require("../lib/dates");
+const { endpoint } = require("../lib/http");
+const { ingestBwbSlice } = require("../lib/ingest/bwb");
+
+const AWB = "BWBR0005537";
+
+module.exports = endpoint({
+  name: "ingest-awb",
+  requires: ["store", "llm"],
+  GET: {
+    role: "ingester",
+    query: {
+      limit: { type: "int", default: 20, range: [5, 60] },
+      offset: { type: "int", default: 0, range: [0, Infinity] },
+      peildatum: { type: "date", default: todayIso },
+      force: { type: "bool", default: false }
     }
-
-    let saved = 0;
-
-    for (const text of chunks.slice(0, 40)) {   // eerste 40 stukken voor test
-
-      // embedding
-      const emb = await fetch("https://api.openai.com/v1/embeddings", {
-        method: "POST",
-        headers: {
-          "Content-Type": "application/json",
-          Authorization: `Bearer ${OPENAI_KEY}`,
-        },
-        body: JSON.stringify({
-          model: "text-embedding-3-small",
-          input: text,
-        }),
-      }).then(r => r.json());
-
-      const embedding = JSON.stringify(emb.data[0].embedding);
-
-      // insert chunk
-      await fetch(`${SUPABASE_URL}/rest/v1/chunks`, {
-        method: "POST",
-        headers: {
-          "Content-Type": "application/json",
-          apikey: SERVICE_KEY,
-          Authorization: `Bearer ${SERVICE_KEY}`,
-        },
-        body: JSON.stringify({
-          doc_id: "BWBR0005537",
-          label: "AWB",
-          text,
-          source_url: "https://wetten.overheid.nl/BWBR0005537",
-          embedding
-        })
-      });
-
-      saved++;
-    }
-
-    res.json({ ok:true, chunks_saved:saved });
-
-  } catch(e) {
-    res.status(500).json({ crash:String(e) });
   }
-};
+}, async (req, res, { actor, query }) => {
+  const { limit, offset, peildatum, force } = query;
+
+  const { next_offset, ...result } = await ingestBwbSlice({ id: AWB, peildatum, offset, limit, force });
+  await audit(actor, "ingest.awb", { target: AWB, details: { peildatum, offset, limit, force, saved: result.saved_or_updated, done: result.done } });
+
+  res.setHeader("Deprecation", "true");
+  return res.status(200).json({
+    ...result,
+    deprecated: `gebruik /api/ingest-bwb?id=${AWB}`,
+    ...(next_offset == null ? {} : {
+      next: `/api/ingest-awb?limit=${limit}&offset=${next_offset}&peildatum=${peildatum}${force ? "&force=1" : ""}`
+    })
+  });
+});
@@ -0,0 +1,108 @@
+// beleidsbank-api/api/ingest-cvdr.js
+// Ingest van decentrale regelgeving (CVDR): verordeningen en beleidsregels van gemeenten, provincies,
+// waterschappen en gemeenschappelijke regelingen.
+//
+// GET /api/ingest-cvdr?id=CVDR123456_2&limit=20&offset=0[&force=1]
+//   Eén versie van een regeling in slices, per artikel één chunk (onder werk-id CVDR123456).
+// GET /api/ingest-cvdr?list=1[&authority=Amsterdam][&type=gemeente,provincie,waterschap,gemeenschappelijke-regeling]
+//                     [&from=yyyy-mm-dd][&startRecord=1&maximumRecords=25]
+//   Regelingen zoeken via SRU (cvdr) en in documents registreren, met bevoegd gezag; geeft per
+//   versie een ingest-link terug. Minstens één van authority, type of from is nodig.
+//
+// Zoeken in landelijke regels plus die van één gemeente: /api/search?authority=Amsterdam
+// (of de organisatiecode, bijv. gm0363); zie lib/search.js.
+//
+// Rol ingester nodig (zie lib/auth.js); ingests en registraties komen in het auditlog.
+//
+// Env nodig:
+// Store (zie lib/store) en LLM-provider voor embeddings (zie lib/llm), zoals bij ingest-bwb.
+
+const { audit } = require("../lib/auth");
+const { endpoint, invalidInput, HttpError } = require("../lib/http");
+const { getLlm } = require("../lib/llm");
+const { getStore } = require("../lib/store");
+const {
+  ingestCvdrSlice,
+  searchCvdrRegulations,
+  regulationDocument,
+  isCvdrVersionId,
+  AUTHORITY_TYPES
+} = require("../lib/ingest/cvdr");
+
+async function listRegulations(res, query, actor) {
+  const store = getStore();
+  const { authority, type: types, from, startRecord, maximumRecords } = query;
+
+  const parsed = await searchCvdrRegulations({ authority, types, from, startRecord, maximumRecords });
+
+  // Eén documents-rij per werk (de SRU-resultaten bevatten ook oudere versies)
+  const docs = new Map(parsed.records.map(r => [r.work_id, regulationDocument(r)]));
+  if (docs.size) await store.upsertDocuments([...docs.values()]);
+  await audit(actor, "register.cvdr", { target: authority || null, details: { types, from, startRecord, registered: docs.size } }, { store });
+
+  const qs = [
+    `list=1`,
+    authority ? `authority=${encodeURIComponent(authority)}` : "",
+    types.length ? `type=${encodeURIComponent(types.join(","))}` : "",
+    from ? `from=${from}` : "",
+    `maximumRecords=${maximumRecords}`
+  ].filter(Boolean).join("&");
+
+  return res.status(200).json({
+    ok: true,
+    sru: { startRecord, maximumRecords, numberOfRecords: parsed.numberOfRecords, nextRecordPosition: parsed.nextRecordPosition },
+    regulations: parsed.records.map(r => ({
+      id: r.id,
+      doc_id: r.work_id,
+      title: r.title,
+      authority_type: r.authority_type,
+      authority_name: r.authority_name,
+      authority_code: r.authority_code,
+      valid_from: r.valid_from,
+      valid_to: r.valid_to,
+      ingest: `/api/ingest-cvdr?id=${encodeURIComponent(r.id)}`
+    })),
+    next: parsed.nextRecordPosition ? `/api/ingest-cvdr?${qs}&startRecord=${parsed.nextRecordPosition}` : null
+  });
+}
+
+module.exports = endpoint({
+  name: "ingest-cvdr",
+  requires: ["store"],
+  GET: {
+    role: "ingester",
+    query: {
+      list: { type: "bool", default: false },
+      // list
+      authority: { type: "string", maxLength: 120 },
+      type: { type: "list", default: [], values: AUTHORITY_TYPES.map(a => a.type) },
+      from: { type: "date" },
+      startRecord: { type: "int", default: 1, range: [1, Infinity] },
+      maximumRecords: { type: "int", default: 25, range: [1, 50] },
+      // id
+      id: { type: "string", upper: true, maxLength: 40 },
+      limit: { type: "int", default: 20, range: [5, 60] },
+      offset: { type: "int", default: 0, range: [0, Infinity] },
+      force: { type: "bool", default: false }
+    }
+  }
+}, async (req, res, { actor, query }) => {
+  if (query.list) return listRegulations(res, query, actor);
+
+  const llmError = getLlm().missingConfig();
+  if (llmError) throw new HttpError(503, llmError);
+
+  const { id, limit, offset, force } = query;
+  if (!isCvdrVersionId(id)) throw invalidInput("Use ?id=CVDR<nummer>_<versie> of ?list=1", "id");
+
+  const store = getStore();
+  const { next_offset, ...result } = await ingestCvdrSlice({ id, offset, limit, force });
+  await audit(actor, "ingest.cvdr", { target: id, details: { offset, limit, force, saved: result.saved_or_updated, done: result.done } }, { store });
+
+  if (result.done) return res.status(200).json(result);
+
+  return res.status(200).json({
+    ...result,
+    next: `/api/ingest-cvdr?id=${encodeURIComponent(id)}&limit=${limit}&offset=${next_offset}${force ? "&force=1" : ""}`
+  });
+});
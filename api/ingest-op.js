@@ -0,0 +1,99 @@
+// beleidsbank-api/api/ingest-op.js
+// Ingest van Staatscourant-publicaties (officielebekendmakingen.nl): beleidsregels, circulaires en
+// ministeriële regelingen.
+//
+// GET /api/ingest-op?id=stcrt-2024-12345&limit=20&offset=0[&force=1]
+//   Eén publicatie in slices, per artikel of (zonder artikelen) per paragraaf/alineablok één chunk.
+// GET /api/ingest-op?list=1[&type=beleidsregel,circulaire,ministeriele-regeling][&from=yyyy-mm-dd]
+//                   [&startRecord=1&maximumRecords=25]
+//   Publicaties zoeken via SRU (OFFICIELEPUBLICATIES) en in documents registreren; geeft per id een
+//   ingest-link terug.
+//
+// Zoeken op alleen deze bron: /api/search?source=op (BWB: source=bwb).
+//
+// Rol ingester nodig (zie lib/auth.js); ingests en registraties komen in het auditlog.
+//
+// Env nodig:
+// Store (zie lib/store) en LLM-provider voor embeddings (zie lib/llm), zoals bij ingest-bwb.
+
+const { audit } = require("../lib/auth");
+const { endpoint, invalidInput, HttpError } = require("../lib/http");
+const { getLlm } = require("../lib/llm");
+const { getStore } = require("../lib/store");
+const {
+  ingestOpSlice,
+  searchOpPublications,
+  publicationDocument,
+  isStcrtId,
+  PUBLICATION_TYPES
+} = require("../lib/ingest/op");
+
+async function listPublications(res, query, actor) {
+  const store = getStore();
+  const { type: types, from, startRecord, maximumRecords } = query;
+
+  const parsed = await searchOpPublications({ types, from, startRecord, maximumRecords });
+  const docs = parsed.records.map(publicationDocument);
+  if (docs.length) await store.upsertDocuments(docs);
+  await audit(actor, "register.op", { details: { types, from, startRecord, registered: docs.length } }, { store });
+
+  const qs = [
+    `list=1`,
+    types.length ? `type=${encodeURIComponent(types.join(","))}` : "",
+    from ? `from=${from}` : "",
+    `maximumRecords=${maximumRecords}`
+  ].filter(Boolean).join("&");
+
+  return res.status(200).json({
+    ok: true,
+    sru: { startRecord, maximumRecords, numberOfRecords: parsed.numberOfRecords, nextRecordPosition: parsed.nextRecordPosition },
+    publications: parsed.records.map(r => ({
+      id: r.id,
+      title: r.title,
+      publication_type: r.publication_type,
+      publication_date: r.date,
+      ingest: `/api/ingest-op?id=${encodeURIComponent(r.id)}`
+    })),
+    next: parsed.nextRecordPosition ? `/api/ingest-op?${qs}&startRecord=${parsed.nextRecordPosition}` : null
+  });
+}
+
+module.exports = endpoint({
+  name: "ingest-op",
+  requires: ["store"],
+  GET: {
+    role: "ingester",
+    query: {
+      list: { type: "bool", default: false },
+      // list
+      type: { type: "list", default: [], values: PUBLICATION_TYPES.map(p => p.type) },
+      from: { type: "date" },
+      startRecord: { type: "int", default: 1, range: [1, Infinity] },
+      maximumRecords: { type: "int", default: 25, range: [1, 50] },
+      // id
+      id: { type: "string", lower: true, maxLength: 40 },
+      limit: { type: "int", default: 20, range: [5, 60] },
+      offset: { type: "int", default: 0, range: [0, Infinity] },
+      force: { type: "bool", default: false }
+    }
+  }
+}, async (req, res, { actor, query }) => {
+  if (query.list) return listPublications(res, query, actor);
+
+  const llmError = getLlm().missingConfig();
+  if (llmError) throw new HttpError(503, llmError);
+
+  const { id, limit, offset, force } = query;
+  if (!isStcrtId(id)) throw invalidInput("Use ?id=stcrt-<jaar>-<nummer> of ?list=1", "id");
+
+  const store = getStore();
+  const { next_offset, ...result } = await ingestOpSlice({ id, offset, limit, force });
+  await audit(actor, "ingest.op", { target: id, details: { offset, limit, force, saved: result.saved_or_updated, done: result.done } }, { store });
+
+  if (result.done) return res.status(200).json(result);
+
+  return res.status(200).json({
+    ...result,
+    next: `/api/ingest-op?id=${encodeURIComponent(id)}&limit=${limit}&offset=${next_offset}${force ? "&force=1" : ""}`
+  });
+});
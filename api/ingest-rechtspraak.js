@@ -0,0 +1,79 @@
+// beleidsbank-api/api/ingest-rechtspraak.js
+// Ingest van uitspraken uit de open data van rechtspraak.nl, gekoppeld aan de artikelen waarnaar ze
+// verwijzen (zie lib/ingest/rechtspraak.js).
+//
+// GET /api/ingest-rechtspraak?ecli=ECLI:NL:RVS:2024:1234
+//   Eén uitspraak ophalen en opslaan (opnieuw ingesten vervangt de koppelingen).
+// GET /api/ingest-rechtspraak?list=1[&court=rvs|crvb|cbb|hr][&subject=bestuursrecht][&from=yyyy-mm-dd]
+//                            [&max=20&offset=0]
+//   Uitspraken zoeken (nieuwste eerst); geeft per ECLI een ingest-link terug.
+//
+// Uitspraken bij een artikel: /api/source?id=<chunk id> (case_law). Chat neemt ze mee als aparte
+// bronsoort (CHAT_CASE_LAW=0 om uit te zetten).
+//
+// Rol ingester nodig (zie lib/auth.js); ingests komen in het auditlog.
+//
+// Env nodig:
+// Store (zie lib/store). Geen LLM: uitspraken worden niet geëmbed.
+
+const { audit } = require("../lib/auth");
+const { endpoint, invalidInput } = require("../lib/http");
+const { getStore } = require("../lib/store");
+const {
+  ingestUitspraak,
+  searchUitspraken,
+  isEcli
+} = require("../lib/ingest/rechtspraak");
+
+async function listUitspraken(res, query) {
+  const { court, subject, from, max, offset } = query;
+
+  const entries = await searchUitspraken({ court, subject: subject || undefined, from, max, offset });
+
+  const qs = [
+    `list=1`,
+    `court=${court}`,
+    subject ? `subject=${subject}` : "",
+    from ? `from=${from}` : "",
+    `max=${max}`
+  ].filter(Boolean).join("&");
+
+  return res.status(200).json({
+    ok: true,
+    count: entries.length,
+    uitspraken: entries.map(e => ({
+      ...e,
+      ingest: `/api/ingest-rechtspraak?ecli=${encodeURIComponent(e.ecli)}`
+    })),
+    next: entries.length === max ? `/api/ingest-rechtspraak?${qs}&offset=${offset + max}` : null
+  });
+}
+
+module.exports = endpoint({
+  name: "ingest-rechtspraak",
+  requires: ["store"],
+  GET: {
+    role: "ingester",
+    query: {
+      list: { type: "bool", default: false },
+      // list (onbekende court geeft 400 uit lib/ingest/rechtspraak.js, met de toegestane waarden)
+      court: { type: "string", lower: true, default: "rvs", maxLength: 20 },
+      subject: { type: "string", lower: true, pattern: /^[a-z_-]+$/, message: "Ongeldig subject" },
+      from: { type: "date" },
+      max: { type: "int", default: 20, range: [1, 100] },
+      offset: { type: "int", default: 0, range: [0, Infinity] },
+      // ecli
+      ecli: { type: "string", upper: true, maxLength: 60 }
+    }
+  }
+}, async (req, res, { actor, query }) => {
+  if (query.list) return listUitspraken(res, query);
+
+  const { ecli } = query;
+  if (!isEcli(ecli)) throw invalidInput("Use ?ecli=ECLI:NL:RVS:<jaar>:<nummer> of ?list=1", "ecli");
+
+  const store = getStore();
+  const result = await ingestUitspraak(ecli, { store });
+  await audit(actor, "ingest.rechtspraak", { target: ecli, details: { articles: result.articles.length } }, { store });
+  return res.status(200).json(result);
+});
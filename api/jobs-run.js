@@ -0,0 +1,42 @@
+// beleidsbank-api/api/jobs-run.js
+// Worker voor ingest-jobs: verwerkt wachtende jobs in slices binnen het tijdsbudget.
+// Wordt elke 5 minuten door Vercel Cron aangeroepen (zie vercel.json), maar kan ook handmatig:
+// GET /api/jobs-run[?budget_ms=45000&slice=20]
+//
+// Env optioneel:
+// CRON_SECRET          Vercel Cron stuurt Authorization: Bearer <secret> mee. Handmatig aanroepen kan
+//                      ook met een sleutel met rol ingester (zie lib/auth.js).
+// JOBS_TIME_BUDGET_MS  (standaard 45000)
+// JOBS_SLICE_SIZE      (artikelen per slice, standaard 20)
+
+const { authenticate, hasRole, sameSecret } = require("../lib/auth");
+const { endpoint, HttpError } = require("../lib/http");
+const { runJobs } = require("../lib/jobs");
+
+function safeInt(v, d) {
+  const n = parseInt(v, 10);
+  return Number.isFinite(n) ? n : d;
+}
+
+module.exports = endpoint({
+  name: "jobs-run",
+  requires: ["store", "llm"],
+  GET: {
+    query: {
+      budget_ms: { type: "int", default: () => safeInt(process.env.JOBS_TIME_BUDGET_MS, 45_000), range: [5_000, 55_000] },
+      slice: { type: "int", default: () => safeInt(process.env.JOBS_SLICE_SIZE, 20), range: [5, 60] }
+    }
+  }
+}, async (req, res, { query }) => {
+  // Vercel Cron (CRON_SECRET) of een sleutel met rol ingester
+  const secret = process.env.CRON_SECRET;
+  const fromCron = !!secret && sameSecret((req.headers.authorization || "").toString(), `Bearer ${secret}`);
+  if (!fromCron && !hasRole(await authenticate(req), "ingester")) {
+    throw new HttpError(401, "geen geldig token", { details: { hint: "CRON_SECRET of een sleutel met rol ingester" } });
+  }
+
+  const { budget_ms: budgetMs, slice: sliceSize } = query;
+  const { processed } = await runJobs({ budgetMs, sliceSize });
+
+  return res.status(200).json({ ok: true, budget_ms: budgetMs, slice: sliceSize, processed });
+});
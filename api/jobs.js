@@ -0,0 +1,87 @@
+// beleidsbank-api/api/jobs.js
+// Beheer van ingest-jobs (verwerkt door /api/jobs-run).
+//
+// GET  /api/jobs[?status=queued&bwb_id=BWBR...&limit=50&offset=0]   -> lijst
+// GET  /api/jobs?id=12                                                -> één job
+// POST /api/jobs { action: "enqueue", ids: ["BWBR0005537"], peildatum?: "2024-01-01" }
+// POST /api/jobs { action: "pause" | "resume" | "retry", id: 12 }
+// (action/id mogen ook als query-parameter)
+// Bekijken met rol viewer, wijzigen met rol ingester (zie lib/auth.js); wijzigingen komen in het auditlog.
+
+const { audit } = require("../lib/auth");
+const { endpoint, validate, invalidInput, HttpError } = require("../lib/http");
+const { getStore } = require("../lib/store");
+const { enqueueBwbJobs, pauseJob, resumeJob, retryJob, JobStateError } = require("../lib/jobs");
+
+const STATUSES = ["queued", "running", "paused", "done", "failed"];
+
+const ACTIONS = { pause: pauseJob, resume: resumeJob, retry: retryJob };
+
+const BWB_IDS = { type: "list", default: [], upper: true, pattern: /^BWBR\d+$/, message: "ids moet een lijst BWBR-ids zijn" };
+
+async function listJobs(res, query, store) {
+  if (query.id != null) {
+    const job = await store.getJob(query.id);
+    if (!job) throw new HttpError(404, "job niet gevonden", { details: { id: query.id } });
+    return res.status(200).json({ ok: true, job });
+  }
+
+  const { status, bwb_id, limit, offset } = query;
+  const jobs = await store.listJobs({ status: status || undefined, bwb_id: bwb_id || undefined, limit, offset });
+  return res.status(200).json({ ok: true, limit, offset, jobs });
+}
+
+module.exports = endpoint({
+  name: "jobs",
+  requires: ["store"],
+  GET: {
+    role: "viewer",
+    query: {
+      id: { type: "int" },
+      status: { type: "enum", values: STATUSES },
+      bwb_id: { type: "string", upper: true, maxLength: 40 },
+      limit: { type: "int", default: 50, range: [1, 200] },
+      offset: { type: "int", default: 0, range: [0, Infinity] }
+    }
+  },
+  POST: {
+    role: "ingester",
+    // action/id mogen ook als query-parameter
+    params: {
+      action: { type: "enum", required: true, values: ["enqueue", ...Object.keys(ACTIONS)], message: "action moet enqueue, pause, resume of retry zijn" },
+      ids: BWB_IDS,
+      // enqueue: ook "BWBR1,BWBR2"; pause/resume/retry: job-id
+      id: { type: "string", maxLength: 2000 },
+      peildatum: { type: "date" }
+    }
+  }
+}, async (req, res, { method, actor, query, params }) => {
+  const store = getStore();
+  if (method === "GET") return listJobs(res, query, store);
+
+  const { action } = params;
+
+  if (action === "enqueue") {
+    const { peildatum } = params;
+    const ids = params.ids.length ? params.ids : validate({ ids: BWB_IDS }, { ids: params.id }).ids;
+    if (!ids.length) throw invalidInput("ids moet een lijst BWBR-ids zijn", "ids");
+
+    const { created, skipped } = await enqueueBwbJobs(ids, { peildatum, store });
+    await audit(actor, "jobs.enqueue", { details: { ids, peildatum, created: created.map(j => j.id) } }, { store });
+    return res.status(200).json({ ok: true, created, skipped });
+  }
+
+  const { id } = validate({ id: { type: "int", required: true } }, params);
+
+  try {
+    const job = await ACTIONS[action](id, { store });
+    if (!job) throw new HttpError(404, "job niet gevonden", { details: { id } });
+    await audit(actor, `jobs.${action}`, { target: String(id), details: { bwb_id: job.bwb_id } }, { store });
+    return res.status(200).json({ ok: true, job });
+  } catch (e) {
+    if (e instanceof JobStateError) {
+      throw new HttpError(409, `${action} niet mogelijk: ${e.message}`, { details: { job: e.job } });
+    }
+    throw e;
+  }
+});
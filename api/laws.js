@@ -0,0 +1,118 @@
+// beleidsbank-api/api/laws.js
+// Wettenregister (gevuld door /api/ingest-all uit SRU, aan te vullen met eigen aliassen).
+//
+// GET  /api/laws?q=omgeving[&type=wet&limit=20&offset=0]   -> zoeken op titel, citeertitel of afkorting
+// GET  /api/laws?id=BWBR0005537                             -> één regeling met aliassen
+// GET  /api/laws?alias=awb                                  -> welke regeling(en) horen bij een alias
+// POST /api/laws { action: "alias", doc_id, alias }          -> alias toevoegen
+// POST /api/laws { action: "unalias", doc_id, alias }        -> alias verwijderen
+// POST vraagt rol ingester (zie lib/auth.js) en komt in het auditlog.
+
+const { audit } = require("../lib/auth");
+const { KNOWN_LAWS } = require("../lib/citations");
+const { endpoint, invalidInput, HttpError } = require("../lib/http");
+const { normalizeAlias, shortName } = require("../lib/laws");
+const { getStore } = require("../lib/store");
+
+function toLaw(doc, aliases) {
+  return {
+    id: doc.id,
+    short: shortName(doc),
+    title: doc.title || null,
+    official_title: doc.official_title || null,
+    citeertitel: doc.citeertitel || null,
+    short_title: doc.short_title || null,
+    regulation_type: doc.regulation_type || null,
+    source_url: doc.source_url || null,
+    ...(aliases ? { aliases } : {})
+  };
+}
+
+// Ingebouwde aliassen (lib/citations.js) + aliassen uit law_aliases
+async function aliasesFor(store, ids) {
+  const rows = await store.listLawAliases({ doc_ids: ids });
+  const out = new Map(ids.map(id => [id, []]));
+  for (const law of KNOWN_LAWS) {
+    if (!out.has(law.doc_id)) continue;
+    for (const alias of law.aliases) out.get(law.doc_id).push({ alias, source: "builtin" });
+  }
+  for (const r of rows) {
+    const list = out.get(r.doc_id);
+    if (list && !list.some(a => normalizeAlias(a.alias) === r.alias_norm)) list.push({ alias: r.alias, source: r.source });
+  }
+  return out;
+}
+
+async function findLaws(res, query, store) {
+  const { id } = query;
+  if (id) {
+    const [doc] = await store.getLaws([id]);
+    if (!doc) throw new HttpError(404, "regeling niet gevonden", { details: { id } });
+    const aliases = await aliasesFor(store, [id]);
+    return res.status(200).json({ ok: true, law: toLaw(doc, aliases.get(id)) });
+  }
+
+  const alias = normalizeAlias(query.alias);
+  if (alias) {
+    const rows = await store.listLawAliases({ alias_norms: [alias] });
+    const ids = [...new Set([
+      ...KNOWN_LAWS.filter(l => l.aliases.some(a => normalizeAlias(a) === alias)).map(l => l.doc_id),
+      ...rows.map(r => r.doc_id)
+    ])];
+    const docs = await store.getLaws(ids);
+    const byId = new Map(docs.map(d => [d.id, d]));
+    return res.status(200).json({
+      ok: true,
+      alias,
+      ambiguous: ids.length > 1,
+      matches: ids.map(x => toLaw(byId.get(x) || { id: x }))
+    });
+  }
+
+  const { q, type, limit, offset } = query;
+  const docs = await store.searchLaws({ q, type: type || undefined, limit, offset });
+  return res.status(200).json({ ok: true, q, limit, offset, laws: docs.map(d => toLaw(d)) });
+}
+
+module.exports = endpoint({
+  name: "laws",
+  requires: ["store"],
+  GET: {
+    query: {
+      id: { type: "string", upper: true, maxLength: 40 },
+      alias: { type: "string", maxLength: 200 },
+      q: { type: "string", default: "", maxLength: 200 },
+      type: { type: "string", maxLength: 80 },
+      limit: { type: "int", default: 20, range: [1, 100] },
+      offset: { type: "int", default: 0, range: [0, Infinity] }
+    }
+  },
+  POST: {
+    role: "ingester",
+    body: {
+      action: { type: "enum", required: true, values: ["alias", "unalias"], message: "action moet alias of unalias zijn" },
+      doc_id: { type: "string", required: true, upper: true, maxLength: 40 },
+      alias: { type: "string", required: true, maxLength: 200 }
+    }
+  }
+}, async (req, res, { method, actor, query, body }) => {
+  const store = getStore();
+  if (method === "GET") return findLaws(res, query, store);
+
+  const { action, doc_id: docId } = body;
+  const alias = body.alias.replace(/\s+/g, " ");
+  const aliasNorm = normalizeAlias(alias);
+  if (aliasNorm.length < 2) throw invalidInput("alias moet minstens 2 tekens zijn", "alias");
+
+  if (action === "alias") {
+    const [doc] = await store.getLaws([docId]);
+    if (!doc) throw new HttpError(404, "regeling niet gevonden", { details: { id: docId } });
+    await store.upsertLawAliases([{ alias, alias_norm: aliasNorm, doc_id: docId, source: "manual" }]);
+    await audit(actor, "laws.alias", { target: docId, details: { alias } }, { store });
+    return res.status(200).json({ ok: true, doc_id: docId, alias, alias_norm: aliasNorm });
+  }
+
+  const deleted = await store.deleteLawAlias(aliasNorm, docId);
+  await audit(actor, "laws.unalias", { target: docId, details: { alias, deleted } }, { store });
+  return res.status(200).json({ ok: true, doc_id: docId, alias_norm: aliasNorm, deleted });
+});
@@ -0,0 +1,76 @@
+// beleidsbank-api/api/references.js
+// GET /api/references?chunk_id=<chunk id>[&peildatum=yyyy-mm-dd]
+// Verwijzingen van en naar een artikel (uit chunk_references, gevuld bij ingest).
+// outgoing: artikelen waarnaar deze chunk verwijst, met het doelartikel als het in de database staat.
+// incoming: chunks (geldig op peildatum, standaard vandaag) die naar dit artikel verwijzen.
+
+const { todayIso } = require("../lib/dates");
+const { endpoint, HttpError } = require("../lib/http");
+const { resolveTargets } = require("../lib/references");
+const { getStore } = require("../lib/store");
+
+function articleNrOf(row) {
+  return row.article_nr || (row.label.match(/Artikel\s+(\S+)$/) || [])[1] || null;
+}
+
+function chunkRef(r) {
+  return r ? { id: r.id, label: r.label, source_url: r.source_url } : null;
+}
+
+module.exports = endpoint({
+  name: "references",
+  requires: ["store"],
+  GET: {
+    query: {
+      chunk_id: { type: "string", required: true, maxLength: 100 },
+      peildatum: { type: "date", default: todayIso }
+    }
+  }
+}, async (req, res, { query }) => {
+  const store = getStore();
+  const { peildatum } = query;
+
+  const chunk = await store.getChunk(query.chunk_id);
+  if (!chunk) throw new HttpError(404, "chunk niet gevonden", { details: { chunk_id: query.chunk_id } });
+
+  // Uitgaand
+  const edges = await store.listReferences({ source_chunk_ids: [chunk.id] });
+  const targets = await resolveTargets(edges, { store, peildatum });
+  const outgoing = edges.map(e => ({
+    target_doc_id: e.target_doc_id,
+    target_article: e.target_article,
+    target_lid: e.target_lid,
+    target_onderdeel: e.target_onderdeel,
+    target_law_text: e.target_law_text,
+    kind: e.kind,
+    raw: e.raw,
+    target: chunkRef(targets.get(`${e.target_doc_id}|${e.target_article}`))
+  }));
+
+  // Inkomend: alleen voor artikelen, en alleen bronnen die op peildatum golden
+  let incoming = [];
+  const nr = articleNrOf(chunk);
+  if (nr) {
+    const back = await store.listReferences({ target_doc_id: chunk.doc_id, target_article: nr });
+    const sources = await store.getChunks([...new Set(back.map(e => e.source_chunk_id))], { peildatum });
+    const byId = new Map(sources.map(s => [String(s.id), s]));
+    incoming = back
+      .filter(e => byId.has(String(e.source_chunk_id)))
+      .map(e => ({
+        source: chunkRef(byId.get(String(e.source_chunk_id))),
+        source_doc_id: e.source_doc_id,
+        target_lid: e.target_lid,
+        target_onderdeel: e.target_onderdeel,
+        kind: e.kind,
+        raw: e.raw
+      }));
+  }
+
+  return res.status(200).json({
+    ok: true,
+    peildatum,
+    chunk: { id: chunk.id, label: chunk.label, doc_id: chunk.doc_id, article_nr: nr, source_url: chunk.source_url },
+    outgoing,
+    incoming
+  });
+});
@@ -1,211 +1,81 @@
-module.exports = async (req, res) => {
-  try {
-
-    const SUPABASE_URL = process.env.SUPABASE_URL;
-    const SERVICE_KEY = process.env.SUPABASE_SERVICE_ROLE_KEY;
-    const OPENAI_KEY = process.env.OPENAI_API_KEY;
-
-    if (!SUPABASE_URL || !SERVICE_KEY) {
-      return res.status(200).json({
-        ok: true,
-        results: []
-      });
-    }
-
-    const headers = {
-      apikey: SERVICE_KEY,
-      Authorization: `Bearer ${SERVICE_KEY}`
-    };
-
-    const q = (req.query.q || "").toString().trim().toLowerCase();
-
-    if (!q) {
-      return res.status(200).json({ ok: true, results: [] });
-    }
-
-    function clean(t) {
-      return (t || "")
-        .replace(/\s+/g, " ")
-        .replace(/Toon relaties in LiDO/gi, "")
-        .replace(/Maak een permanente link/gi, "")
-        .replace(/Toon wetstechnische informatie/gi, "")
-        .replace(/Druk het regelingonderdeel af/gi, "")
-        .replace(/Sla het regelingonderdeel op/gi, "")
-        .trim();
-    }
-
-    // --------------------------------
-    // 1 ARTIKEL DETECTIE
-    // --------------------------------
-
-    const articleMatch = q.match(/artikel\s+([0-9:.]+)/i);
-
-    if (articleMatch) {
-
-      const article = articleMatch[1];
-
-      const resp = await fetch(
-        `${SUPABASE_URL}/rest/v1/chunks?select=id,label,text,source_url,doc_id&label=ilike.*${article}*&limit=20`,
-        { headers }
-      );
-
-      const rows = await resp.json();
-
-      if (!Array.isArray(rows) || !rows.length) {
-        return res.status(200).json({ ok: true, results: [] });
-      }
-
-      const uniqueDocs =
-        [...new Set(rows.map(r => r.doc_id).filter(Boolean))];
-
-      // meerdere wetten → ambiguous
-      if (uniqueDocs.length > 1) {
-
-        return res.status(200).json({
-          ok: true,
-          ambiguous: true,
-          question: "Over welke wet gaat het? Bijvoorbeeld Awb, Omgevingswet of Bal.",
-          options: rows.slice(0, 5).map(r => ({
-            title: r.label,
-            doc_id: r.doc_id
-          })),
-          results: []
-        });
-
-      }
-
-      const results = rows.slice(0, 5).map(r => ({
-        id: r.id,
-        label: r.label,
-        text: clean(r.text),
-        excerpt: clean(r.text),
-        source_url: r.source_url,
-        doc_id: r.doc_id
-      }));
-
-      return res.status(200).json({
-        ok: true,
-        results
-      });
-
-    }
-
-    // --------------------------------
-    // 2 EMBEDDING
-    // --------------------------------
-
-    let embedding = null;
-
-    try {
-
-      const embedResp = await fetch(
-        "https://api.openai.com/v1/embeddings",
-        {
-          method: "POST",
-          headers: {
-            "Content-Type": "application/json",
-            Authorization: `Bearer ${OPENAI_KEY}`
-          },
-          body: JSON.stringify({
-            model: "text-embedding-3-small",
-            input: q
-          })
-        }
-      );
-
-      const embedJson = await embedResp.json();
-
-      embedding = embedJson?.data?.[0]?.embedding;
-
-    } catch {}
-
-    // --------------------------------
-    // 3 VECTOR SEARCH
-    // --------------------------------
-
-    let vectorResults = [];
-
-    if (embedding) {
-
-      try {
-
-        const vectorResp = await fetch(
-          `${SUPABASE_URL}/rest/v1/rpc/match_chunks`,
-          {
-            method: "POST",
-            headers: {
-              ...headers,
-              "Content-Type": "application/json"
-            },
-            body: JSON.stringify({
-              query_embedding: embedding,
-              match_count: 15
-            })
-          }
-        );
-
-        const json = await vectorResp.json();
-
-        if (Array.isArray(json)) {
-          vectorResults = json;
-        }
-
-      } catch {}
-
+// beleidsbank-api/api/search.js
+// GET /api/search?q=...[&peildatum=yyyy-mm-dd][&w_vector=1&w_keyword=1&rrf_k=60][&rerank=0|1]
+// Zoekt in de versie van elke regeling die op de peildatum gold (standaard vandaag).
+// De zoeklogica zelf staat in lib/search.js; w_vector/w_keyword/rrf_k overschrijven de fusie-instellingen.
+// rerank=1/0 zet de rerankstap aan/uit (standaard volgens RERANK_PROVIDER), om het effect te vergelijken.
+// Gekozen verduidelijkingsoptie: ?doc_id=...&article=...[&lid=&onderdeel=&chunk_id=&peildatum=] (zonder q).
+//
+// Filters (toegepast in de zoek-RPC's zelf): doc_id (één of komma-lijst, of herhaald), type
+// (regulation_type, idem), path (structuurpad, bijv. "Hoofdstuk 8" of "/Hoofdstuk8/Afdeling8.1") en
+// source (bwb = wetten.overheid.nl, op = Staatscourant-publicaties, zie /api/ingest-op, cvdr = decentrale
+// regelgeving, zie /api/ingest-cvdr).
+// authority: landelijke regels plus de decentrale regelingen van deze gemeente/provincie/waterschap
+// (naam of code, bijv. "Amsterdam" of "gm0363"; komma-lijst mag). Zonder authority alleen landelijk,
+// tenzij source=cvdr of doc_id gezet is.
+// De geldigheidsdatum is peildatum.
+// Paginering: limit (1–50, standaard 15) en cursor (page.next_cursor uit het vorige antwoord).
+// facets telt de resultaten per regeling over alle pagina's.
+
+const { todayIso } = require("../lib/dates");
+const { endpoint, invalidInput } = require("../lib/http");
+const { search, parseChoice, RESULT_LIMIT, MAX_PAGE_SIZE } = require("../lib/search");
+
+// "Hoofdstuk 8 / Afdeling 8.1" -> "/Hoofdstuk8/Afdeling8.1" (zoals chunks.path)
+function pathParam(v) {
+  const segments = (v ?? "").toString().split("/").map(x => x.replace(/\s+/g, "")).filter(Boolean);
+  return segments.length ? segments.map(x => `/${x[0].toUpperCase()}${x.slice(1)}`).join("") : null;
+}
+
+module.exports = endpoint({
+  name: "search",
+  requires: ["store", "llm"],
+  limit: "search",
+  budget: true,
+  GET: {
+    query: {
+      q: { type: "string", lower: true, maxLength: 500 },
+      peildatum: { type: "date", default: todayIso },
+      w_vector: { type: "number", range: [0, 100] },
+      w_keyword: { type: "number", range: [0, 100] },
+      rrf_k: { type: "number", range: [1, 1000] },
+      rerank: { type: "enum", lower: true, values: ["0", "1", "true", "false"] },
+      doc_id: { type: "list", default: [], maxLength: 40 },
+      type: { type: "list", default: [], maxLength: 80 },
+      path: { type: "string", maxLength: 200 },
+      source: { type: "list", default: [], values: ["bwb", "op", "cvdr"] },
+      authority: { type: "list", default: [], maxLength: 120 },
+      limit: { type: "int", default: RESULT_LIMIT, range: [1, MAX_PAGE_SIZE] },
+      cursor: { type: "string", maxLength: 500 }
     }
-
-    // --------------------------------
-    // 4 KEYWORD SEARCH
-    // --------------------------------
-
-    let keywordResults = [];
-
-    try {
-
-      const resp = await fetch(
-        `${SUPABASE_URL}/rest/v1/chunks?select=id,label,text,source_url,doc_id&text=ilike.*${encodeURIComponent(q)}*&limit=15`,
-        { headers }
-      );
-
-      const json = await resp.json();
-
-      if (Array.isArray(json)) {
-        keywordResults = json;
-      }
-
-    } catch {}
-
-    // --------------------------------
-    // 5 COMBINE
-    // --------------------------------
-
-    const combined = [
-      ...vectorResults,
-      ...keywordResults
-    ];
-
-    const results = combined.slice(0, 15).map(r => ({
-      id: r.id,
-      label: r.label,
-      text: clean(r.text),
-      excerpt: clean(r.text),
-      source_url: r.source_url,
-      doc_id: r.doc_id
-    }));
-
-    return res.status(200).json({
-      ok: true,
-      results
-    });
-
-  }
-
-  catch (e) {
-
-    return res.status(200).json({
-      ok: true,
-      results: []
-    });
-
   }
-};
+}, async (req, res, { query, llm }) => {
+  const q = query.q || "";
+  // Met q is doc_id een filter, zonder q (en met article) een gekozen optie
+  const choice = q ? null : parseChoice(req.query);
+  if (!q && !choice) throw invalidInput("q ontbreekt", "q");
+
+  const ranking = { vector: query.w_vector, keyword: query.w_keyword, k: query.rrf_k };
+  const rerank = query.rerank == null ? undefined : query.rerank === "1" || query.rerank === "true";
+
+  const filters = {
+    doc_ids: query.doc_id,
+    regulation_types: query.type,
+    path_prefix: pathParam(query.path),
+    source_types: query.source,
+    authorities: query.authority
+  };
+
+  const result = await search({
+    q,
+    peildatum: query.peildatum,
+    ranking,
+    rerank,
+    choice,
+    filters,
+    limit: query.limit,
+    cursor: query.cursor || undefined
+  }, { llm });
+  if (!result.ok) throw invalidInput(result.error || "zoeken mislukt", "cursor");
+
+  return res.status(200).json(result);
+});
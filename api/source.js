@@ -1,39 +1,54 @@
 // beleidsbank-api/api/source.js
-module.exports = async (req, res) => {
-  // ✅ CORS
-  res.setHeader("Access-Control-Allow-Origin", "https://app.beleidsbank.nl");
-  res.setHeader("Access-Control-Allow-Methods", "GET, OPTIONS");
-  res.setHeader("Access-Control-Allow-Headers", "Content-Type");
-  if (req.method === "OPTIONS") return res.status(200).end();
-
-  try {
-    const SUPABASE_URL = process.env.SUPABASE_URL;
-    const SERVICE_KEY = process.env.SUPABASE_SERVICE_ROLE_KEY;
-
-    if (!SUPABASE_URL) return res.status(500).json({ error: "SUPABASE_URL missing" });
-    if (!SERVICE_KEY) return res.status(500).json({ error: "SUPABASE_SERVICE_ROLE_KEY missing" });
-
-    const id = (req.query.id || "").toString().trim();
-    if (!id) return res.status(400).json({ error: "missing id" });
-
-    const url =
-      `${SUPABASE_URL}/rest/v1/chunks` +
-      `?select=id,label,text,source_url,doc_id` +
-      `&id=eq.${encodeURIComponent(id)}` +
-      `&limit=1`;
-
-    const r = await fetch(url, {
-      headers: { apikey: SERVICE_KEY, Authorization: `Bearer ${SERVICE_KEY}` },
-    });
-
-    const data = await r.json();
-    if (!r.ok) return res.status(500).json({ error: "supabase failed", details: data });
-
-    const row = Array.isArray(data) ? data[0] : null;
-    if (!row) return res.status(404).json({ error: "not found" });
-
-    return res.status(200).json({ ok: true, ...row });
-  } catch (e) {
-    return res.status(500).json({ error: "source crashed", details: String(e?.message || e) });
+// GET /api/source?id=<chunk id>[&peildatum=yyyy-mm-dd]
+// Met peildatum wordt de versie van hetzelfde artikel teruggegeven die op die datum gold.
+// case_law: uitspraken die naar dit artikel verwijzen (nieuwste eerst, zie /api/ingest-rechtspraak).
+
+const { isValidOn } = require("../lib/dates");
+const { endpoint, HttpError } = require("../lib/http");
+const { getStore } = require("../lib/store");
+
+const CASE_LAW_LIMIT = 10;
+
+module.exports = endpoint({
+  name: "source",
+  requires: ["store"],
+  GET: {
+    query: {
+      id: { type: "string", required: true, maxLength: 100 },
+      peildatum: { type: "date" }
+    }
   }
-};
+}, async (req, res, { query }) => {
+  const store = getStore();
+  const { id, peildatum } = query;
+
+  const row = await store.getChunk(id);
+  if (!row) throw new HttpError(404, "chunk niet gevonden", { details: { id } });
+
+  // Alle versies van dit artikel (zelfde doc_id + label)
+  const versions = await store.listChunkVersions({ doc_id: row.doc_id, label: row.label }).catch(() => [row]);
+
+  let chosen = row;
+  if (peildatum) {
+    chosen = versions.find(v => isValidOn(v, peildatum));
+    if (!chosen) throw new HttpError(404, "geen versie geldig op peildatum", { details: { peildatum } });
+  }
+
+  // Uitspraken hangen aan het artikel, niet aan een versie
+  const article = chosen.article_nr || (chosen.label.match(/Artikel\s+(\S+)$/) || [])[1];
+  const caseLaw = article
+    ? await store.caseLawForArticles([{ doc_id: chosen.doc_id, article }], { limit: CASE_LAW_LIMIT }).catch(() => [])
+    : [];
+
+  return res.status(200).json({
+    ok: true,
+    ...chosen,
+    peildatum: peildatum || null,
+    versions: versions.map(v => ({
+      id: v.id,
+      valid_from: v.valid_from,
+      valid_to: v.valid_to
+    })),
+    case_law: caseLaw.map(({ cites, ...u }) => u)
+  });
+});
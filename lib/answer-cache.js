@@ -0,0 +1,104 @@
+// beleidsbank-api/lib/answer-cache.js
+// Semantische cache voor chatantwoorden. De sleutel is de embedding van de herschreven zoekquery:
+// een nieuwe vraag die daar dicht genoeg bij ligt (cosinus ≥ drempel), met dezelfde scope (overheden),
+// hetzelfde chatmodel en dezelfde peildatum, krijgt het opgeslagen antwoord plus bronnen terug.
+// Dat scheelt de zoekstap, de antwoord-completion en de verificatie.
+//
+// Een treffer telt alleen als de geciteerde chunks niet veranderd zijn: ze bestaan nog met dezelfde
+// content_hash en gelden nog op de peildatum. Anders wordt de entry verwijderd.
+// Een ingest die chunks van een document wijzigt (of een uitspraak opnieuw ophaalt) en het verwijderen
+// van een document ruimen de entries op die dat document citeren (answer_cache.doc_ids).
+// Peildatum vandaag wordt opgeslagen als "actueel" (null), zodat die entries niet elke dag verlopen.
+//
+// Env:
+// CHAT_CACHE               1 (default) | 0
+// CHAT_CACHE_THRESHOLD     minimale similariteit, default 0.95
+// CHAT_CACHE_TTL_HOURS     default 168 (een week)
+
+const { todayIso } = require("./dates");
+const { getStore } = require("./store");
+
+function envNumber(env, name, d) {
+  const n = parseFloat(env[name]);
+  return Number.isFinite(n) ? n : d;
+}
+
+function answerCacheEnabled(env = process.env) {
+  return env.CHAT_CACHE !== "0";
+}
+
+// ["Amsterdam", "gm0363"] -> "amsterdam,gm0363"; leeg = alleen landelijk
+function cacheScope(authorities = []) {
+  return [...new Set(authorities.map(a => a.toLowerCase()))].sort().join(",");
+}
+
+function cachePeildatum(peildatum) {
+  return !peildatum || peildatum === todayIso() ? null : peildatum;
+}
+
+function isValidOn(row, d) {
+  return row.valid_from <= d && (!row.valid_to || row.valid_to > d) && (!row.removed_at || row.removed_at > d);
+}
+
+/**
+ * Opgeslagen antwoord zoeken voor deze query-embedding.
+ * @param {{ embedding: number[], peildatum: string, authorities?: string[], model: string }} key
+ * @returns {Promise<{ payload: object, similarity: number, created_at: string }|null>}
+ */
+async function lookupAnswer({ embedding, peildatum, authorities, model }, { store = getStore(), env = process.env } = {}) {
+  const entry = await store.matchAnswerCache(embedding, {
+    peildatum: cachePeildatum(peildatum),
+    scope: cacheScope(authorities),
+    model,
+    threshold: envNumber(env, "CHAT_CACHE_THRESHOLD", 0.95)
+  });
+  if (!entry) return null;
+
+  // Geciteerde chunks ongewijzigd en nog geldig op de peildatum?
+  const cited = entry.chunks || [];
+  const current = new Map((await store.chunkFingerprints(cited.map(c => c.id))).map(c => [String(c.id), c]));
+  const fresh = cited.every(c => {
+    const now = current.get(String(c.id));
+    return now && now.content_hash === c.hash && isValidOn(now, peildatum);
+  });
+  if (!fresh) {
+    await store.deleteAnswerCache(entry.id);
+    return null;
+  }
+
+  return { payload: entry.payload, similarity: entry.similarity, created_at: entry.created_at };
+}
+
+/**
+ * Antwoord opslaan. results: de geciteerde bronrijen (chunks en uitspraken) uit de zoekstap.
+ * @param {{ query: string, embedding: number[], peildatum: string, authorities?: string[], model: string,
+ *           payload: { answer: string, sources: object[], verification?: object }, results: object[] }} entry
+ */
+async function storeAnswer({ query, embedding, peildatum, authorities, model, payload, results }, { store = getStore(), env = process.env } = {}) {
+  const chunkIds = results.filter(r => r.source_type !== "rechtspraak").map(r => r.id);
+  const fingerprints = await store.chunkFingerprints(chunkIds);
+  const ttlHours = envNumber(env, "CHAT_CACHE_TTL_HOURS", 168);
+
+  await store.insertAnswerCache({
+    query,
+    embedding,
+    peildatum: cachePeildatum(peildatum),
+    scope: cacheScope(authorities),
+    model,
+    payload,
+    doc_ids: [...new Set(results.map(r => (r.source_type === "rechtspraak" ? r.ecli : r.doc_id)).filter(Boolean))],
+    chunks: fingerprints.map(c => ({ id: c.id, hash: c.content_hash })),
+    expires_at: new Date(Date.now() + ttlHours * 3_600_000).toISOString()
+  });
+}
+
+/**
+ * Entries die een van deze documenten (doc_id of ECLI) citeren verwijderen.
+ * @returns {Promise<number>} aantal verwijderde entries (0 bij een fout: invalideren mag een ingest niet breken)
+ */
+async function invalidateAnswers(docIds, { store = getStore() } = {}) {
+  if (!docIds.length) return 0;
+  return store.invalidateAnswerCache(docIds).catch(() => 0);
+}
+
+module.exports = { answerCacheEnabled, lookupAnswer, storeAnswer, invalidateAnswers, cacheScope };
@@ -0,0 +1,127 @@
+// beleidsbank-api/lib/auth.js
+// Authenticatie en rollen voor beheer-endpoints (ingest, jobs, verwijderen, sleutelbeheer),
+// plus het auditlog van wie wat heeft gedaan.
+//
+// Token via "Authorization: Bearer <token>" of "X-Api-Key: <token>". Tokens staan gehasht (sha256)
+// in api_keys met een rol; aanmaken en intrekken via /api/admin/keys.
+// Rollen (oplopend): viewer (jobs, tellingen, auditlog bekijken), ingester (ingest, embeddings,
+// jobs aanmaken, aliassen), admin (verwijderen, sleutels beheren).
+//
+// Env:
+// ADMIN_TOKEN   bootstrap-token met rol admin (om de eerste sleutels aan te maken)
+
+const crypto = require("crypto");
+const { HttpError } = require("./http");
+const { getStore } = require("./store");
+
+const ROLES = ["viewer", "ingester", "admin"];
+
+function hashToken(token) {
+  return crypto.createHash("sha256").update(token).digest("hex");
+}
+
+function generateToken() {
+  return `bb_${crypto.randomBytes(24).toString("base64url")}`;
+}
+
+function hasRole(actor, role) {
+  return !!actor && ROLES.indexOf(actor.role) >= ROLES.indexOf(role);
+}
+
+function tokenFrom(req) {
+  const header = (req.headers?.authorization || "").toString();
+  const m = header.match(/^Bearer\s+(\S+)$/i);
+  if (m) return m[1];
+  return (req.headers?.["x-api-key"] || "").toString().trim() || null;
+}
+
+// Constante-tijd vergelijking van geheimen (via sha256, dus altijd gelijke lengte)
+function sameSecret(a, b) {
+  const ha = crypto.createHash("sha256").update(a).digest();
+  const hb = crypto.createHash("sha256").update(b).digest();
+  return crypto.timingSafeEqual(ha, hb);
+}
+
+/**
+ * Wie doet dit verzoek?
+ * @returns {Promise<{ name: string, role: string, key_id: number|null, limits: object|null }|null>}
+ *   null = geen geldig token; limits = eigen rate limits en budgetten (zie lib/rate-limit.js)
+ */
+async function authenticate(req, { store = getStore(), env = process.env } = {}) {
+  const token = tokenFrom(req);
+  if (!token) return null;
+
+  if (env.ADMIN_TOKEN && sameSecret(token, env.ADMIN_TOKEN)) {
+    return { name: "ADMIN_TOKEN", role: "admin", key_id: null, limits: null };
+  }
+
+  const key = await store.findApiKey(hashToken(token));
+  if (!key || key.revoked_at || !ROLES.includes(key.role)) return null;
+
+  store.touchApiKey(key.id).catch(() => {});
+  return { name: key.name, role: key.role, key_id: key.id, limits: key.limits || null };
+}
+
+function clientIp(req) {
+  return (
+    (req.headers?.["x-forwarded-for"] || "").toString().split(",")[0].trim() ||
+    (req.headers?.["x-real-ip"] || "").toString().trim() ||
+    req.socket?.remoteAddress ||
+    "unknown"
+  );
+}
+
+/**
+ * Client van een publiek endpoint (chat, search): de API-sleutel, of zonder token het IP-adres.
+ * Gebruikt voor rate limits (lib/rate-limit.js) en als eigenaar van gesprekken (lib/conversations.js).
+ * @returns {Promise<{ id: string, kind: "key"|"ip", name?: string, role?: string, limits: object|null }>}
+ *   id: "key:<id>" of "ip:<adres>"
+ * @throws {HttpError} 401 met een ongeldig token (anoniem mag, een fout token niet)
+ */
+async function identifyClient(req, { store = getStore(), env = process.env } = {}) {
+  if (!tokenFrom(req)) return { id: `ip:${clientIp(req)}`, kind: "ip", limits: null };
+
+  const actor = await authenticate(req, { store, env });
+  if (!actor) throw new HttpError(401, "geen geldig token", { details: { hint: "laat het token weg voor anoniem gebruik" } });
+  return { id: `key:${actor.key_id ?? actor.name}`, kind: "key", name: actor.name, role: actor.role, limits: actor.limits || null };
+}
+
+/**
+ * Verzoek alleen doorlaten met minstens deze rol.
+ * Gebruik: const actor = await authorize(req, "ingester");
+ * @returns {Promise<object>} de actor
+ * @throws {HttpError} 401 zonder geldig token, 403 met een te lage rol
+ */
+async function authorize(req, role, { store = getStore(), env = process.env } = {}) {
+  const actor = await authenticate(req, { store, env });
+  if (!actor) {
+    throw new HttpError(401, "geen geldig token", { details: { hint: "Authorization: Bearer <token> of X-Api-Key" } });
+  }
+  if (!hasRole(actor, role)) {
+    throw new HttpError(403, `rol ${role} nodig`, { details: { role: actor.role, required: role } });
+  }
+  return actor;
+}
+
+/**
+ * Regel in het auditlog. Faalt nooit hard: de actie zelf is dan al gebeurd.
+ * @param {object} actor  van authorize (of ctx.actor in lib/http.js)
+ * @param {string} action bijv. "ingest.bwb", "document.delete", "keys.create"
+ * @param {{ target?: string, details?: object }} entry
+ */
+async function audit(actor, action, { target = null, details = {} } = {}, { store = getStore() } = {}) {
+  try {
+    await store.writeAudit({
+      actor: actor?.name || "onbekend",
+      role: actor?.role || null,
+      action,
+      target,
+      details
+    });
+    return true;
+  } catch {
+    return false;
+  }
+}
+
+module.exports = { ROLES, hashToken, generateToken, hasRole, tokenFrom, sameSecret, authenticate, identifyClient, authorize, audit };
@@ -0,0 +1,176 @@
+// beleidsbank-api/lib/bwb-xml.js
+// Structuur-bewuste parser voor BWB toestand-XML (tekst.xml van wetten.overheid.nl).
+// Loopt de echte hiërarchie af: boek/deel/hoofdstuk/titeldeel/afdeling/paragraaf/artikel/lid
+// en levert per artikel (of bijlage) één blok met het volledige structuurpad.
+
+const { parseXml, isElement, childElements, firstChild, findFirst, textOf } = require("./xml");
+
+// Structuurelementen die een niveau in het pad vormen
+const CONTAINERS = new Set([
+  "boek",
+  "deel",
+  "hoofdstuk",
+  "titeldeel",
+  "afdeling",
+  "paragraaf",
+  "sub-paragraaf",
+  "subparagraaf"
+]);
+
+// Eenheden die als één chunk worden opgeslagen
+const UNITS = new Set(["artikel", "enig-artikel"]);
+
+// Nooit meenemen in tekst of structuur
+const SKIP = new Set(["meta-data", "jci", "noot", "nootref", "img", "illustratie"]);
+
+const TYPE_NAMES = {
+  boek: "Boek",
+  deel: "Deel",
+  hoofdstuk: "Hoofdstuk",
+  titeldeel: "Titel",
+  afdeling: "Afdeling",
+  paragraaf: "Paragraaf",
+  "sub-paragraaf": "Subparagraaf",
+  subparagraaf: "Subparagraaf",
+  bijlage: "Bijlage",
+  artikel: "Artikel",
+  "enig-artikel": "Enig artikel"
+};
+
+function readKop(node) {
+  const kop = firstChild(node, "kop");
+  if (!kop) return { label: "", nr: "", title: "" };
+  return {
+    label: textOf(firstChild(kop, "label")),
+    nr: textOf(firstChild(kop, "nr")).replace(/\.$/, ""),
+    title: textOf(firstChild(kop, "titel"))
+  };
+}
+
+function pathSegment(node) {
+  const kop = readKop(node);
+  const type = TYPE_NAMES[node.name] || node.name;
+  const label = kop.label || type;
+  return {
+    type: node.name,
+    nr: kop.nr,
+    title: kop.title,
+    key: `${label}${kop.nr}`.replace(/\s+/g, ""),
+    text: [label, kop.nr, kop.title].filter(Boolean).join(" ")
+  };
+}
+
+// Platte tekst van een blok-element, met regels voor leden, lijsten en tabellen
+function blockText(node) {
+  if (typeof node === "string") return node.replace(/\s+/g, " ");
+  if (SKIP.has(node.name)) return "";
+
+  switch (node.name) {
+    case "kop":
+      return "";
+    case "lid": {
+      const nr = textOf(firstChild(node, "lidnr"));
+      const body = childElements(node).filter(c => c.name !== "lidnr").map(blockText).join("\n").trim();
+      return nr ? `${nr.replace(/\.$/, "")}. ${body}` : body;
+    }
+    case "li": {
+      const nr = textOf(firstChild(node, "li.nr"));
+      const body = childElements(node).filter(c => c.name !== "li.nr").map(blockText).join("\n").trim();
+      return nr ? `${nr} ${body}` : body;
+    }
+    case "row":
+    case "tr":
+      return childElements(node).map(c => textOf(c)).filter(Boolean).join(" | ");
+    case "al":
+    case "tussenkop":
+    case "redactie":
+    case "entry":
+    case "td":
+      return textOf(node);
+    default: {
+      const parts = [];
+      for (const c of node.children || []) {
+        if (isElement(c)) parts.push(blockText(c));
+        else if (c.trim()) parts.push(c.replace(/\s+/g, " ").trim());
+      }
+      return parts.filter(s => s && s.trim()).join("\n");
+    }
+  }
+}
+
+function readLeden(node) {
+  return childElements(node, "lid").map(lid => ({
+    nr: textOf(firstChild(lid, "lidnr")).replace(/\.$/, ""),
+    text: blockText(lid)
+  }));
+}
+
+function buildUnit(node, path) {
+  const kop = readKop(node);
+  const type = TYPE_NAMES[node.name] || node.name;
+  const heading = [kop.label || type, kop.nr, kop.title].filter(Boolean).join(" ");
+  const body = blockText(node).replace(/\n{3,}/g, "\n\n").trim();
+
+  return {
+    kind: node.name === "bijlage" ? "bijlage" : "artikel",
+    nr: kop.nr,
+    title: kop.title,
+    heading,
+    path: path.map(p => `/${p.key}`).join(""),
+    path_label: path.map(p => p.text).join(" > "),
+    status: node.attrs?.status || null,
+    leden: readLeden(node),
+    text: `${heading}\n${body}`.trim()
+  };
+}
+
+function walk(node, path, out) {
+  for (const c of childElements(node)) {
+    if (SKIP.has(c.name) || c.name === "kop") continue;
+
+    if (UNITS.has(c.name)) {
+      out.push(buildUnit(c, path));
+    } else if (c.name === "bijlage") {
+      // Bijlagen met eigen artikelen worden als container behandeld
+      if (findFirst(c, "artikel")) walk(c, [...path, pathSegment(c)], out);
+      else out.push(buildUnit(c, path));
+    } else if (CONTAINERS.has(c.name)) {
+      walk(c, [...path, pathSegment(c)], out);
+    } else {
+      walk(c, path, out);
+    }
+  }
+  return out;
+}
+
+/**
+ * Parse BWB toestand-XML.
+ * @returns {{ bwbId: string|null, title: string|null, validFrom: string|null, units: object[] }}
+ */
+function parseBwbXml(xml) {
+  const root = parseXml(xml);
+  const toestand = findFirst(root, "toestand");
+  const wetgeving = findFirst(root, "wetgeving");
+
+  const title =
+    textOf(findFirst(root, "citeertitel")) ||
+    textOf(findFirst(root, "intitule")) ||
+    null;
+
+  // Alleen de wettekst en bijlagen; aanhef, considerans en ondertekening overslaan
+  const bodies = ["wettekst", "regeling-tekst"].map(n => findFirst(root, n)).filter(Boolean);
+  const bijlagen = childElements(findFirst(root, "wet-besluit") || findFirst(root, "regeling"), "bijlage");
+
+  const units = [];
+  for (const b of bodies.length ? bodies : [root]) walk(b, [], units);
+  if (bodies.length) walk({ children: bijlagen }, [], units);
+
+  return {
+    bwbId: toestand?.attrs?.["bwb-id"] || wetgeving?.attrs?.["bwb-id"] || null,
+    title,
+    validFrom: toestand?.attrs?.inwerkingtreding || null,
+    units: units.filter(u => u.text.length > 20)
+  };
+}
+
+module.exports = { parseBwbXml };
@@ -0,0 +1,250 @@
+// beleidsbank-api/lib/citations.js
+// Parser voor juridische verwijzingen: "art. 3:4 Awb", "artikel 3:40, tweede lid, onder a, van de
+// Algemene wet bestuursrecht", "artt. 3:40-3:45 Awb", "artikelen 1 en 2 Omgevingswet".
+//
+// parseCitations(text) -> [{ raw, doc_id, law, law_text, article, article_to, lid, onderdeel }]
+// - doc_id/law: null als er geen (bekende) wet bij staat
+// - law_text: genoemde maar onbekende wet ("van de Wet X"), anders null
+// - article_to: alleen bij een reeks (3:40-3:45)
+
+// Bekende wetten: afkortingen en citeertitels -> BWB-id
+const KNOWN_LAWS = [
+  { doc_id: "BWBR0005537", short: "Awb", aliases: ["Awb", "Algemene wet bestuursrecht"] },
+  { doc_id: "BWBR0037885", short: "Omgevingswet", aliases: ["Omgevingswet", "Ow"] },
+  { doc_id: "BWBR0041330", short: "Bal", aliases: ["Bal", "Besluit activiteiten leefomgeving"] },
+  { doc_id: "BWBR0041297", short: "Bbl", aliases: ["Bbl", "Besluit bouwwerken leefomgeving"] },
+  { doc_id: "BWBR0041313", short: "Bkl", aliases: ["Bkl", "Besluit kwaliteit leefomgeving"] },
+  { doc_id: "BWBR0041278", short: "Ob", aliases: ["Ob", "Omgevingsbesluit"] },
+  { doc_id: "BWBR0001840", short: "Grondwet", aliases: ["Grondwet", "Gw"] },
+  { doc_id: "BWBR0005416", short: "Gemeentewet", aliases: ["Gemeentewet", "Gemw"] },
+  { doc_id: "BWBR0005645", short: "Provinciewet", aliases: ["Provinciewet", "Pw"] },
+  { doc_id: "BWBR0045754", short: "Woo", aliases: ["Woo", "Wet open overheid"] },
+  { doc_id: "BWBR0005252", short: "Wob", aliases: ["Wob", "Wet openbaarheid van bestuur"] },
+  { doc_id: "BWBR0024779", short: "Wabo", aliases: ["Wabo", "Wet algemene bepalingen omgevingsrecht"] },
+  { doc_id: "BWBR0020449", short: "Wro", aliases: ["Wro", "Wet ruimtelijke ordening"] },
+  { doc_id: "BWBR0003245", short: "Wm", aliases: ["Wm", "Wet milieubeheer"] },
+  { doc_id: "BWBR0025458", short: "Waterwet", aliases: ["Waterwet", "Wtw"] },
+  { doc_id: "BWBR0015703", short: "Participatiewet", aliases: ["Participatiewet", "Pw 2015"] },
+  { doc_id: "BWBR0035362", short: "Wmo 2015", aliases: ["Wmo 2015", "Wmo", "Wet maatschappelijke ondersteuning 2015"] },
+  { doc_id: "BWBR0034925", short: "Jeugdwet", aliases: ["Jeugdwet"] },
+  { doc_id: "BWBR0011823", short: "Vw 2000", aliases: ["Vw 2000", "Vreemdelingenwet 2000", "Vreemdelingenwet"] },
+  { doc_id: "BWBR0002320", short: "AWR", aliases: ["AWR", "Algemene wet inzake rijksbelastingen"] },
+  { doc_id: "BWBR0001854", short: "Sr", aliases: ["Sr", "Wetboek van Strafrecht"] },
+  { doc_id: "BWBR0001903", short: "Sv", aliases: ["Sv", "Wetboek van Strafvordering"] },
+  { doc_id: "BWBR0001827", short: "Rv", aliases: ["Rv", "Wetboek van Burgerlijke Rechtsvordering"] }
+];
+
+const ORDINALS = [
+  "eerste", "tweede", "derde", "vierde", "vijfde", "zesde", "zevende", "achtste", "negende", "tiende",
+  "elfde", "twaalfde", "dertiende", "veertiende", "vijftiende", "zestiende", "zeventiende", "achttiende",
+  "negentiende", "twintigste"
+];
+
+// 3:40, 1.1, 5.1.2, 2a, 8:1a
+const NUM = String.raw`\d+[a-z]?(?:[:.]\d+[a-z]?)*`;
+const SEP = String.raw`\s*(?:-|–|t\/m|tot en met|,|en)\s*`;
+const ARTICLE_RE = new RegExp(
+  String.raw`\b(?:artikelen|artikel|artt\.?|art\.?)\s*(${NUM}(?:${SEP}${NUM})*)`,
+  "gi"
+);
+
+function escapeRe(s) {
+  return s.replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+}
+
+// Per lijst wetten één regex met alle aliassen (langste eerst, hoofdletterongevoelig)
+function lawMatcher(laws) {
+  const entries = [];
+  for (const law of laws) {
+    for (const a of law.aliases || []) entries.push({ alias: a, law });
+  }
+  entries.sort((a, b) => b.alias.length - a.alias.length);
+
+  // Alias die bij meerdere wetten hoort (bijv. "Pw") wijst geen wet aan
+  const byAlias = new Map();
+  for (const e of entries) {
+    const key = e.alias.toLowerCase().replace(/\s+/g, " ");
+    const prev = byAlias.get(key);
+    byAlias.set(key, prev === undefined || prev?.doc_id === e.law.doc_id ? e.law : null);
+  }
+  const alternation = entries.map(e => escapeRe(e.alias).replace(/\s+/g, "\\s+")).join("|");
+  const re = alternation ? new RegExp(`(?<![\\p{L}\\p{N}])(${alternation})(?![\\p{L}\\p{N}])`, "giu") : null;
+
+  return {
+    re,
+    lookup: alias => byAlias.get(alias.toLowerCase().replace(/\s+/g, " ")) || null
+  };
+}
+
+const defaultMatcher = lawMatcher(KNOWN_LAWS);
+
+// "3:40-3:45" / "3:40, 3:41 en 3:42" -> [{ article, article_to }]
+function splitArticles(list) {
+  const out = [];
+  const parts = list.split(/\s*(,|en|-|–|t\/m|tot en met)\s*/i).filter(p => p && p.trim());
+  for (let i = 0; i < parts.length; i++) {
+    const p = parts[i].trim().toLowerCase();
+    if (/^(,|en)$/.test(p)) continue;
+    if (/^(-|–|t\/m|tot en met)$/.test(p)) {
+      const to = (parts[i + 1] || "").trim().toLowerCase();
+      if (out.length && to) out[out.length - 1].article_to = to;
+      i++;
+      continue;
+    }
+    out.push({ article: p, article_to: null });
+  }
+  return out;
+}
+
+// lid en onderdeel direct na het artikelnummer
+function readDetails(tail) {
+  let rest = tail;
+  let lid = null;
+  let onderdeel = null;
+
+  let m = rest.match(/^[\s,]*(?:lid\s+(\d+[a-z]?)|(\p{L}+)\s+lid)\b/iu);
+  if (m) {
+    const ordinal = m[2] ? ORDINALS.indexOf(m[2].toLowerCase()) : -1;
+    if (m[1] || ordinal >= 0) {
+      lid = m[1] || String(ordinal + 1);
+      rest = rest.slice(m[0].length);
+    }
+  }
+
+  m = rest.match(/^[\s,]*(?:aanhef\s+en\s+)?(?:onder|sub|onderdeel)\s+([a-z]{1,2}|\d+°?)(?![\p{L}\p{N}])[.,]?/iu);
+  if (m) {
+    onderdeel = m[1].toLowerCase();
+    rest = rest.slice(m[0].length);
+  }
+
+  return { lid, onderdeel, consumed: tail.length - rest.length };
+}
+
+// "van de Wet op de X" zonder bekende alias: de genoemde naam (tot leesteken of werkwoord)
+const UNKNOWN_LAW_RE = /^[\s,]*van\s+(?:de|het)\s+(\p{L}[\p{L}\p{N} -]{1,100}?)(?=\s*[,.;:()]|\s+(?:en|of|is|zijn|wordt|worden|niet|bedoelde)\b|$)/u;
+// Een naam met hoofdletter, of (in kleine letters, zoals zoekvragen) een die als regeling begint:
+// "wet op de …", "gemeentewet", "besluit …", "verordening …"
+const LAW_NAME_RE = /^(?:\p{Lu}|(?:\p{L}*wet(?:boek)?|besluit|regeling|verordening|beleidsregels?|reglement)(?!\p{L}))/u;
+
+/**
+ * @param {string} text
+ * @param {{ laws?: { doc_id: string, short?: string, aliases: string[] }[], strict?: boolean }} opts
+ *   laws: wettenregister (standaard KNOWN_LAWS)
+ *   strict: alleen een wet direct na de verwijzing telt (voor wetstekst: "artikel 5" zonder wet is
+ *   een interne verwijzing, ook als elders in de tekst een andere wet genoemd wordt)
+ * @returns {{ raw: string, doc_id: string|null, law: string|null, article: string,
+ *             article_to: string|null, lid: string|null, onderdeel: string|null }[]}
+ */
+function parseCitations(text, { laws, strict = false } = {}) {
+  const src = (text || "").toString();
+  const matcher = laws ? lawMatcher(laws) : defaultMatcher;
+
+  const lawHits = [];
+  if (matcher.re) {
+    matcher.re.lastIndex = 0;
+    let lm;
+    while ((lm = matcher.re.exec(src))) {
+      const law = matcher.lookup(lm[1]);
+      if (law) lawHits.push({ start: lm.index, end: lm.index + lm[0].length, law, alias: lm[1] });
+    }
+  }
+  // Eén wet in de hele tekst geldt voor verwijzingen zonder eigen wet
+  const distinctLaws = [...new Set(lawHits.map(h => h.law.doc_id))];
+  const onlyLaw = distinctLaws.length === 1 ? lawHits[0] : null;
+
+  const out = [];
+  ARTICLE_RE.lastIndex = 0;
+  let m;
+  while ((m = ARTICLE_RE.exec(src))) {
+    // Niet eindigen op een scheidingsteken ("artikel 3:40, tweede lid")
+    const list = m[1].replace(new RegExp(`${SEP}$`, "i"), "");
+    const listEnd = m.index + m[0].length - (m[1].length - list.length);
+
+    const details = readDetails(src.slice(listEnd, listEnd + 80));
+    let end = listEnd + details.consumed;
+
+    // Wet direct erna ("Awb", "van de Awb") of direct ervoor ("Awb artikel 3:40")
+    const after = src.slice(end).match(/^[\s,]*(?:van\s+(?:de|het)\s+)?/i)[0].length + end;
+    let hit = lawHits.find(h => h.start === after);
+    let lawText = null;
+    if (hit) end = hit.end;
+    if (!hit) {
+      const unknown = src.slice(end).match(UNKNOWN_LAW_RE);
+      if (unknown && LAW_NAME_RE.test(unknown[1])) {
+        lawText = unknown[1].trim();
+        end += unknown[0].length;
+      }
+    }
+    if (!hit && !lawText && !strict) {
+      hit = lawHits.find(h => h.end <= m.index && /^\s*$/.test(src.slice(h.end, m.index))) || onlyLaw;
+    }
+
+    for (const a of splitArticles(list)) {
+      out.push({
+        raw: src.slice(m.index, end).trim(),
+        doc_id: hit?.law.doc_id || null,
+        law: hit ? (hit.law.short || hit.alias) : null,
+        law_text: lawText,
+        article: a.article,
+        article_to: a.article_to,
+        lid: details.lid,
+        onderdeel: details.onderdeel
+      });
+    }
+    ARTICLE_RE.lastIndex = Math.max(ARTICLE_RE.lastIndex, end);
+  }
+
+  return out;
+}
+
+// Reeks 3:40-3:45 uitschrijven (alleen als alleen het laatste getal verschilt, max `max` stuks)
+function expandRange(from, to, max = 25) {
+  if (!to) return [from];
+  const a = from.match(/^(.*?)(\d+)$/);
+  const b = to.match(/^(.*?)(\d+)$/);
+  if (!a || !b || a[1] !== b[1]) return [from, to];
+  const start = parseInt(a[2], 10);
+  const stop = parseInt(b[2], 10);
+  if (stop < start || stop - start >= max) return [from, to];
+  const out = [];
+  for (let n = start; n <= stop; n++) out.push(`${a[1]}${n}`);
+  return out;
+}
+
+/**
+ * Het geciteerde lid/onderdeel uit een artikeltekst (regels "1. …", "a. …" zoals lib/bwb-xml.js ze maakt).
+ * Geeft null als het lid of onderdeel niet te vinden is.
+ */
+function extractProvision(text, { lid, onderdeel } = {}) {
+  const lines = (text || "").split("\n");
+  let body = lines;
+
+  if (lid) {
+    // Leden lopen op (1., 2., 3.); genummerde lijstitems binnen een lid vallen daardoor niet samen met een lid
+    let expected = 1;
+    let start = -1;
+    let stop = lines.length;
+    for (let i = 0; i < lines.length; i++) {
+      const m = lines[i].match(/^(\d+[a-z]?)\.\s/);
+      if (!m || m[1] !== String(expected)) continue;
+      if (start >= 0) { stop = i; break; }
+      if (m[1] === lid) start = i;
+      expected++;
+    }
+    if (start < 0) return null;
+    body = lines.slice(start, stop);
+  }
+
+  if (onderdeel) {
+    const re = new RegExp(`^${escapeRe(onderdeel)}\\.?\\s`, "i");
+    const start = body.findIndex(l => re.test(l));
+    if (start < 0) return null;
+    let stop = body.findIndex((l, i) => i > start && /^([a-z]{1,2}|\d+°?)\.?\s/.test(l) && !re.test(l));
+    if (stop < 0) stop = body.length;
+    body = body.slice(start, stop);
+  }
+
+  return body.join("\n").trim() || null;
+}
+
+module.exports = { parseCitations, expandRange, extractProvision, KNOWN_LAWS };
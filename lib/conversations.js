@@ -0,0 +1,86 @@
+// beleidsbank-api/lib/conversations.js
+// Gesprekken aan de serverkant: chat leest de geschiedenis uit de database, niet uit het verzoek,
+// zodat een client geen "assistant"-beurten kan verzinnen en een gesprek op een ander apparaat verder kan.
+//
+// Een gesprek heeft een willekeurige uuid. Met een API-sleutel gestart hoort het bij die sleutel
+// (owner "key:<id>") en kan alleen die sleutel het lezen, hernoemen of verwijderen. Anoniem gestart
+// heeft het geen eigenaar: de uuid zelf is dan de toegang (zoals een deellink).
+// Per beurt: vraag, herschreven zoekquery, opgehaalde chunk-ids, geciteerde bronnen en het antwoord.
+// Tabellen: zie migratie 20261019230000_conversations.sql.
+
+const crypto = require("crypto");
+const { identifyClient } = require("./auth");
+const { HttpError } = require("./http");
+const { getStore } = require("./store");
+
+const UUID_RE = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/;
+
+// Zoals de oude client-history: laatste 12 berichten van hoogstens 1200 tekens
+const HISTORY_TURNS = 6;
+const HISTORY_CHARS = 1200;
+
+// Eigenaar voor nieuwe gesprekken: de sleutel, of null voor anoniem (IP-adressen wisselen)
+async function conversationOwner(req, client) {
+  const c = client || await identifyClient(req);
+  return c.kind === "key" ? c.id : null;
+}
+
+function titleFrom(text) {
+  const t = (text || "").replace(/\s+/g, " ").trim();
+  return t.length > 80 ? `${t.slice(0, 79)}…` : t || "Nieuw gesprek";
+}
+
+/**
+ * Gesprek ophalen voor deze eigenaar. Van een ander (of onbekend): 404, zonder te verraden welke.
+ * @throws {HttpError} 404
+ */
+async function getConversation(id, owner, { store = getStore() } = {}) {
+  const conv = UUID_RE.test(id || "") ? await store.getConversation(id) : null;
+  if (!conv || (conv.owner && conv.owner !== owner)) {
+    throw new HttpError(404, "gesprek niet gevonden", { details: { id } });
+  }
+  return conv;
+}
+
+// Laatste beurten als chatberichten (user/assistant), oudste eerst
+async function conversationHistory(id, { store = getStore() } = {}) {
+  const turns = await store.listConversationTurns(id, { limit: HISTORY_TURNS, newestFirst: true });
+  return turns
+    .reverse()
+    .flatMap(t => [
+      { role: "user", content: String(t.question || "").slice(0, HISTORY_CHARS) },
+      { role: "assistant", content: String(t.answer || "").slice(0, HISTORY_CHARS) }
+    ])
+    .filter(m => m.content);
+}
+
+/**
+ * Beurt vastleggen; maakt het gesprek aan als het er nog niet is.
+ * @param {object|null} conv  bestaand gesprek (van getConversation) of null
+ * @param {{ question: string, rewritten_query: string|null, chunk_ids: Array<number|string>, sources: object[],
+ *           answer: string, peildatum: string, cache_hit?: boolean }} turn
+ * @returns {Promise<{ conversation: object, turn: object }>}
+ */
+async function recordTurn(conv, owner, turn, { store = getStore() } = {}) {
+  const now = new Date().toISOString();
+  const conversation = conv || await store.insertConversation({
+    id: crypto.randomUUID(),
+    owner,
+    title: titleFrom(turn.question),
+    created_at: now,
+    updated_at: now
+  });
+
+  const saved = await store.insertConversationTurn({ conversation_id: conversation.id, ...turn });
+  if (conv) await store.updateConversation(conversation.id, { updated_at: now });
+  return { conversation, turn: saved };
+}
+
+module.exports = {
+  conversationOwner,
+  getConversation,
+  conversationHistory,
+  recordTurn,
+  titleFrom,
+  UUID_RE
+};
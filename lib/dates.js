@@ -0,0 +1,35 @@
+// beleidsbank-api/lib/dates.js
+// Datumhulpjes voor peildatum / geldigheid (altijd ISO yyyy-mm-dd, UTC).
+
+function todayIso() {
+  return new Date().toISOString().slice(0, 10);
+}
+
+// Geldige yyyy-mm-dd of null
+function parseIsoDate(v) {
+  const s = (v ?? "").toString().trim();
+  if (!/^\d{4}-\d{2}-\d{2}$/.test(s)) return null;
+  const d = new Date(`${s}T00:00:00Z`);
+  if (Number.isNaN(d.getTime()) || d.toISOString().slice(0, 10) !== s) return null;
+  return s;
+}
+
+// Peildatum uit request; standaard vandaag
+function parsePeildatum(v) {
+  return parseIsoDate(v) || todayIso();
+}
+
+// yyyy-mm-dd plus n dagen
+function addDays(iso, n) {
+  const d = new Date(`${iso}T00:00:00Z`);
+  d.setUTCDate(d.getUTCDate() + n);
+  return d.toISOString().slice(0, 10);
+}
+
+// Is een rij met valid_from/valid_to geldig op datum d?
+function isValidOn(row, d) {
+  const from = row?.valid_from || "0000-01-01";
+  return from <= d && (!row?.valid_to || row.valid_to > d);
+}
+
+module.exports = { todayIso, parseIsoDate, parsePeildatum, addDays, isValidOn };
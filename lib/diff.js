@@ -0,0 +1,107 @@
+// beleidsbank-api/lib/diff.js
+// Woord-diff (Myers) voor het vergelijken van artikelversies.
+
+function tokenize(text) {
+  return (text || "").split(/\s+/).filter(Boolean);
+}
+
+// Boven dit aantal verschillen is de diff toch onleesbaar: dan alles weg en alles nieuw.
+// Begrenst ook het geheugen van de trace (ongeveer MAX_D² getallen), want /api/article-diff is publiek.
+const MAX_D = 1000;
+
+// Myers O((N+M)D): geeft een lijst { op: "equal"|"delete"|"insert", token }
+function myers(a, b) {
+  const n = a.length;
+  const m = b.length;
+  const max = Math.min(n + m, MAX_D);
+  const off = max + 1;
+  const v = new Int32Array(2 * max + 3);
+  // Per ronde d alleen de diagonalen -d..d bewaren (trace[d][k + d])
+  const trace = [];
+  let found = n + m === 0;
+
+  outer:
+  for (let d = 0; d <= max; d++) {
+    trace.push(v.slice(off - d, off + d + 1));
+    for (let k = -d; k <= d; k += 2) {
+      let x = (k === -d || (k !== d && v[off + k - 1] < v[off + k + 1]))
+        ? v[off + k + 1]
+        : v[off + k - 1] + 1;
+      let y = x - k;
+      while (x < n && y < m && a[x] === b[y]) { x++; y++; }
+      v[off + k] = x;
+      if (x >= n && y >= m) { found = true; break outer; }
+    }
+  }
+
+  if (!found) {
+    return [
+      ...a.map(token => ({ op: "delete", token })),
+      ...b.map(token => ({ op: "insert", token }))
+    ];
+  }
+
+  const ops = [];
+  let x = n;
+  let y = m;
+
+  for (let d = trace.length - 1; d >= 0; d--) {
+    const tv = trace[d];
+    const at = k => tv[k + d];
+    const k = x - y;
+    const prevK = (k === -d || (k !== d && at(k - 1) < at(k + 1))) ? k + 1 : k - 1;
+    const prevX = at(prevK);
+    const prevY = prevX - prevK;
+
+    while (x > prevX && y > prevY) {
+      ops.push({ op: "equal", token: a[x - 1] });
+      x--; y--;
+    }
+    if (d > 0) {
+      if (x === prevX) ops.push({ op: "insert", token: b[y - 1] });
+      else ops.push({ op: "delete", token: a[x - 1] });
+    }
+    x = prevX;
+    y = prevY;
+  }
+
+  return ops.reverse();
+}
+
+/**
+ * Woord-diff tussen twee teksten. Opeenvolgende tokens met dezelfde op worden samengevoegd.
+ * @returns {{ ops: {op:string,text:string}[], stats: {equal:number,inserted:number,deleted:number} }}
+ */
+function diffWords(oldText, newText) {
+  const a = tokenize(oldText);
+  const b = tokenize(newText);
+
+  // Gemeenschappelijk begin en eind buiten Myers houden (scheelt geheugen bij lange artikelen)
+  let start = 0;
+  while (start < a.length && start < b.length && a[start] === b[start]) start++;
+  let endA = a.length;
+  let endB = b.length;
+  while (endA > start && endB > start && a[endA - 1] === b[endB - 1]) { endA--; endB--; }
+
+  const raw = [
+    ...a.slice(0, start).map(token => ({ op: "equal", token })),
+    ...myers(a.slice(start, endA), b.slice(start, endB)),
+    ...a.slice(endA).map(token => ({ op: "equal", token }))
+  ];
+
+  const ops = [];
+  const stats = { equal: 0, inserted: 0, deleted: 0 };
+  for (const r of raw) {
+    if (r.op === "equal") stats.equal++;
+    else if (r.op === "insert") stats.inserted++;
+    else stats.deleted++;
+
+    const last = ops[ops.length - 1];
+    if (last && last.op === r.op) last.text += ` ${r.token}`;
+    else ops.push({ op: r.op, text: r.token });
+  }
+
+  return { ops, stats };
+}
+
+module.exports = { diffWords };
@@ -0,0 +1,225 @@
+// beleidsbank-api/lib/dutch.js
+// Nederlandse tekstanalyse in JS: stopwoorden, Snowball-stemmer (zelfde algoritme als de
+// Postgres `dutch` configuratie), zoekquery-parsing en highlights.
+// Gebruikt door de memory-store (keyword_chunks) en voor snippets bij vectorresultaten.
+
+// Snowball dutch stopwoordenlijst (zoals in Postgres tsearch_data/dutch.stop)
+const STOPWORDS = new Set(`
+de en van ik te dat die in een hij het niet zijn is was op aan met als voor had er maar om hem
+dan zou of wat mijn men dit zo door over ze zich bij ook tot je mij uit der daar haar naar heb
+hoe heeft hebben deze u want nog zal me zij nu ge geen omdat iets worden toch al waren veel
+meer doen toen moet ben zonder kan hun dus alles onder ja eens hier wie werd altijd doch wordt
+wezen kunnen ons zelf tegen na reeds wil kon niets uw iemand geweest andere
+`.trim().split(/\s+/));
+
+const VOWEL = /[aeiouyè]/;
+
+function isVowel(ch) {
+  return !!ch && VOWEL.test(ch);
+}
+
+function removeAccents(w) {
+  return w
+    .replace(/[äá]/g, "a")
+    .replace(/[ëé]/g, "e")
+    .replace(/[ïí]/g, "i")
+    .replace(/[öó]/g, "o")
+    .replace(/[üú]/g, "u");
+}
+
+// Begin van R1/R2: na de eerste niet-klinker die op een klinker volgt
+function regionStart(w, from) {
+  for (let i = from + 1; i < w.length; i++) {
+    if (!isVowel(w[i]) && isVowel(w[i - 1])) return i + 1;
+  }
+  return w.length;
+}
+
+function undouble(w) {
+  return /(kk|dd|tt)$/.test(w) ? w.slice(0, -1) : w;
+}
+
+/**
+ * Snowball Dutch stemmer.
+ * @param {string} word  kleine letters
+ */
+function stem(word) {
+  let w = removeAccents(word);
+  if (w.length < 3) return w;
+
+  // y aan het begin of na een klinker, en i tussen klinkers, gelden als medeklinker
+  w = w.replace(/^y/, "Y");
+  w = w.replace(/([aeiouyè])y/g, "$1Y");
+  w = w.replace(/([aeiouyè])i(?=[aeiouyè])/g, "$1I");
+
+  // R2 wordt vanaf de onaangepaste R1 bepaald; R1 zelf begint op z'n vroegst na 3 letters
+  const r1Raw = regionStart(w, 0);
+  const r1 = Math.max(3, r1Raw);
+  const r2 = regionStart(w, r1Raw);
+  const inR1 = i => i >= r1;
+  const inR2 = i => i >= r2;
+
+  const validS = i => i > 0 && !isVowel(w[i - 1]) && w[i - 1] !== "j";
+  const validEn = i => i > 0 && !isVowel(w[i - 1]) && !w.slice(0, i).endsWith("gem");
+
+  // Stap 1
+  let m;
+  if ((m = w.match(/heden$/))) {
+    if (inR1(m.index)) w = w.slice(0, m.index) + "heid";
+  } else if ((m = w.match(/(ene|en)$/))) {
+    if (inR1(m.index) && validEn(m.index)) w = undouble(w.slice(0, m.index));
+  } else if ((m = w.match(/(se|s)$/))) {
+    if (inR1(m.index) && validS(m.index)) w = w.slice(0, m.index);
+  }
+
+  // Stap 2
+  let eFound = false;
+  if (/e$/.test(w) && inR1(w.length - 1) && !isVowel(w[w.length - 2])) {
+    w = undouble(w.slice(0, -1));
+    eFound = true;
+  }
+
+  // Stap 3a
+  if ((m = w.match(/heid$/)) && inR2(m.index) && w[m.index - 1] !== "c") {
+    w = w.slice(0, m.index);
+    const en = w.match(/en$/);
+    if (en && inR1(en.index) && validEn(en.index)) w = undouble(w.slice(0, en.index));
+  }
+
+  // Stap 3b
+  if ((m = w.match(/(end|ing)$/))) {
+    if (inR2(m.index)) {
+      w = w.slice(0, m.index);
+      const ig = w.match(/ig$/);
+      if (ig && inR2(ig.index) && w[ig.index - 1] !== "e") w = w.slice(0, ig.index);
+      else w = undouble(w);
+    }
+  } else if ((m = w.match(/ig$/))) {
+    if (inR2(m.index) && w[m.index - 1] !== "e") w = w.slice(0, m.index);
+  } else if ((m = w.match(/lijk$/))) {
+    if (inR2(m.index)) {
+      w = w.slice(0, m.index);
+      if (/e$/.test(w) && inR1(w.length - 1) && !isVowel(w[w.length - 2])) w = undouble(w.slice(0, -1));
+    }
+  } else if ((m = w.match(/baar$/))) {
+    if (inR2(m.index)) w = w.slice(0, m.index);
+  } else if ((m = w.match(/bar$/))) {
+    if (inR2(m.index) && eFound) w = w.slice(0, m.index);
+  }
+
+  // Stap 4: dubbele klinker in CVVD terugbrengen (maan -> man)
+  if ((m = w.match(/([^aeiouyè])(aa|ee|oo|uu)([^aeiouyèI])$/))) {
+    w = w.slice(0, m.index + 2) + m[3];
+  }
+
+  return w.replace(/I/g, "i").replace(/Y/g, "y");
+}
+
+/**
+ * Woorden met positie in de oorspronkelijke tekst.
+ * @returns {{ word: string, stem: string, stop: boolean, start: number, end: number }[]}
+ */
+function tokenize(text) {
+  const out = [];
+  const re = /[\p{L}\p{N}]+/gu;
+  let m;
+  while ((m = re.exec(text || ""))) {
+    const word = m[0].toLowerCase();
+    out.push({ word, stem: stem(word), stop: STOPWORDS.has(word), start: m.index, end: m.index + m[0].length });
+  }
+  return out;
+}
+
+function stems(text) {
+  return tokenize(text).filter(t => !t.stop).map(t => t.stem);
+}
+
+/**
+ * Zoekquery in websearch-stijl (zoals websearch_to_tsquery):
+ * losse woorden (EN), "zinsdelen" (woorden achter elkaar) en -woord (uitsluiten).
+ * @returns {{ terms: string[], phrases: string[][], excluded: string[] }}
+ */
+function parseQuery(q) {
+  const phrases = [];
+  const excluded = [];
+  const terms = [];
+
+  const rest = (q || "").replace(/"([^"]*)"/g, (_, p) => {
+    const s = stems(p);
+    if (s.length > 1) phrases.push(s);
+    else terms.push(...s);
+    return " ";
+  });
+
+  for (const part of rest.split(/\s+/).filter(Boolean)) {
+    if (part.startsWith("-")) excluded.push(...stems(part.slice(1)));
+    else if (part.toLowerCase() !== "or") terms.push(...stems(part));
+  }
+
+  return { terms: [...new Set(terms)], phrases, excluded: [...new Set(excluded)] };
+}
+
+function hasPhrase(tokens, phrase) {
+  const seq = tokens.filter(t => !t.stop).map(t => t.stem);
+  outer:
+  for (let i = 0; i + phrase.length <= seq.length; i++) {
+    for (let j = 0; j < phrase.length; j++) {
+      if (seq[i + j] !== phrase[j]) continue outer;
+    }
+    return true;
+  }
+  return false;
+}
+
+/**
+ * Score van een tekst voor een geparste query (0 = geen match). Benadert ts_rank_cd
+ * met normalisatie op lengte: treffers / (1 + log(aantal woorden)).
+ */
+function matchScore(text, query, { weight = 1 } = {}) {
+  const tokens = tokenize(text);
+  const wanted = new Set([...query.terms, ...query.phrases.flat()]);
+  if (!wanted.size) return 0;
+  if (query.excluded.some(s => tokens.some(t => t.stem === s))) return -1;
+
+  const present = new Set(tokens.map(t => t.stem));
+  if (![...wanted].every(s => present.has(s))) return 0;
+  if (!query.phrases.every(p => hasPhrase(tokens, p))) return 0;
+
+  const hits = tokens.filter(t => !t.stop && wanted.has(t.stem)).length;
+  return (weight * hits) / (1 + Math.log(1 + tokens.length));
+}
+
+/**
+ * Fragment rond de eerste treffer met <mark>…</mark> (zelfde markering als ts_headline in keyword_chunks).
+ * Zonder treffer: de eerste `maxWords` woorden.
+ */
+function headline(text, query, { maxWords = 35 } = {}) {
+  const src = (text || "").replace(/\s+/g, " ").trim();
+  const tokens = tokenize(src);
+  if (!tokens.length) return "";
+
+  const wanted = new Set([...query.terms, ...query.phrases.flat()]);
+  const first = tokens.findIndex(t => !t.stop && wanted.has(t.stem));
+  const from = first < 0 ? 0 : Math.max(0, first - Math.floor(maxWords / 3));
+  const to = Math.min(tokens.length, from + maxWords);
+
+  let out = "";
+  let pos = tokens[from].start;
+  for (let i = from; i < to; i++) {
+    const t = tokens[i];
+    out += src.slice(pos, t.start);
+    const word = src.slice(t.start, t.end);
+    out += !t.stop && wanted.has(t.stem) ? `<mark>${word}</mark>` : word;
+    pos = t.end;
+  }
+  // Leestekens direct na het laatste woord meenemen
+  out += (src.slice(pos).match(/^[^\s\p{L}\p{N}]*/u) || [""])[0];
+
+  return `${from > 0 ? "… " : ""}${out}${to < tokens.length ? " …" : ""}`;
+}
+
+function stripMarks(text) {
+  return (text || "").replace(/<\/?mark>/g, "");
+}
+
+module.exports = { STOPWORDS, stem, tokenize, stems, parseQuery, matchScore, headline, stripMarks };
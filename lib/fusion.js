@@ -0,0 +1,58 @@
+// beleidsbank-api/lib/fusion.js
+// Reciprocal rank fusion (RRF) van meerdere ranglijsten, met gewicht per bron.
+// score(d) = Σ gewicht_bron / (k + rang_bron(d)), rang vanaf 1. Dubbele ids worden samengevoegd.
+
+const DEFAULT_K = 60;
+
+/**
+ * @param {{ [source: string]: object[] }} lists   per bron een gesorteerde lijst rijen met `id`
+ * @param {{ k?: number, weights?: { [source: string]: number }, scoreField?: { [source: string]: string } }} opts
+ *   scoreField: kolom met de ruwe score per bron (bijv. similarity); komt ter uitleg in scores[bron].score
+ * @returns {object[]} rijen met score, provenance ("vector" | "keyword" | "both" | ...) en scores per bron
+ */
+function fuseRankings(lists, { k = DEFAULT_K, weights = {}, scoreField = {} } = {}) {
+  const byId = new Map();
+
+  for (const [source, rows] of Object.entries(lists)) {
+    const weight = weights[source] ?? 1;
+    const seen = new Set();
+    let rank = 0;
+
+    for (const row of rows || []) {
+      if (row?.id == null || seen.has(row.id)) continue;
+      seen.add(row.id);
+      rank++;
+
+      const contribution = weight / (k + rank);
+      const entry = byId.get(row.id) || { row, score: 0, scores: {} };
+      entry.score += contribution;
+      entry.scores[source] = {
+        rank,
+        ...(scoreField[source] && row[scoreField[source]] != null ? { score: row[scoreField[source]] } : {}),
+        contribution
+      };
+      byId.set(row.id, entry);
+    }
+  }
+
+  const sources = Object.keys(lists);
+
+  return [...byId.values()]
+    .map(e => {
+      const hits = sources.filter(s => e.scores[s]);
+      return {
+        ...e.row,
+        score: e.score,
+        provenance: hits.length > 1 ? "both" : hits[0],
+        scores: e.scores
+      };
+    })
+    // Gelijke score: eerst de rij die in meer bronnen voorkomt, dan op id (stabiel)
+    .sort((a, b) =>
+      b.score - a.score ||
+      Object.keys(b.scores).length - Object.keys(a.scores).length ||
+      String(a.id).localeCompare(String(b.id), undefined, { numeric: true })
+    );
+}
+
+module.exports = { fuseRankings, DEFAULT_K };
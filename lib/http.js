@@ -0,0 +1,319 @@
+// beleidsbank-api/lib/http.js
+// Gedeelde request-pipeline voor alle endpoints: CORS met een origin-allowlist, request-id,
+// methodecheck, configuratiecheck, invoervalidatie via een schema en één foutformaat.
+//
+// module.exports = endpoint({
+//   name: "source",
+//   requires: ["store"],                          // 503 als store/llm niet geconfigureerd is
+//   GET: { query: { id: { type: "string", required: true } } },
+//   POST: { role: "ingester", body: {...} }       // role: zie lib/auth.js; params: query en body samen
+// }, async (req, res, ctx) => { ... });  // ctx: { requestId, method, actor, client, query, body, params, llm }
+//
+// limit: "chat" zet de rate limit van dat endpoint aan, budget: true ook het dagbudget; ctx.llm telt
+// dan het tokenverbruik mee (zie lib/rate-limit.js). Zonder budget is ctx.llm gewoon getLlm().
+// ctx.client is de client van de rate limit (sleutel of IP), of null als die uit staat.
+//
+// Fouten: gooi een HttpError (of een subklasse, zoals IngestError). Elke fout gaat als
+//   { ok: false, error: "<melding>", code: "<code>", details?, request_id }
+// met een passende statuscode. Onverwachte fouten worden 500 internal_error.
+//
+// Env:
+// CORS_ORIGINS  komma-lijst toegestane origins; * is een joker binnen hostnaam of poort, bijv.
+//               "https://app.beleidsbank.nl,https://beleidsbank-*.vercel.app,http://localhost:*".
+//               Standaard: productie plus localhost en 127.0.0.1 (elke poort).
+//               Verzoeken zonder Origin (server, cron, curl) worden niet door CORS tegengehouden.
+
+const crypto = require("crypto");
+const { parseIsoDate } = require("./dates");
+
+const DEFAULT_ORIGINS = "https://app.beleidsbank.nl,http://localhost:*,http://127.0.0.1:*";
+const ALLOW_HEADERS = "Content-Type, Authorization, X-Api-Key, X-Request-Id";
+const EXPOSE_HEADERS = "X-Request-Id, RateLimit-Limit, RateLimit-Remaining, RateLimit-Reset, RateLimit-Policy, Retry-After";
+const METHODS = ["GET", "POST", "PUT", "PATCH", "DELETE"];
+
+const CODES = {
+  400: "bad_request",
+  401: "unauthorized",
+  403: "forbidden",
+  404: "not_found",
+  405: "method_not_allowed",
+  409: "conflict",
+  413: "payload_too_large",
+  422: "unprocessable",
+  429: "rate_limited",
+  500: "internal_error",
+  502: "upstream_error",
+  503: "not_configured"
+};
+
+class HttpError extends Error {
+  /**
+   * @param {number} status
+   * @param {string} message
+   * @param {{ code?: string, details?: object }} [opts]  code standaard afgeleid van status
+   */
+  constructor(status, message, { code, details } = {}) {
+    super(message);
+    this.name = "HttpError";
+    this.status = status;
+    this.code = code || CODES[status] || (status >= 500 ? "internal_error" : "bad_request");
+    this.details = details || null;
+  }
+}
+
+// Validatiefout buiten het schema om (bijv. een combinatie van velden)
+function invalidInput(message, field) {
+  return new HttpError(400, message, { code: "invalid_input", details: field ? { fields: { [field]: message } } : null });
+}
+
+// ---------- CORS ----------
+
+let allowlist = { raw: null, patterns: [] };
+
+function originPatterns(env = process.env) {
+  const raw = env.CORS_ORIGINS || DEFAULT_ORIGINS;
+  if (allowlist.raw !== raw) {
+    const patterns = raw
+      .split(",")
+      .map(s => s.trim().toLowerCase().replace(/\/+$/, ""))
+      .filter(Boolean)
+      .map(p => new RegExp(`^${p.split("*").map(x => x.replace(/[.+?^${}()|[\]\\/]/g, "\\$&")).join("[a-z0-9-]+")}$`));
+    allowlist = { raw, patterns };
+  }
+  return allowlist.patterns;
+}
+
+function isAllowedOrigin(origin, env = process.env) {
+  const o = (origin || "").toString().trim().toLowerCase();
+  return !!o && originPatterns(env).some(re => re.test(o));
+}
+
+// ---------- request-id ----------
+
+function requestIdFor(req) {
+  const given = (req.headers?.["x-request-id"] || "").toString().trim();
+  return /^[\w.:-]{8,128}$/.test(given) ? given : crypto.randomUUID();
+}
+
+// ---------- validatie ----------
+
+function toBool(v) {
+  const s = (v ?? "").toString().toLowerCase().trim();
+  return s === "1" || s === "true" || s === "yes";
+}
+
+function clamp(n, range) {
+  return range ? Math.min(range[1], Math.max(range[0], n)) : n;
+}
+
+/**
+ * Eén veld valideren en omzetten. Specificatie:
+ *   type: "string" | "int" | "number" | "bool" | "date" | "list" | "enum" | "array" | "object" | "any"
+ *   required, default (waarde of functie), from (alternatieve namen, bijv. ["artikel"])
+ *   string/list-items: maxLength, pattern, upper, lower, values (toegestane waarden)
+ *   int/number: range [min, max] (waarden daarbuiten worden begrensd)
+ *   array: maxItems
+ * @returns {{ value?: any, error?: string }}
+ */
+function checkField(name, spec, raw) {
+  const missing = raw == null || (typeof raw === "string" && raw.trim() === "") || (Array.isArray(raw) && !raw.length);
+  if (missing) {
+    if (spec.required) return { error: spec.message || `${name} ontbreekt` };
+    const d = typeof spec.default === "function" ? spec.default() : spec.default;
+    return { value: d === undefined ? null : typeof d === "number" ? clamp(d, spec.range) : d };
+  }
+
+  const str = v => {
+    let s = (Array.isArray(v) ? v[0] : v ?? "").toString().trim();
+    if (spec.upper) s = s.toUpperCase();
+    if (spec.lower) s = s.toLowerCase();
+    return s;
+  };
+  const fail = fallback => ({ error: spec.message || fallback });
+
+  switch (spec.type || "string") {
+    case "string":
+    case "enum": {
+      const s = str(raw);
+      if (spec.maxLength && s.length > spec.maxLength) return fail(`${name} mag maximaal ${spec.maxLength} tekens zijn`);
+      if (spec.pattern && !spec.pattern.test(s)) return fail(`${name} is ongeldig`);
+      if (spec.values && !spec.values.includes(s)) return fail(`${name} moet een van ${spec.values.join(", ")} zijn`);
+      return { value: s };
+    }
+    case "int":
+    case "number": {
+      const n = spec.type === "int" ? parseInt(str(raw), 10) : parseFloat(str(raw));
+      if (!Number.isFinite(n)) return fail(`${name} moet een getal zijn`);
+      return { value: clamp(n, spec.range) };
+    }
+    case "bool":
+      return { value: raw === true || toBool(str(raw)) };
+    case "date": {
+      const d = parseIsoDate(str(raw));
+      return d ? { value: d } : fail(`${name} moet yyyy-mm-dd zijn`);
+    }
+    case "list": {
+      // "a,b", ?x=a&x=b of ["a", "b"]
+      const parts = (Array.isArray(raw) ? raw : [raw])
+        .flatMap(x => (x ?? "").toString().split(","))
+        .map(x => str(x))
+        .filter(Boolean);
+      const items = [...new Set(parts)];
+      const bad = items.filter(x =>
+        (spec.pattern && !spec.pattern.test(x)) ||
+        (spec.values && !spec.values.includes(x)) ||
+        (spec.maxLength && x.length > spec.maxLength)
+      );
+      if (bad.length) {
+        return fail(spec.values ? `${name} bevat onbekende waarden (toegestaan: ${spec.values.join(", ")})` : `${name} bevat ongeldige waarden`);
+      }
+      if (spec.required && !items.length) return fail(`${name} ontbreekt`);
+      return { value: items };
+    }
+    case "array":
+      if (!Array.isArray(raw)) return fail(`${name} moet een lijst zijn`);
+      return { value: spec.maxItems ? raw.slice(-spec.maxItems) : raw };
+    case "object":
+      if (typeof raw !== "object" || Array.isArray(raw)) return fail(`${name} moet een object zijn`);
+      return { value: raw };
+    default:
+      return { value: raw };
+  }
+}
+
+/**
+ * Invoer (query of body) tegen een schema controleren. Onbekende velden worden genegeerd.
+ * @throws {HttpError} 400 invalid_input met details.fields = { veld: melding }
+ */
+function validate(schema, input) {
+  const out = {};
+  const fields = {};
+  for (const [name, spec] of Object.entries(schema || {})) {
+    const key = [name, ...(spec.from || [])].find(k => input?.[k] != null && input[k] !== "");
+    const { value, error } = checkField(name, spec, key ? input[key] : undefined);
+    if (error) fields[name] = error;
+    else out[name] = value;
+  }
+  const errors = Object.values(fields);
+  if (errors.length) {
+    const err = invalidInput(errors.length === 1 ? errors[0] : "ongeldige invoer");
+    err.details = { fields };
+    throw err;
+  }
+  return out;
+}
+
+function parseBody(req) {
+  if (typeof req.body !== "string") return req.body || {};
+  if (!req.body.trim()) return {};
+  try {
+    return JSON.parse(req.body);
+  } catch {
+    throw new HttpError(400, "body is geen geldige JSON", { code: "invalid_json" });
+  }
+}
+
+// ---------- antwoorden ----------
+
+function errorBody(e, requestId) {
+  const known = e instanceof HttpError;
+  return {
+    ok: false,
+    error: known ? e.message : "Interne fout",
+    code: known ? e.code : "internal_error",
+    ...(known && e.details ? { details: e.details } : {}),
+    ...(!known ? { details: { message: String(e?.message || e) } } : {}),
+    request_id: requestId
+  };
+}
+
+function sendError(res, e, requestId) {
+  const status = e instanceof HttpError ? e.status : 500;
+  if (e instanceof HttpError && e.status === 405 && e.details?.allowed) res.setHeader("Allow", e.details.allowed.join(", "));
+  return res.status(status).json(errorBody(e, requestId));
+}
+
+// ---------- pipeline ----------
+
+function missingConfig(requires) {
+  for (const what of requires || []) {
+    // Lui laden: niet elk endpoint heeft store of llm nodig
+    const err = what === "store"
+      ? require("./store").getStore().missingConfig()
+      : what === "llm"
+        ? require("./llm").getLlm().missingConfig()
+        : null;
+    if (err) return err;
+  }
+  return null;
+}
+
+/**
+ * Vercel-handler met de gedeelde pipeline (zie kop van dit bestand).
+ * @param {object} config  name, requires, originRequired, limit, budget, en per methode { role, query, body, params }
+ * @param {(req, res, ctx) => Promise<any>} fn
+ */
+function endpoint(config, fn) {
+  const methods = METHODS.filter(m => config[m]);
+
+  return async (req, res) => {
+    const requestId = requestIdFor(req);
+    res.setHeader("X-Request-Id", requestId);
+
+    try {
+      // CORS: alleen origins uit de allowlist; zonder Origin geen CORS-headers
+      const origin = (req.headers?.origin || "").toString();
+      res.setHeader("Vary", "Origin");
+      if (origin) {
+        if (!isAllowedOrigin(origin)) throw new HttpError(403, "origin niet toegestaan", { code: "origin_not_allowed" });
+        res.setHeader("Access-Control-Allow-Origin", origin);
+        res.setHeader("Access-Control-Allow-Methods", [...methods, "OPTIONS"].join(", "));
+        res.setHeader("Access-Control-Allow-Headers", ALLOW_HEADERS);
+        res.setHeader("Access-Control-Expose-Headers", EXPOSE_HEADERS);
+        res.setHeader("Access-Control-Max-Age", "600");
+      } else if (config.originRequired) {
+        throw new HttpError(403, "origin niet toegestaan", { code: "origin_not_allowed" });
+      }
+      if (req.method === "OPTIONS") return res.status(204).end();
+
+      const method = (req.method || "GET").toUpperCase();
+      const spec = config[method];
+      if (!methods.includes(method)) {
+        throw new HttpError(405, `gebruik ${methods.join(" of ")}`, { details: { allowed: methods } });
+      }
+
+      const configError = missingConfig(config.requires);
+      if (configError) throw new HttpError(503, configError);
+
+      // Rate limit vóór de validatie: ook ongeldige verzoeken tellen mee
+      const limited = config.limit
+        ? await require("./rate-limit").enforce(req, res, config.limit, { budget: !!config.budget })
+        : null;
+
+      // Eerst de rol, dan pas de invoer: zonder token geen validatiefouten
+      const actor = spec.role ? await require("./auth").authorize(req, spec.role) : null;
+
+      const rawQuery = req.query || {};
+      const rawBody = method === "GET" ? {} : parseBody(req);
+      const ctx = {
+        requestId,
+        method,
+        actor,
+        client: limited?.client || null,
+        query: spec.query ? validate(spec.query, rawQuery) : rawQuery,
+        body: spec.body ? validate(spec.body, rawBody) : rawBody,
+        params: spec.params ? validate(spec.params, { ...rawQuery, ...rawBody }) : null,
+        llm: limited?.llm || ((config.requires || []).includes("llm") ? require("./llm").getLlm() : null)
+      };
+
+      return await fn(req, res, ctx);
+    } catch (e) {
+      if (!(e instanceof HttpError)) console.error(`[${config.name || "api"}] ${requestId}`, e);
+      // Stream al begonnen (chat): geen nieuw antwoord meer mogelijk
+      if (res.headersSent) return res.writableEnded ? undefined : res.end();
+      return sendError(res, e, requestId);
+    }
+  };
+}
+
+module.exports = { endpoint, validate, invalidInput, HttpError, errorBody, isAllowedOrigin };
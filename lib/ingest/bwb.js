@@ -0,0 +1,59 @@
+// beleidsbank-api/lib/ingest/bwb.js
+// Eén slice van een BWB-ingest: XML ophalen en structuur uitlezen; opslaan gaat via
+// lib/ingest/slice.js (incrementeel, zie daar). Gebruikt door /api/ingest-bwb en de job-runner (lib/jobs.js).
+
+const { parseBwbXml } = require("../bwb-xml");
+const { parseIsoDate } = require("../dates");
+const { lawShort } = require("../laws");
+const { getStore } = require("../store");
+const { ingestUnits, labelUnits, IngestError } = require("./slice");
+
+// Laatst geparste regeling per proces bewaren: de job-runner verwerkt meerdere slices
+// van dezelfde wet achter elkaar en hoeft de XML dan maar één keer op te halen.
+const PARSE_TTL_MS = 10 * 60_000;
+let lastParsed = null;
+
+async function loadBwb(id, peildatum, store){
+  const key = `${id}|${peildatum}`;
+  if (lastParsed?.key === key && Date.now() - lastParsed.at < PARSE_TTL_MS) return lastParsed;
+
+  const sourceUrl = `https://wetten.overheid.nl/${encodeURIComponent(id)}`;
+  const xmlUrl = `${sourceUrl}/${peildatum}/0/tekst.xml`;
+
+  const xmlResp = await fetch(xmlUrl, { redirect:"follow" });
+  const xml = await xmlResp.text();
+  if (!xmlResp.ok) {
+    throw new IngestError("Fetch wetten.overheid.nl XML failed", 502, { status: xmlResp.status, xmlUrl });
+  }
+
+  const parsed = parseBwbXml(xml);
+  // Korte naam uit het wettenregister (afkorting/citeertitel), anders de citeertitel uit de XML
+  const docShort = await lawShort(id, { store, fallbackTitle: parsed.title || id });
+
+  // Versie = toestand die op de peildatum gold
+  const validFrom = parseIsoDate(parsed.validFrom) || peildatum;
+
+  lastParsed = {
+    key,
+    at: Date.now(),
+    sourceUrl,
+    versionUrl: `${sourceUrl}/${validFrom}`,
+    validFrom,
+    title: parsed.title || docShort,
+    docShort,
+    units: labelUnits(docShort, parsed.units)
+  };
+  return lastParsed;
+}
+
+/**
+ * @param {{ id: string, peildatum: string, offset: number, limit: number, force?: boolean }} params
+ *   force: alles opnieuw embedden, ook ongewijzigde artikelen
+ * @returns {Promise<object>} zie ingestUnits (lib/ingest/slice.js)
+ */
+async function ingestBwbSlice(params, { store = getStore(), llm } = {}){
+  const doc = await loadBwb(params.id, params.peildatum, store);
+  return ingestUnits(doc, params, { store, llm });
+}
+
+module.exports = { ingestBwbSlice, IngestError };
@@ -0,0 +1,183 @@
+// beleidsbank-api/lib/ingest/cvdr.js
+// Ingest van decentrale regelgeving (CVDR, lokaleregelgeving.overheid.nl) via SRU-connectie cvdr:
+// verordeningen en beleidsregels van gemeenten, provincies, waterschappen en gemeenschappelijke
+// regelingen. Metadata uit het SRU-record, tekst uit de XML-manifestatie (zelfde artikelstructuur
+// als BWB, dus lib/bwb-xml.js). Opslaan gaat via lib/ingest/slice.js.
+//
+// Ingest per versie ("CVDR123456_2"); de chunks komen onder het werk-id ("CVDR123456"), zodat
+// versies elkaar opvolgen zoals bij BWB. valid_from = inwerkingtredingsdatum van de versie; heeft de
+// laatste versie een uitwerkingtredingsdatum, dan vervallen de artikelen op die dag (ingetrokken regeling).
+// documents krijgt source_type "cvdr", authority_type, authority_name en authority_code
+// (zie migratie 20261019180000_decentral_regulations.sql).
+
+const { parseBwbXml } = require("../bwb-xml");
+const { addDays, parseIsoDate } = require("../dates");
+const { getStore } = require("../store");
+const { sruUrl, fetchText } = require("../sru");
+const { parseXml, findAll, findFirst, textOf } = require("../xml");
+const { ingestUnits, labelUnits, IngestError } = require("./slice");
+
+// Organisatietypen in CVDR (dcterms:creator scheme "overheid:Gemeente", …)
+const AUTHORITY_TYPES = [
+  { type: "gemeente", cql: "Gemeente" },
+  { type: "provincie", cql: "Provincie" },
+  { type: "waterschap", cql: "Waterschap" },
+  { type: "gemeenschappelijke-regeling", cql: "Gemeenschappelijke regeling" }
+];
+
+function isCvdrVersionId(id) {
+  return /^CVDR\d+_\d+$/.test(id || "");
+}
+
+// "CVDR123456_2" -> "CVDR123456"
+function cvdrWorkId(id) {
+  return (id || "").replace(/_\d+$/, "");
+}
+
+function oneLine(s) {
+  return (s || "").replace(/\s+/g, " ").trim();
+}
+
+// "overheid:GemeenschappelijkeRegeling" / "Gemeenschappelijke regeling" -> "gemeenschappelijke-regeling"
+function authorityType(raw) {
+  const norm = oneLine(raw).replace(/^overheid:/i, "").replace(/[\s_-]+/g, "").toLowerCase();
+  return AUTHORITY_TYPES.find(t => t.cql.replace(/\s+/g, "").toLowerCase() === norm)?.type || null;
+}
+
+// SRU-records -> regelingversies met bevoegd gezag en XML-locatie
+function parseCvdrRecords(xml) {
+  const root = parseXml(xml);
+  const out = [];
+
+  for (const rec of findAll(root, "record")) {
+    const id = oneLine(textOf(findFirst(rec, "identifier")));
+    if (!isCvdrVersionId(id)) continue;
+
+    const creator = findFirst(rec, "creator");
+    // resourceIdentifier eindigt op de organisatiecode (gm0363, pv27, ws0155, …)
+    const code = (creator?.attrs?.resourceidentifier || "").split("/").pop() || null;
+    const date = n => parseIsoDate(textOf(findFirst(rec, n)).slice(0, 10)) || null;
+
+    out.push({
+      id,
+      work_id: cvdrWorkId(id),
+      title: oneLine(textOf(findFirst(rec, "title"))) || null,
+      authority_type: authorityType(creator?.attrs?.scheme) || authorityType(textOf(findFirst(rec, "organisatietype"))),
+      authority_name: oneLine(textOf(creator)) || null,
+      authority_code: code ? code.toLowerCase() : null,
+      valid_from: date("inwerkingtredingdatum") || date("issued"),
+      valid_to: date("uitwerkingtredingdatum"),
+      xml_url: oneLine(textOf(findFirst(rec, "publicatieurl_xml"))) ||
+        `https://repository.officiele-overheidspublicaties.nl/CVDR/${cvdrWorkId(id)}/${id.split("_").pop()}/xml/${id}.xml`,
+      source_url: oneLine(textOf(findFirst(rec, "preferred_url"))) ||
+        `https://lokaleregelgeving.overheid.nl/${id}`
+    });
+  }
+
+  const count = n => {
+    const v = parseInt(textOf(findFirst(root, n)), 10);
+    return Number.isFinite(v) ? v : null;
+  };
+
+  return { records: out, numberOfRecords: count("numberofrecords"), nextRecordPosition: count("nextrecordposition") };
+}
+
+/**
+ * Decentrale regelingen zoeken (voor het aanmaken van ingests).
+ * @param {{ authority?: string, types?: string[], from?: string, startRecord?: number, maximumRecords?: number }} params
+ *   authority: naam van het bevoegd gezag zoals in CVDR ("Amsterdam", "Noord-Holland")
+ *   from: alleen versies die op of na deze datum in werking traden
+ */
+async function searchCvdrRegulations({ authority, types = [], from, startRecord = 1, maximumRecords = 25 } = {}) {
+  const parts = [];
+  if (authority) parts.push(`dcterms.creator=="${authority.replace(/"/g, "")}"`);
+  const typeParts = AUTHORITY_TYPES.filter(t => types.includes(t.type)).map(t => `overheidrg.organisatietype=="${t.cql}"`);
+  if (typeParts.length) parts.push(typeParts.length > 1 ? `(${typeParts.join(" or ")})` : typeParts[0]);
+  if (from) parts.push(`overheidrg.inwerkingtredingDatum>="${from}"`);
+  if (!parts.length) throw new IngestError("Geef authority, type of from op", 400);
+
+  const url = sruUrl("cvdr", parts.join(" and "), { startRecord, maximumRecords });
+  const resp = await fetchText(url);
+  if (!resp.ok) throw new IngestError("SRU fetch failed", 502, { status: resp.status, preview: resp.text.slice(0, 500) });
+
+  return parseCvdrRecords(resp.text);
+}
+
+// documents-rij voor een regeling (werk-id, zonder embedding)
+function regulationDocument(rec) {
+  return {
+    id: rec.work_id,
+    title: rec.title || rec.work_id,
+    official_title: rec.title || null,
+    source_type: "cvdr",
+    regulation_type: "decentrale-regeling",
+    authority_type: rec.authority_type,
+    authority_name: rec.authority_name,
+    authority_code: rec.authority_code,
+    source_url: `https://lokaleregelgeving.overheid.nl/${rec.work_id}`
+  };
+}
+
+// Laatst geparste versie per proces (meerdere slices achter elkaar)
+const PARSE_TTL_MS = 10 * 60_000;
+let lastParsed = null;
+
+async function loadCvdr(id, store) {
+  if (lastParsed?.id === id && Date.now() - lastParsed.at < PARSE_TTL_MS) return lastParsed;
+
+  const sru = await fetchText(sruUrl("cvdr", `dcterms.identifier=="${id}"`, { maximumRecords: 1 }));
+  if (!sru.ok) throw new IngestError("SRU fetch failed", 502, { status: sru.status, id });
+
+  const [rec] = parseCvdrRecords(sru.text).records;
+  if (!rec) throw new IngestError("Regeling niet gevonden", 404, { id });
+  if (!rec.valid_from) throw new IngestError("Regeling heeft geen inwerkingtredingsdatum", 422, { id });
+
+  const xmlResp = await fetchText(rec.xml_url);
+  if (!xmlResp.ok) {
+    throw new IngestError("Fetch CVDR XML failed", 502, { status: xmlResp.status, xmlUrl: rec.xml_url });
+  }
+
+  const parsed = parseBwbXml(xmlResp.text);
+  const title = rec.title || parsed.title || rec.work_id;
+  // Korte naam per werk, niet per versie: de eerst vastgelegde titel (short_title). Zo houden de
+  // artikelen hun label als een nieuwe versie een iets andere titel heeft.
+  const existing = await store.getDocument(rec.work_id).catch(() => null);
+  const docShort = existing?.short_title || existing?.title || title;
+
+  lastParsed = {
+    id,
+    at: Date.now(),
+    sourceUrl: `https://lokaleregelgeving.overheid.nl/${rec.work_id}`,
+    versionUrl: rec.source_url,
+    validFrom: rec.valid_from,
+    // uitwerkingtredingsdatum is de laatste geldige dag; valid_to/removed_at zijn exclusief
+    validTo: rec.valid_to ? addDays(rec.valid_to, 1) : null,
+    title,
+    docShort,
+    units: labelUnits(docShort, parsed.units),
+    document: { ...regulationDocument({ ...rec, title }), short_title: docShort },
+    authority: { type: rec.authority_type, name: rec.authority_name, code: rec.authority_code }
+  };
+  return lastParsed;
+}
+
+/**
+ * @param {{ id: string, offset: number, limit: number, force?: boolean }} params  id = "CVDR123456_2" (versie)
+ * @returns {Promise<object>} zie ingestUnits (lib/ingest/slice.js), met id = werk-id, plus version_id en authority
+ */
+async function ingestCvdrSlice({ id, offset, limit, force = false }, { store = getStore(), llm } = {}) {
+  const doc = await loadCvdr(id, store);
+  const workId = cvdrWorkId(id);
+  const result = await ingestUnits(doc, { id: workId, peildatum: doc.validFrom, offset, limit, force }, { store, llm });
+  return { ...result, version_id: id, authority: doc.authority };
+}
+
+module.exports = {
+  ingestCvdrSlice,
+  searchCvdrRegulations,
+  regulationDocument,
+  isCvdrVersionId,
+  cvdrWorkId,
+  AUTHORITY_TYPES,
+  IngestError
+};
@@ -0,0 +1,170 @@
+// beleidsbank-api/lib/ingest/op.js
+// Ingest van Staatscourant-publicaties (officielebekendmakingen.nl) via SRU-connectie
+// OFFICIELEPUBLICATIES: ministeriële regelingen, beleidsregels en circulaires.
+// Metadata (titel, datum, XML-locatie) uit het SRU-record, tekst uit de XML-manifestatie
+// (lib/op-xml.js). Opslaan gaat via lib/ingest/slice.js, net als bij BWB.
+//
+// Een publicatie verandert niet: valid_from = publicatiedatum. documents krijgt source_type "op",
+// publication_type en publication_date (zie migratie 20261019170000_official_publications.sql).
+
+const { parseIsoDate } = require("../dates");
+const { parseOpXml } = require("../op-xml");
+const { getStore } = require("../store");
+const { sruUrl, fetchText } = require("../sru");
+const { parseXml, findAll, findFirst, textOf } = require("../xml");
+const { ingestUnits, labelUnits, IngestError } = require("./slice");
+
+// Publicatietypen en de titelwoorden waaraan ze herkend worden (SRU kent geen eigen veld hiervoor)
+const PUBLICATION_TYPES = [
+  { type: "beleidsregel", re: /\bbeleidsregel/i, cql: "beleidsregel beleidsregels" },
+  { type: "circulaire", re: /\bcirculaire/i, cql: "circulaire" },
+  { type: "ministeriele-regeling", re: /\bregeling\b/i, cql: "regeling" }
+];
+
+function isStcrtId(id) {
+  return /^stcrt-\d{4}-\d+$/i.test(id || "");
+}
+
+// "stcrt-2024-12345" -> "Stcrt. 2024, 12345" (gebruikelijke vindplaats, ook als label)
+function stcrtCitation(id) {
+  const m = (id || "").match(/^stcrt-(\d{4})-(\d+)$/i);
+  return m ? `Stcrt. ${m[1]}, ${m[2]}` : id;
+}
+
+function publicationType(title) {
+  return PUBLICATION_TYPES.find(t => t.re.test(title || ""))?.type || "overig";
+}
+
+function oneLine(s) {
+  return (s || "").replace(/\s+/g, " ").trim();
+}
+
+// SRU-records -> publicaties met metadata en XML-locatie
+function parseOpRecords(xml) {
+  const root = parseXml(xml);
+  const out = [];
+
+  for (const rec of findAll(root, "record")) {
+    const id = oneLine(textOf(findFirst(rec, "identifier"))).toLowerCase();
+    if (!isStcrtId(id)) continue;
+
+    const title = oneLine(textOf(findFirst(rec, "title"))) || null;
+    const date =
+      parseIsoDate(textOf(findFirst(rec, "available")).slice(0, 10)) ||
+      parseIsoDate(textOf(findFirst(rec, "issued")).slice(0, 10)) ||
+      parseIsoDate(textOf(findFirst(rec, "date")).slice(0, 10)) ||
+      null;
+    const items = findAll(rec, "itemurl");
+    const xmlItem = items.find(n => (n.attrs?.manifestation || "").toLowerCase() === "xml");
+
+    out.push({
+      id,
+      title,
+      date,
+      publication_type: publicationType(title),
+      xml_url: xmlItem ? oneLine(textOf(xmlItem)) : `https://zoek.officielebekendmakingen.nl/${id}.xml`,
+      source_url: oneLine(textOf(findFirst(rec, "preferredurl"))) || `https://zoek.officielebekendmakingen.nl/${id}.html`
+    });
+  }
+
+  const count = n => {
+    const v = parseInt(textOf(findFirst(root, n)), 10);
+    return Number.isFinite(v) ? v : null;
+  };
+
+  return { records: out, numberOfRecords: count("numberofrecords"), nextRecordPosition: count("nextrecordposition") };
+}
+
+/**
+ * Staatscourant-publicaties zoeken (voor het aanmaken van ingests).
+ * @param {{ types?: string[], from?: string, startRecord?: number, maximumRecords?: number }} params
+ */
+async function searchOpPublications({ types = [], from, startRecord = 1, maximumRecords = 25 } = {}) {
+  const parts = ['w.publicatienaam=="Staatscourant"'];
+  const words = PUBLICATION_TYPES.filter(t => types.includes(t.type)).map(t => t.cql).join(" ");
+  if (words) parts.push(`dt.title any "${words}"`);
+  if (from) parts.push(`dt.available>="${from}"`);
+
+  const url = sruUrl("OFFICIELEPUBLICATIES", parts.join(" and "), { startRecord, maximumRecords });
+  const resp = await fetchText(url);
+  if (!resp.ok) throw new IngestError("SRU fetch failed", 502, { status: resp.status, preview: resp.text.slice(0, 500) });
+
+  const parsed = parseOpRecords(resp.text);
+  // Titelwoorden zijn ruim ("regeling" staat ook in beleidsregels); hier precies op type filteren
+  if (types.length) parsed.records = parsed.records.filter(r => types.includes(r.publication_type));
+  return parsed;
+}
+
+// documents-rij voor een publicatie (zonder embedding)
+function publicationDocument(rec) {
+  return {
+    id: rec.id,
+    title: rec.title || stcrtCitation(rec.id),
+    official_title: rec.title || null,
+    short_title: stcrtCitation(rec.id),
+    source_type: "op",
+    publication_type: rec.publication_type,
+    publication_date: rec.date,
+    regulation_type: rec.publication_type,
+    source_url: rec.source_url
+  };
+}
+
+// Laatst geparste publicatie per proces (meerdere slices achter elkaar)
+const PARSE_TTL_MS = 10 * 60_000;
+let lastParsed = null;
+
+async function loadOp(id) {
+  if (lastParsed?.id === id && Date.now() - lastParsed.at < PARSE_TTL_MS) return lastParsed;
+
+  const sru = await fetchText(sruUrl("OFFICIELEPUBLICATIES", `dt.identifier=="${id}"`, { maximumRecords: 1 }));
+  if (!sru.ok) throw new IngestError("SRU fetch failed", 502, { status: sru.status, id });
+
+  const [rec] = parseOpRecords(sru.text).records;
+  if (!rec) throw new IngestError("Publicatie niet gevonden", 404, { id });
+  if (!rec.date) throw new IngestError("Publicatie heeft geen datum", 422, { id });
+
+  const xmlResp = await fetchText(rec.xml_url);
+  if (!xmlResp.ok) {
+    throw new IngestError("Fetch officielebekendmakingen XML failed", 502, { status: xmlResp.status, xmlUrl: rec.xml_url });
+  }
+
+  const parsed = parseOpXml(xmlResp.text);
+  const docShort = stcrtCitation(id);
+  const title = rec.title || parsed.title || docShort;
+
+  lastParsed = {
+    id,
+    at: Date.now(),
+    sourceUrl: rec.source_url,
+    versionUrl: rec.source_url,
+    validFrom: rec.date,
+    title,
+    docShort,
+    structure: parsed.structure,
+    units: labelUnits(docShort, parsed.units),
+    document: publicationDocument({ ...rec, title }),
+    emptyHint: "XML bevat geen artikelen, paragrafen of alinea's"
+  };
+  return lastParsed;
+}
+
+/**
+ * @param {{ id: string, offset: number, limit: number, force?: boolean }} params  id = "stcrt-2024-12345"
+ * @returns {Promise<object>} zie ingestUnits (lib/ingest/slice.js), plus publication_type en structure
+ */
+async function ingestOpSlice({ id, offset, limit, force = false }, { store = getStore(), llm } = {}) {
+  const doc = await loadOp(id);
+  const result = await ingestUnits(doc, { id, peildatum: doc.validFrom, offset, limit, force }, { store, llm });
+  return { ...result, publication_type: doc.document.publication_type, structure: doc.structure };
+}
+
+module.exports = {
+  ingestOpSlice,
+  searchOpPublications,
+  publicationDocument,
+  isStcrtId,
+  stcrtCitation,
+  PUBLICATION_TYPES,
+  IngestError
+};
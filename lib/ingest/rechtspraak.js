@@ -0,0 +1,189 @@
+// beleidsbank-api/lib/ingest/rechtspraak.js
+// Ingest van uitspraken uit de open data van rechtspraak.nl (data.rechtspraak.nl), per ECLI:
+// metadata (instantie, datums, zaaknummers, rechtsgebieden), inhoudsindicatie en de artikelen
+// waarnaar de uitspraak verwijst. Geen chunks of embeddings: een uitspraak hangt aan artikelen
+// (case_law_articles) en wordt via die artikelen gevonden (zie /api/source en chat).
+//
+// Verwijzingen komen uit de wetsverwijzingen in de metadata (dcterms:references met een BWB-id en
+// artikel) en uit de inhoudsindicatie (lib/references.js, alleen als de wet bekend is).
+// Tabellen: zie migratie 20261019190000_case_law.sql.
+
+const { invalidateAnswers } = require("../answer-cache");
+const { parseIsoDate } = require("../dates");
+const { extractReferences, lawsForTexts } = require("../references");
+const { getStore } = require("../store");
+const { fetchText } = require("../sru");
+const { parseXml, childElements, findAll, findFirst, textOf } = require("../xml");
+const { IngestError } = require("./slice");
+
+const DATA_URL = "https://data.rechtspraak.nl/uitspraken";
+
+// Instanties die voor bestuursrecht tellen (creator-waarden van de open data)
+const COURTS = [
+  { key: "rvs", name: "Raad van State", creator: "Raad_van_State" },
+  { key: "crvb", name: "Centrale Raad van Beroep", creator: "Centrale_Raad_van_Beroep" },
+  { key: "cbb", name: "College van Beroep voor het bedrijfsleven", creator: "College_van_Beroep_voor_het_bedrijfsleven" },
+  { key: "hr", name: "Hoge Raad", creator: "Hoge_Raad_der_Nederlanden" }
+];
+
+function isEcli(id) {
+  return /^ECLI:[A-Z]{2}:[A-Z0-9]{1,7}:\d{4}:[A-Z0-9.]{1,25}$/.test(id || "");
+}
+
+function oneLine(s) {
+  return (s || "").replace(/\s+/g, " ").trim();
+}
+
+function uitspraakUrl(ecli) {
+  return `https://uitspraken.rechtspraak.nl/details?id=${encodeURIComponent(ecli)}`;
+}
+
+// Atom-feed van /uitspraken/zoeken -> ECLI's met titel en samenvatting
+function parseFeed(xml) {
+  const root = parseXml(xml);
+  return findAll(root, "entry")
+    .map(e => ({
+      ecli: oneLine(textOf(findFirst(e, "id"))),
+      title: oneLine(textOf(findFirst(e, "title"))) || null,
+      summary: oneLine(textOf(findFirst(e, "summary"))) || null,
+      updated: oneLine(textOf(findFirst(e, "updated"))) || null
+    }))
+    .filter(e => isEcli(e.ecli));
+}
+
+// "1.0:v:BWB:BWBR0005537&artikel=8:1" of "jci1.3:c:BWBR0005537&artikel=8:1&lid=2" -> { doc_id, article }
+function parseBwbReference(identifier) {
+  const doc = (identifier || "").match(/BWBR\d{7}/);
+  const article = (identifier || "").match(/[&?]artikel=([^&]+)/);
+  if (!doc || !article) return null;
+  return { doc_id: doc[0], article: decodeURIComponent(article[1]).replace(/\.$/, "") };
+}
+
+/**
+ * Uitspraak-XML (/uitspraken/content?id=…) -> metadata, inhoudsindicatie en wetsverwijzingen.
+ * @returns {{ ecli: string|null, title: string|null, court: string|null, decision_date: string|null,
+ *             publication_date: string|null, case_numbers: string[], subjects: string[],
+ *             summary: string|null, references: { doc_id: string, article: string, raw: string }[] }}
+ */
+function parseUitspraakXml(xml) {
+  const root = parseXml(xml);
+  // Eerste Description = de uitspraak zelf (de tweede beschrijft de publicatie)
+  const meta = findFirst(root, "description") || root;
+  const all = name => childElements(meta, name).map(n => oneLine(textOf(n))).filter(Boolean);
+  const first = name => all(name)[0] || null;
+
+  const references = [];
+  for (const n of childElements(meta, "references")) {
+    const ref = parseBwbReference(n.attrs?.resourceidentifier);
+    if (ref) references.push({ ...ref, raw: oneLine(textOf(n)).slice(0, 300) || null });
+  }
+
+  const summary = textOf(findFirst(root, "inhoudsindicatie"));
+
+  return {
+    ecli: first("identifier"),
+    title: first("title"),
+    court: first("creator"),
+    decision_date: parseIsoDate((first("date") || "").slice(0, 10)),
+    publication_date: parseIsoDate((first("issued") || "").slice(0, 10)),
+    case_numbers: all("zaaknummer").flatMap(z => z.split(/\s*,\s*/)).filter(Boolean),
+    subjects: all("subject"),
+    summary: summary ? oneLine(summary) : null,
+    references
+  };
+}
+
+/**
+ * Uitspraken zoeken in de open data (nieuwste eerst).
+ * @param {{ court?: string, subject?: string, from?: string, max?: number, offset?: number }} params
+ *   court: sleutel uit COURTS; subject: rechtsgebied, bijv. "bestuursrecht"; from: uitspraakdatum vanaf
+ */
+async function searchUitspraken({ court = "rvs", subject, from, max = 20, offset = 0 } = {}) {
+  const c = COURTS.find(x => x.key === court);
+  if (!c) throw new IngestError("Onbekende instantie", 400, { court, allowed: COURTS.map(x => x.key) });
+
+  const params = [
+    `creator=${encodeURIComponent(`http://standaarden.overheid.nl/owms/terms/${c.creator}`)}`,
+    `type=Uitspraak`,
+    `return=DOC`,
+    `sort=DESC`,
+    `max=${max}`,
+    `from=${offset}`
+  ];
+  if (subject) params.push(`subject=${encodeURIComponent(`http://psi.rechtspraak.nl/rechtsgebied#${subject}`)}`);
+  if (from) params.push(`date=${from}`);
+
+  const resp = await fetchText(`${DATA_URL}/zoeken?${params.join("&")}`);
+  if (!resp.ok) throw new IngestError("Rechtspraak fetch failed", 502, { status: resp.status, preview: resp.text.slice(0, 500) });
+  return parseFeed(resp.text);
+}
+
+// Verwijzingen uit de inhoudsindicatie, alleen naar bekende wetten
+async function summaryReferences(summary, { store }) {
+  if (!summary) return [];
+  const laws = await lawsForTexts([summary], { store });
+  return extractReferences(summary, { docId: null, articleNr: null, laws })
+    .filter(r => r.target_doc_id)
+    .map(r => ({ doc_id: r.target_doc_id, article: r.target_article, raw: r.raw }));
+}
+
+/**
+ * Eén uitspraak ophalen en opslaan, met de koppelingen naar artikelen (bestaande koppelingen
+ * van deze ECLI worden vervangen).
+ * @returns {Promise<object>} { ok, ecli, title, court, decision_date, articles: [{ doc_id, article, source }],
+ *                              invalidated_answers }
+ */
+async function ingestUitspraak(ecli, { store = getStore() } = {}) {
+  const resp = await fetchText(`${DATA_URL}/content?id=${encodeURIComponent(ecli)}`);
+  if (resp.status === 404) throw new IngestError("Uitspraak niet gevonden", 404, { ecli });
+  if (!resp.ok) throw new IngestError("Rechtspraak fetch failed", 502, { status: resp.status, ecli });
+
+  const u = parseUitspraakXml(resp.text);
+  if (u.ecli && u.ecli !== ecli) throw new IngestError("ECLI in XML wijkt af", 422, { ecli, found: u.ecli });
+
+  // Metadata gaat voor: die verwijzingen zijn door de rechtspraak zelf vastgelegd
+  const links = new Map();
+  for (const [source, refs] of [["metadata", u.references], ["tekst", await summaryReferences(u.summary, { store })]]) {
+    for (const r of refs) {
+      const key = `${r.doc_id}|${r.article}`;
+      if (!links.has(key)) links.set(key, { ecli, doc_id: r.doc_id, article: r.article, raw: r.raw, source });
+    }
+  }
+
+  await store.upsertCaseLaw([{
+    ecli,
+    title: u.title,
+    court: u.court,
+    decision_date: u.decision_date,
+    publication_date: u.publication_date,
+    case_numbers: u.case_numbers,
+    subjects: u.subjects,
+    summary: u.summary,
+    source_url: uitspraakUrl(ecli),
+    updated_at: new Date().toISOString()
+  }]);
+  const previous = await store.replaceCaseLawArticles(ecli, [...links.values()]);
+  // Chatantwoorden die deze uitspraak citeren opnieuw laten maken, en die een gekoppelde wet (nu of
+  // voorheen) citeren: daar hoort de uitspraak als verwante rechtspraak bij
+  const docIds = new Set([...previous, ...links.values()].map(l => l.doc_id));
+  const invalidated = await invalidateAnswers([ecli, ...docIds], { store });
+
+  return {
+    ok: true,
+    ecli,
+    title: u.title,
+    court: u.court,
+    decision_date: u.decision_date,
+    articles: [...links.values()].map(l => ({ doc_id: l.doc_id, article: l.article, source: l.source })),
+    invalidated_answers: invalidated
+  };
+}
+
+module.exports = {
+  ingestUitspraak,
+  searchUitspraken,
+  parseUitspraakXml,
+  isEcli,
+  COURTS,
+  IngestError
+};
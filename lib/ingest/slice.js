@@ -0,0 +1,277 @@
+// beleidsbank-api/lib/ingest/slice.js
+// Gedeelde stap van alle ingesters: één slice van `limit` eenheden (artikelen, paragrafen) vanaf
+// `offset` vergelijken met wat er staat, zo nodig embedden en opslaan. De ingesters (bwb.js, op.js, cvdr.js)
+// leveren alleen het geparste document.
+//
+// Incrementeel: elke chunk krijgt een unit_key (plek in de regeling, zonder naam van de regeling),
+// een content_hash (van structuurpad en tekst) en embedding_model. Bestaande rijen worden op
+// unit_key gevonden, niet op het label: een andere korte naam (docShort) is alleen een nieuw label
+// voor de bestaande rij (relabeled), geen nieuwe versie. Alleen nieuwe of gewijzigde eenheden (of
+// eenheden met een ander embeddingmodel) worden geëmbed en geschreven. Een ongewijzigde eenheid
+// houdt zijn rij uit een eerdere versie; valid_to volgt per unit_key (zie refresh_chunk_validity). Eenheden die niet meer in het document staan
+// krijgen na de laatste slice removed_at = valid_from van deze versie. Heeft de versie een einddatum
+// (doc.validTo, bijv. een ingetrokken verordening) en is er geen latere versie, dan krijgen ook de
+// overige artikelen removed_at = validTo.
+
+const crypto = require("crypto");
+const { invalidateAnswers } = require("../answer-cache");
+const { HttpError } = require("../http");
+const { getLlm } = require("../llm");
+const { extractReferences, lawsForTexts } = require("../references");
+const { getStore } = require("../store");
+
+// Fout met statuscode; de pipeline (lib/http.js) stuurt hem als gewone HttpError terug
+class IngestError extends HttpError {
+  constructor(message, status, details) {
+    super(status, message, { details });
+    this.name = "IngestError";
+  }
+}
+
+// Plek van de eenheid in de regeling: "Artikel 1:3", of de kop bij bijlagen en paragrafen
+// zonder artikelnummer (bijv. circulaires)
+function unitBase(unit){
+  return unit.kind === "artikel" && unit.nr ? `Artikel ${unit.nr}` : unit.heading;
+}
+
+// Zelfde artikelnummer op meerdere plekken (bijv. in bijlagen of wijzigingsregelingen): key en
+// label uniek maken met het laatste deel van het structuurpad i.p.v. blokken samen te voegen.
+// key = label zonder korte naam; die blijft gelijk als de naam van de regeling verandert.
+function labelUnits(docShort, units){
+  const counts = new Map();
+  for (const u of units){
+    const b = unitBase(u);
+    counts.set(b, (counts.get(b) || 0) + 1);
+  }
+  return units.map(u => {
+    const base = unitBase(u);
+    const ctx = counts.get(base) > 1 ? u.path_label.split(" > ").pop() : "";
+    const key = ctx ? `${base} (${ctx})` : base;
+    return { ...u, key, label: `${docShort} — ${key}` };
+  });
+}
+
+// Rijen van vóór unit_key: key uit het label (alles na "<korte naam> — ")
+function rowKey(row){
+  if (row.unit_key) return row.unit_key;
+  const i = (row.label || "").indexOf(" — ");
+  return i >= 0 ? row.label.slice(i + 3) : row.label;
+}
+
+// Wat geëmbed wordt: met korte naam en structuurpad als context
+function embedInput(docShort, unit){
+  return unit.path_label ? `${docShort} — ${unit.path_label}\n${unit.text}` : unit.text;
+}
+
+// Wat de hash bepaalt: alleen structuurpad en tekst, zodat een andere korte naam geen wijziging is
+// (zelfde vorm als de backfill in migratie 20261020090000_chunk_unit_key.sql)
+function hashInput(unit){
+  return unit.path_label ? `${unit.path_label}\n${unit.text}` : unit.text;
+}
+
+function contentHash(text){
+  return crypto.createHash("sha256").update(text).digest("hex");
+}
+
+// Per unit_key de rij die op valid_from gold of het laatst vóór valid_from begon
+function currentRows(keys, validFrom){
+  const map = new Map();
+  for (const k of keys){
+    if (k.valid_from > validFrom) continue;
+    const key = rowKey(k);
+    const prev = map.get(key);
+    if (!prev || k.valid_from > prev.valid_from) map.set(key, k);
+  }
+  return map;
+}
+
+// Verwijzingen (chunk_references) van de zojuist geschreven chunks; geeft het aantal terug
+async function saveReferences(docId, todo, written, store){
+  if (!written.length) return 0;
+
+  const laws = await lawsForTexts(todo.map(t => t.unit.text), { store });
+  const idByKey = new Map(written.map(r => [`${r.label}|${r.valid_from}`, r.id]));
+
+  const sourceIds = [];
+  const refs = [];
+  for (const t of todo){
+    const chunkId = idByKey.get(`${t.unit.label}|${t.validFrom}`);
+    if (chunkId == null) continue;
+    sourceIds.push(chunkId);
+    const articleNr = t.unit.kind === "artikel" ? (t.unit.nr || null) : null;
+    for (const ref of extractReferences(t.unit.text, { docId, articleNr, laws })){
+      refs.push({ source_chunk_id: chunkId, source_doc_id: docId, ...ref });
+    }
+  }
+
+  await store.replaceChunkReferences(sourceIds, refs);
+  return refs.length;
+}
+
+/**
+ * @param {{ validFrom: string, validTo?: string|null, versionUrl: string, sourceUrl: string, title: string,
+ *           docShort: string, units: object[], document?: object, emptyHint?: string }} doc  geparst document
+ *   units: eenheden met label (zie labelUnits); document: extra kolommen voor documents;
+ *   validTo: eerste dag waarop de regeling niet meer geldt (exclusief, zoals valid_to)
+ * @param {{ id: string, peildatum: string, offset: number, limit: number, force?: boolean }} params
+ *   force: alles opnieuw embedden, ook ongewijzigde eenheden
+ * @returns {Promise<object>} { ok, id, peildatum, valid_from, total_articles_found, blocks_prepared,
+ *                              saved_or_updated, deduped_in_batch, added, changed, unchanged,
+ *                              reembedded, relabeled, removed, expired, references,
+ *                              invalidated_answers, next_offset, done }
+ */
+async function ingestUnits(doc, { id, peildatum, offset, limit, force = false }, { store = getStore(), llm = getLlm() } = {}){
+  const allUnits = doc.units;
+
+  if (!allUnits.length){
+    throw new IngestError("Geen artikelen gevonden", 422, {
+      hint: doc.emptyHint || "XML bevat geen <artikel> of <bijlage> elementen",
+      id
+    });
+  }
+
+  const batch = allUnits.slice(offset, offset + limit);
+
+  // ✅ Als batch leeg is: klaar, niet embeden, niet schrijven.
+  if (!batch.length) {
+    return {
+      ok: true,
+      id,
+      peildatum,
+      valid_from: doc.validFrom,
+      total_articles_found: allUnits.length,
+      blocks_prepared: 0,
+      saved_or_updated: 0,
+      added: 0,
+      changed: 0,
+      unchanged: 0,
+      reembedded: 0,
+      relabeled: 0,
+      removed: 0,
+      expired: 0,
+      references: 0,
+      next_offset: null,
+      done: true
+    };
+  }
+
+  // 1) Document (titel alleen opnieuw embedden als die veranderd is)
+  const existingDoc = await store.getDocument(id);
+  if (force || !existingDoc || existingDoc.title !== doc.title || existingDoc.embedding == null) {
+    const docEmbedding = await llm.embedOne(doc.title);
+    await store.upsertDocuments([{
+      id,
+      title: doc.title,
+      source_url: doc.sourceUrl,
+      ...(doc.document || {}),
+      embedding: docEmbedding
+    }]);
+  }
+
+  // 2) Vergelijken met wat er al staat
+  const current = currentRows(await store.listChunkKeys(id), doc.validFrom);
+  const counts = { added: 0, changed: 0, unchanged: 0, reembedded: 0, relabeled: 0, removed: 0, expired: 0 };
+
+  const todo = [];
+  const relabel = [];
+  for (const u of batch){
+    const input = embedInput(doc.docShort, u);
+    const hash = contentHash(hashInput(u));
+    const prev = current.get(u.key);
+    const live = prev && (!prev.removed_at || prev.removed_at > doc.validFrom);
+
+    // Andere korte naam: bestaande rij krijgt het nieuwe label (vóór de upsert, die op label botst)
+    if (live && prev.label !== u.label) relabel.push({ id: prev.id, label: u.label, unit_key: u.key });
+
+    if (!live) counts.added++;
+    else if (prev.content_hash !== hash) counts.changed++;
+    else if (prev.embedding_model !== llm.embedModel) counts.reembedded++;
+    else if (force) counts.reembedded++;
+    else { counts.unchanged++; continue; }
+
+    // Zelfde inhoud met ander model: bestaande rij bijwerken i.p.v. een nieuwe versie te maken
+    const sameContent = live && prev.content_hash === hash;
+    todo.push({
+      unit: u,
+      input,
+      hash,
+      validFrom: sameContent ? prev.valid_from : doc.validFrom,
+      sourceUrl: sameContent ? (prev.source_url || doc.versionUrl) : doc.versionUrl
+    });
+  }
+
+  if (relabel.length) counts.relabeled = await store.relabelChunks(relabel);
+
+  // 3) Embeddings (structuurpad meegeven voor context)
+  const embeddings = todo.length ? await llm.embed(todo.map(t => t.input)) : [];
+
+  // 4) Build rows
+  const rows = todo.map((t, i) => ({
+    doc_id: id,
+    label: t.unit.label,
+    unit_key: t.unit.key,
+    article_nr: t.unit.kind === "artikel" ? (t.unit.nr || null) : null,
+    path: t.unit.path || null,
+    path_label: t.unit.path_label || null,
+    text: t.unit.text,
+    source_url: t.sourceUrl,
+    valid_from: t.validFrom,
+    removed_at: null,
+    content_hash: t.hash,
+    embedding_model: llm.embedModel,
+    embedding: embeddings[i]
+  }));
+
+  // 5) Upsert chunks (dedupe-safe)
+  const info = await store.upsertChunks(rows, { returning: "id,label,valid_from" });
+
+  // 6) Verwijzingen van de geschreven artikelen opnieuw vastleggen
+  const references = await saveReferences(id, todo, info.rows, store);
+
+  const nextOffset = offset + limit;
+  const done = nextOffset >= allUnits.length;
+
+  // 7) Laatste slice: vervallen artikelen markeren
+  if (done){
+    const present = new Set(allUnits.map(u => u.key));
+    const gone = [...current.values()]
+      .filter(k => !present.has(rowKey(k)) && (!k.removed_at || k.removed_at > doc.validFrom))
+      .map(k => k.id);
+    counts.removed = await store.markChunksRemoved(gone, doc.validFrom);
+
+    // Versie met einddatum en geen latere versie: de regeling vervalt, dus alle artikelen ook
+    if (doc.validTo) {
+      const keys = await store.listChunkKeys(id);
+      if (!keys.some(k => k.valid_from > doc.validFrom)) {
+        const open = [...currentRows(keys, doc.validFrom).values()]
+          .filter(k => present.has(rowKey(k)) && (!k.removed_at || k.removed_at > doc.validTo))
+          .map(k => k.id);
+        counts.expired = await store.markChunksRemoved(open, doc.validTo);
+      }
+    }
+  }
+
+  // 8) Versie registreren + geldigheid herberekenen
+  await store.upsertDocumentVersion({ doc_id: id, valid_from: doc.validFrom, source_url: doc.versionUrl });
+
+  // 9) Gecachte chatantwoorden die dit document citeren vervallen als er iets veranderde
+  const invalidated = todo.length || counts.removed || counts.expired || counts.relabeled ? await invalidateAnswers([id], { store }) : 0;
+
+  return {
+    ok: true,
+    id,
+    peildatum,
+    valid_from: doc.validFrom,
+    total_articles_found: allUnits.length,
+    blocks_prepared: batch.length,
+    saved_or_updated: info.unique,
+    deduped_in_batch: info.sent - info.unique,
+    ...counts,
+    references,
+    invalidated_answers: invalidated,
+    next_offset: nextOffset,
+    done
+  };
+}
+
+module.exports = { ingestUnits, labelUnits, IngestError };
@@ -0,0 +1,162 @@
+// beleidsbank-api/lib/jobs.js
+// Ingest-jobs: enqueue, pauzeren/hervatten/opnieuw proberen en verwerken in slices.
+// Een runner claimt een job met een lease (locked_until), verwerkt slices zolang het tijdsbudget
+// het toelaat en bewaart na elke slice de cursor. Een afgebroken runner laat de lease verlopen,
+// waarna een volgende run de job vanaf de laatste cursor oppakt.
+
+const { todayIso } = require("./dates");
+const { getStore } = require("./store");
+const { ingestBwbSlice } = require("./ingest/bwb");
+
+const LEASE_MS = 2 * 60_000;
+const SAFETY_MS = 8_000;
+
+class JobStateError extends Error {
+  constructor(message, job) {
+    super(message);
+    this.name = "JobStateError";
+    this.job = job || null;
+  }
+}
+
+function nowIso(offsetMs = 0) {
+  return new Date(Date.now() + offsetMs).toISOString();
+}
+
+// 1, 2, 4, ... minuten, max een uur
+function backoffMs(attempts) {
+  return Math.min(60, 2 ** Math.max(0, attempts - 1)) * 60_000;
+}
+
+async function enqueueBwbJobs(ids, { peildatum = null, store = getStore() } = {}) {
+  const unique = [...new Set(ids.map(id => id.toUpperCase()))];
+  const active = await store.findActiveJobs(unique);
+  const busy = new Set(
+    active
+      .filter(j => (j.peildatum || null) === (peildatum || null))
+      .map(j => j.bwb_id)
+  );
+
+  const toCreate = unique.filter(id => !busy.has(id));
+  const created = toCreate.length
+    ? await store.insertJobs(toCreate.map(bwb_id => ({ bwb_id, peildatum, status: "queued", cursor: 0, attempts: 0 })))
+    : [];
+
+  return { created, skipped: unique.filter(id => busy.has(id)) };
+}
+
+async function transition(id, patch, fromStatuses, store) {
+  const { rows, count } = await store.updateJob(id, patch, { status: fromStatuses });
+  if (count) return rows[0] || (await store.getJob(id));
+
+  const job = await store.getJob(id);
+  if (!job) return null;
+  throw new JobStateError(`Job ${id} heeft status ${job.status}`, job);
+}
+
+function pauseJob(id, { store = getStore() } = {}) {
+  return transition(id, { status: "paused", locked_until: null }, ["queued", "running"], store);
+}
+
+function resumeJob(id, { store = getStore() } = {}) {
+  return transition(id, { status: "queued", run_after: null }, ["paused"], store);
+}
+
+function retryJob(id, { store = getStore() } = {}) {
+  return transition(id, { status: "queued", attempts: 0, run_after: null, last_error: null }, ["failed"], store);
+}
+
+async function claimJob(job, store) {
+  const now = nowIso();
+  const { rows, count } = await store.updateJob(
+    job.id,
+    { status: "running", locked_until: nowIso(LEASE_MS), peildatum: job.peildatum || todayIso() },
+    { status: ["queued", "running"], $or: [{ locked_until: null }, { locked_until: { lt: now } }] }
+  );
+  return count ? (rows[0] || { ...job, status: "running" }) : null;
+}
+
+// Slices van één job tot klaar, fout, pauze of einde budget
+async function runJob(job, deadline, { sliceSize, store }) {
+  let cursor = job.cursor || 0;
+  let slices = 0;
+
+  while (Date.now() < deadline) {
+    let r;
+    try {
+      r = await ingestBwbSlice({ id: job.bwb_id, peildatum: job.peildatum, offset: cursor, limit: sliceSize }, { store });
+    } catch (e) {
+      const attempts = (job.attempts || 0) + 1;
+      const failed = attempts >= (job.max_attempts || 5);
+      await store.updateJob(job.id, {
+        status: failed ? "failed" : "queued",
+        attempts,
+        last_error: String(e?.message || e).slice(0, 1000),
+        run_after: failed ? null : nowIso(backoffMs(attempts)),
+        locked_until: null
+      }, { status: "running" });
+      return { id: job.id, bwb_id: job.bwb_id, slices, cursor, status: failed ? "failed" : "queued", error: String(e?.message || e) };
+    }
+
+    slices++;
+    cursor = r.next_offset ?? cursor;
+
+    if (r.done) {
+      await store.updateJob(job.id, {
+        status: "done",
+        cursor: r.total_articles_found ?? cursor,
+        total: r.total_articles_found,
+        attempts: 0,
+        last_error: null,
+        locked_until: null,
+        finished_at: nowIso()
+      }, { status: "running" });
+      return { id: job.id, bwb_id: job.bwb_id, slices, cursor, status: "done" };
+    }
+
+    // Voortgang bewaren en lease verlengen; is de job intussen gepauzeerd, dan stoppen
+    const { count } = await store.updateJob(job.id, {
+      cursor,
+      total: r.total_articles_found,
+      attempts: 0,
+      last_error: null,
+      locked_until: nowIso(LEASE_MS)
+    }, { status: "running" });
+
+    if (!count) return { id: job.id, bwb_id: job.bwb_id, slices, cursor, status: "stopped" };
+  }
+
+  // Budget op: terug in de rij, volgende run gaat verder vanaf cursor
+  await store.updateJob(job.id, { status: "queued", locked_until: null }, { status: "running" });
+  return { id: job.id, bwb_id: job.bwb_id, slices, cursor, status: "queued" };
+}
+
+/**
+ * Verwerk jobs binnen een tijdsbudget (serverless limiet).
+ * @returns {Promise<{ processed: object[], budget_ms: number }>}
+ */
+async function runJobs({ budgetMs = 45_000, sliceSize = 20, store = getStore() } = {}) {
+  const deadline = Date.now() + Math.max(1_000, budgetMs - SAFETY_MS);
+  const processed = [];
+
+  while (Date.now() < deadline) {
+    const [candidate] = await store.runnableJobs(nowIso(), 1);
+    if (!candidate) break;
+
+    const job = await claimJob(candidate, store);
+    if (!job) continue;
+
+    processed.push(await runJob(job, deadline, { sliceSize, store }));
+  }
+
+  return { processed, budget_ms: budgetMs };
+}
+
+module.exports = {
+  enqueueBwbJobs,
+  pauseJob,
+  resumeJob,
+  retryJob,
+  runJobs,
+  JobStateError
+};
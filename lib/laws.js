@@ -0,0 +1,105 @@
+// beleidsbank-api/lib/laws.js
+// Wettenregister: korte namen voor labels, wetten herkennen in vrije tekst en omschrijvingen
+// voor doorvraag-prompts. Bron: documents (titels/afkortingen uit SRU, zie ingest-all) en
+// law_aliases. Een afkorting of citeertitel uit het register gaat voor de ingebouwde lijst uit
+// lib/citations.js; de titel alleen niet, want die schrijft de ingest zelf (en korte namen zitten
+// in de labels, zie lib/ingest/slice.js).
+
+const { KNOWN_LAWS } = require("./citations");
+const { getStore } = require("./store");
+
+const BUILTIN = new Map(KNOWN_LAWS.map(l => [l.doc_id, l]));
+const MAX_NGRAM = 8;
+const MAX_CANDIDATES = 300;
+
+function normalizeAlias(s) {
+  return (s || "").toString().toLowerCase().replace(/\s+/g, " ").replace(/\.+$/, "").trim();
+}
+
+// Korte naam voor labels en prompts: afkorting > citeertitel uit het register > ingebouwde lijst >
+// titel. Zo verandert het label niet doordat de eerste ingest documents.title schrijft.
+function shortName(doc, fallbackTitle) {
+  const builtin = BUILTIN.get(doc?.id);
+  return doc?.short_title || doc?.citeertitel || builtin?.short || fallbackTitle || doc?.title || doc?.id || "";
+}
+
+async function lawShort(id, { store = getStore(), fallbackTitle } = {}) {
+  let doc = null;
+  try {
+    [doc] = await store.getLaws([id]);
+  } catch {}
+  return shortName(doc || { id }, fallbackTitle);
+}
+
+// Alle woordreeksen (1..MAX_NGRAM woorden) als kandidaat-alias
+function candidateAliases(text) {
+  const words = (text || "").match(/[\p{L}\p{N}]+/gu) || [];
+  const out = new Set();
+  for (let i = 0; i < words.length; i++) {
+    for (let n = 1; n <= MAX_NGRAM && i + n <= words.length; n++) {
+      out.add(normalizeAlias(words.slice(i, i + n).join(" ")));
+    }
+  }
+  return [...out];
+}
+
+/**
+ * Wetten die in `text` genoemd worden, in het formaat van parseCitations({ laws }).
+ * Ingebouwde wetten altijd; aliassen en afkortingen uit de database alleen als ze in de tekst voorkomen.
+ */
+async function lawsForText(text, { store = getStore() } = {}) {
+  const candidates = candidateAliases(text).filter(c => c.length >= 2).slice(0, MAX_CANDIDATES);
+  return lawsForAliases(candidates, { store });
+}
+
+/**
+ * Ingebouwde wetten plus de wetten uit de database met een van de gegeven (genormaliseerde) aliassen.
+ */
+async function lawsForAliases(candidates, { store = getStore() } = {}) {
+  const laws = new Map(KNOWN_LAWS.map(l => [l.doc_id, { ...l, aliases: [...l.aliases] }]));
+  if (!candidates.length) return [...laws.values()];
+
+  let aliasRows = [];
+  try {
+    for (let i = 0; i < candidates.length; i += 150) {
+      aliasRows.push(...await store.listLawAliases({ alias_norms: candidates.slice(i, i + 150) }));
+    }
+  } catch {
+    return [...laws.values()];
+  }
+
+  // Ook de ingebouwde wetten: met een afkorting of citeertitel in het register gaat die voor
+  const ids = [...new Set([...aliasRows.map(a => a.doc_id), ...BUILTIN.keys()])];
+  const docs = await store.getLaws(ids).catch(() => []);
+  const docById = new Map(docs.map(d => [d.id, d]));
+  for (const [id, law] of laws) {
+    if (docById.has(id)) law.short = shortName(docById.get(id));
+  }
+
+  for (const a of aliasRows) {
+    const law = laws.get(a.doc_id) || {
+      doc_id: a.doc_id,
+      short: shortName(docById.get(a.doc_id) || { id: a.doc_id }),
+      aliases: []
+    };
+    if (!law.aliases.some(x => normalizeAlias(x) === a.alias_norm)) law.aliases.push(a.alias);
+    laws.set(a.doc_id, law);
+  }
+
+  return [...laws.values()];
+}
+
+/**
+ * Korte omschrijving per regeling voor doorvraag-prompts en opties.
+ * @returns {Promise<{ doc_id: string, short: string, title: string }[]>}
+ */
+async function describeLaws(ids, { store = getStore() } = {}) {
+  const docs = await store.getLaws(ids).catch(() => []);
+  const byId = new Map(docs.map(d => [d.id, d]));
+  return ids.map(id => {
+    const doc = byId.get(id) || { id };
+    return { doc_id: id, short: shortName(doc), title: doc.citeertitel || doc.title || shortName(doc) };
+  });
+}
+
+module.exports = { normalizeAlias, shortName, lawShort, lawsForText, lawsForAliases, describeLaws };
@@ -0,0 +1,39 @@
+// beleidsbank-api/lib/legal-text.js
+// Opschonen van wetstekst (restanten van wetten.overheid.nl) en korte highlights.
+
+function cleanLegalText(text) {
+  return (text || "")
+    .replace(/Toon relaties in LiDO/gi, "")
+    .replace(/Maak een permanente link/gi, "")
+    .replace(/Toon wetstechnische informatie/gi, "")
+    .replace(/Druk het regelingonderdeel af/gi, "")
+    .replace(/Sla het regelingonderdeel op/gi, "")
+    .replace(/Geen andere versie om mee te vergelijken/gi, "")
+    .replace(/^\s*\.\.\.\s*$/gmi, "")
+    .replace(/[ \t]+\n/g, "\n")
+    .replace(/\n[ \t]+/g, "\n")
+    .replace(/[ \t]{2,}/g, " ")
+    .replace(/\n{3,}/g, "\n\n")
+    .replace(/\n([a-z])\.\n/g, "\n$1. ")
+    .replace(/\n([0-9]+°?)\.\n/g, "\n$1. ")
+    .trim();
+}
+
+function pickHighlight(text) {
+  const raw = cleanLegalText(text || "");
+  if (!raw) return "";
+
+  const lines = raw
+    .split("\n")
+    .map(s => s.replace(/\s+/g, " ").trim())
+    .filter(Boolean);
+
+  const preferred = lines.find(l =>
+    l.toLowerCase().includes("wordt verstaan") ||
+    l.toLowerCase().includes("schriftelijke beslissing")
+  );
+
+  return (preferred || lines[0] || raw).slice(0, 220);
+}
+
+module.exports = { cleanLegalText, pickHighlight };
@@ -0,0 +1,82 @@
+// beleidsbank-api/lib/llm/fake.js
+// Deterministische provider zonder netwerk, voor tests en offline draaien.
+// - embed: gehashte bag-of-words (genormaliseerd), dus vergelijkbare teksten liggen dicht bij elkaar
+// - chat: vaste regels op basis van de prompt (geen willekeur)
+
+const DIMENSIONS = 1536;
+
+function fnv1a(str) {
+  let h = 0x811c9dc5;
+  for (let i = 0; i < str.length; i++) {
+    h ^= str.charCodeAt(i);
+    h = Math.imul(h, 0x01000193);
+  }
+  return h >>> 0;
+}
+
+function fakeEmbedding(text, dims) {
+  const v = new Array(dims).fill(0);
+  const tokens = (text || "").toLowerCase().match(/[\p{L}\p{N}:.]+/gu) || [];
+  for (const t of tokens) {
+    const h = fnv1a(t);
+    v[h % dims] += (h & 0x80000000) ? -1 : 1;
+  }
+  const norm = Math.sqrt(v.reduce((s, x) => s + x * x, 0)) || 1;
+  return v.map(x => x / norm);
+}
+
+function fakeAnswer(messages) {
+  const system = messages.find(m => m.role === "system")?.content || "";
+  const user = [...messages].reverse().find(m => m.role === "user")?.content || "";
+
+  // JSON gevraagd (bijv. suggesties) -> lege array, caller valt terug op defaults
+  if (/json/i.test(system)) return "[]";
+
+  // Antwoord op bronpassages: eerste zin van bron [1] letterlijk overnemen
+  const m = user.match(/Bronpassages:\s*\n\[1\][^\n]*\n([^\n]+)/);
+  if (m) {
+    const sentence = (m[1].match(/^.*?[.;](\s|$)/) || [m[1]])[0].trim();
+    return `${sentence} [1]`;
+  }
+
+  // Overig (bijv. query-rewrite): laatste gebruikersbericht, genormaliseerd
+  return user.toLowerCase().replace(/[?!]+$/g, "").replace(/\s+/g, " ").trim();
+}
+
+// Geschat verbruik (±4 tekens per token), zodat dagbudgetten ook offline werken
+function fakeUsage(messages, content) {
+  const prompt_tokens = Math.ceil(messages.reduce((n, m) => n + String(m.content || "").length, 0) / 4);
+  const completion_tokens = Math.ceil(content.length / 4);
+  return { prompt_tokens, completion_tokens, total_tokens: prompt_tokens + completion_tokens };
+}
+
+function createFakeProvider(cfg = {}) {
+  const dims = cfg.dimensions || DIMENSIONS;
+
+  return {
+    name: "fake",
+    chatModel: cfg.chatModel || "fake-chat",
+    embedModel: cfg.embedModel || `fake-embed-${dims}`,
+
+    missingConfig() {
+      return null;
+    },
+
+    async chat(opts) {
+      const content = fakeAnswer(opts.messages || []);
+      return { ok: !!content, status: 200, content, usage: fakeUsage(opts.messages || [], content), error: null };
+    },
+
+    async chatStream(opts, onToken) {
+      const content = fakeAnswer(opts.messages || []);
+      for (const part of content.match(/\S+\s*/g) || []) onToken(part);
+      return { ok: !!content, status: 200, content, usage: fakeUsage(opts.messages || [], content), error: null };
+    },
+
+    async embed(texts) {
+      return (texts || []).map(t => fakeEmbedding(t, dims));
+    }
+  };
+}
+
+module.exports = { createFakeProvider, fakeEmbedding };
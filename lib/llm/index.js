@@ -0,0 +1,93 @@
+// beleidsbank-api/lib/llm/index.js
+// Eén plek voor LLM- en embeddingconfiguratie. Alle endpoints gebruiken getLlm().
+//
+// Env:
+// LLM_PROVIDER        openai (default) | azure | local | fake
+// LLM_CHAT_MODEL      default gpt-4o-mini (azure: deployment-naam)
+// LLM_EMBED_MODEL     default text-embedding-3-small (azure: deployment-naam)
+// LLM_BASE_URL        openai: https://api.openai.com/v1, local: http://localhost:11434/v1 (Ollama)
+// LLM_API_KEY         valt terug op OPENAI_API_KEY (local: optioneel)
+// EMBED_PROVIDER      optioneel andere provider voor embeddings (zelfde waarden als LLM_PROVIDER)
+// AZURE_OPENAI_ENDPOINT, AZURE_OPENAI_API_KEY, AZURE_OPENAI_API_VERSION (default 2024-06-01)
+// FAKE_EMBED_DIMENSIONS default 1536 (moet passen bij de vector-kolom)
+
+const { createOpenAiProvider } = require("./openai");
+const { createFakeProvider } = require("./fake");
+
+const DEFAULT_BASE_URLS = {
+  openai: "https://api.openai.com/v1",
+  local: "http://localhost:11434/v1"
+};
+
+function createProvider(kind, env = process.env) {
+  const chatModel = env.LLM_CHAT_MODEL || "gpt-4o-mini";
+  const embedModel = env.LLM_EMBED_MODEL || "text-embedding-3-small";
+
+  switch (kind) {
+    case "fake":
+      return createFakeProvider({
+        chatModel: env.LLM_CHAT_MODEL,
+        embedModel: env.LLM_EMBED_MODEL,
+        dimensions: parseInt(env.FAKE_EMBED_DIMENSIONS, 10) || undefined
+      });
+    case "azure":
+      return createOpenAiProvider({
+        kind,
+        baseUrl: env.AZURE_OPENAI_ENDPOINT,
+        apiKey: env.AZURE_OPENAI_API_KEY || env.LLM_API_KEY,
+        apiVersion: env.AZURE_OPENAI_API_VERSION || "2024-06-01",
+        chatModel,
+        embedModel
+      });
+    case "openai":
+    case "local":
+      return createOpenAiProvider({
+        kind,
+        baseUrl: env.LLM_BASE_URL || DEFAULT_BASE_URLS[kind],
+        apiKey: env.LLM_API_KEY || env.OPENAI_API_KEY,
+        chatModel,
+        embedModel
+      });
+    default:
+      throw new Error(`Onbekende LLM_PROVIDER: ${kind}`);
+  }
+}
+
+let cached = null;
+
+/**
+ * Provider volgens env. chat/chatStream gaan naar LLM_PROVIDER, embed naar EMBED_PROVIDER
+ * (als gezet), zodat bijv. lokaal chatten met gehoste embeddings mogelijk is.
+ */
+function getLlm(env = process.env) {
+  if (cached && env === process.env) return cached;
+
+  const chatKind = (env.LLM_PROVIDER || "openai").toLowerCase();
+  const embedKind = (env.EMBED_PROVIDER || chatKind).toLowerCase();
+
+  const chat = createProvider(chatKind, env);
+  const embed = embedKind === chatKind ? chat : createProvider(embedKind, env);
+
+  const llm = {
+    name: chat.name,
+    chatModel: chat.chatModel,
+    embedModel: embed.embedModel,
+    missingConfig: () => chat.missingConfig() || embed.missingConfig(),
+    chat: opts => chat.chat(opts),
+    chatStream: (opts, onToken) => chat.chatStream(opts, onToken),
+    embed: texts => embed.embed(texts),
+    // Eén embedding (of null bij fout) — voor zoekqueries
+    embedOne: async text => {
+      try {
+        return (await embed.embed([text]))[0] || null;
+      } catch {
+        return null;
+      }
+    }
+  };
+
+  if (env === process.env) cached = llm;
+  return llm;
+}
+
+module.exports = { getLlm, createProvider };
@@ -0,0 +1,159 @@
+// beleidsbank-api/lib/llm/openai.js
+// OpenAI-compatibele provider: OpenAI zelf, Azure OpenAI en lokale servers
+// (Ollama, llama.cpp, vLLM) die /v1/chat/completions en /v1/embeddings aanbieden.
+
+function safeJsonParse(s) {
+  try { return JSON.parse(s); } catch { return null; }
+}
+
+// Leest een SSE-stream (data: {...}\n\n) en roept onToken per stukje tekst aan
+async function readCompletionStream(resp, onToken) {
+  const decoder = new TextDecoder();
+  let buffer = "";
+  let full = "";
+  let usage = null;
+
+  for await (const part of resp.body) {
+    buffer += decoder.decode(part, { stream: true });
+
+    let idx;
+    while ((idx = buffer.indexOf("\n")) >= 0) {
+      const line = buffer.slice(0, idx).trim();
+      buffer = buffer.slice(idx + 1);
+      if (!line.startsWith("data:")) continue;
+
+      const data = line.slice(5).trim();
+      if (data === "[DONE]") return { content: full, usage };
+
+      const json = safeJsonParse(data);
+      if (json?.usage) usage = json.usage;
+      const delta = json?.choices?.[0]?.delta?.content;
+      if (delta) {
+        full += delta;
+        onToken(delta);
+      }
+    }
+  }
+
+  return { content: full, usage };
+}
+
+/**
+ * @param {object} cfg
+ * @param {"openai"|"azure"|"local"} cfg.kind
+ * @param {string} cfg.baseUrl   OpenAI/local: .../v1, Azure: https://<resource>.openai.azure.com
+ * @param {string} [cfg.apiKey]
+ * @param {string} cfg.chatModel  Azure: deployment-naam
+ * @param {string} cfg.embedModel Azure: deployment-naam
+ * @param {string} [cfg.apiVersion] alleen Azure
+ */
+function createOpenAiProvider(cfg) {
+  const base = (cfg.baseUrl || "").replace(/\/+$/, "");
+
+  function url(kind, model) {
+    if (cfg.kind === "azure") {
+      return `${base}/openai/deployments/${encodeURIComponent(model)}/${kind}?api-version=${encodeURIComponent(cfg.apiVersion)}`;
+    }
+    return `${base}/${kind}`;
+  }
+
+  function headers() {
+    const h = { "Content-Type": "application/json" };
+    if (cfg.kind === "azure") h["api-key"] = cfg.apiKey;
+    else if (cfg.apiKey) h.Authorization = `Bearer ${cfg.apiKey}`;
+    return h;
+  }
+
+  function chatBody(opts, stream) {
+    const body = {
+      temperature: opts.temperature ?? 0,
+      max_tokens: opts.max_tokens,
+      messages: opts.messages
+    };
+    // Azure kiest het model via de deployment in de URL
+    if (cfg.kind !== "azure") body.model = opts.model || cfg.chatModel;
+    if (stream) body.stream = true;
+    // Verbruik ook bij streaming (laatste chunk), voor het dagbudget in lib/rate-limit.js
+    if (stream && cfg.kind === "openai") body.stream_options = { include_usage: true };
+    return JSON.stringify(body);
+  }
+
+  return {
+    name: cfg.kind,
+    chatModel: cfg.chatModel,
+    embedModel: cfg.embedModel,
+
+    missingConfig() {
+      if (!base) return cfg.kind === "azure" ? "AZURE_OPENAI_ENDPOINT missing" : "LLM_BASE_URL missing";
+      if (cfg.kind === "openai" && !cfg.apiKey) return "OPENAI_API_KEY missing";
+      if (cfg.kind === "azure" && !cfg.apiKey) return "AZURE_OPENAI_API_KEY missing";
+      return null;
+    },
+
+    // Faalt nooit hard: { ok, status, content, usage, error }
+    async chat(opts) {
+      try {
+        const resp = await fetch(url("chat/completions", opts.model || cfg.chatModel), {
+          method: "POST",
+          headers: headers(),
+          body: chatBody(opts, false)
+        });
+        const raw = await resp.text();
+        const json = safeJsonParse(raw);
+        const content = json?.choices?.[0]?.message?.content || "";
+        return {
+          ok: resp.ok && !!content,
+          status: resp.status,
+          content,
+          usage: json?.usage || null,
+          error: resp.ok ? null : raw.slice(0, 300)
+        };
+      } catch (e) {
+        return { ok: false, status: 0, content: "", usage: null, error: String(e?.message || e) };
+      }
+    },
+
+    // Zelfde resultaat als chat(), maar tekst komt tussentijds binnen via onToken
+    async chatStream(opts, onToken) {
+      try {
+        const resp = await fetch(url("chat/completions", opts.model || cfg.chatModel), {
+          method: "POST",
+          headers: headers(),
+          body: chatBody(opts, true)
+        });
+        if (!resp.ok || !resp.body) {
+          const raw = await resp.text();
+          return { ok: false, status: resp.status, content: "", usage: null, error: raw.slice(0, 300) };
+        }
+        const { content, usage } = await readCompletionStream(resp, onToken);
+        return { ok: !!content, status: resp.status, content, usage, error: null };
+      } catch (e) {
+        return { ok: false, status: 0, content: "", usage: null, error: String(e?.message || e) };
+      }
+    },
+
+    // Gooit bij fouten (ingest moet dan stoppen)
+    async embed(texts) {
+      // ✅ Guard: embeddings mogen niet met lege input
+      if (!texts || texts.length === 0) return [];
+
+      const body = { input: texts.map(t => (t || "").slice(0, 8000)) };
+      if (cfg.kind !== "azure") body.model = cfg.embedModel;
+
+      const resp = await fetch(url("embeddings", cfg.embedModel), {
+        method: "POST",
+        headers: headers(),
+        body: JSON.stringify(body)
+      });
+
+      const raw = await resp.text();
+      if (!resp.ok) throw new Error(`${cfg.kind} embeddings failed ${resp.status}: ${raw.slice(0, 200)}`);
+      const json = safeJsonParse(raw);
+      const arr = json?.data?.map(x => x.embedding) || [];
+      if (arr.length !== texts.length) throw new Error("Embedding count mismatch");
+      return arr;
+    }
+  };
+}
+
+module.exports = { createOpenAiProvider, readCompletionStream };
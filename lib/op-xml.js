@@ -0,0 +1,145 @@
+// beleidsbank-api/lib/op-xml.js
+// Parser voor publicaties van officielebekendmakingen.nl (Staatscourant-XML): ministeriële
+// regelingen, beleidsregels en circulaires. Publicaties met artikelen volgen de BWB-structuur
+// (lib/bwb-xml.js); zonder artikelen wordt per divisie/paragraaf met kop gechunkt en anders in
+// blokken van alinea's.
+
+const { parseBwbXml } = require("./bwb-xml");
+const { parseXml, childElements, firstChild, findFirst, findAll, textOf } = require("./xml");
+
+// Structuurelementen van circulaires en beleidsregels zonder artikelen
+const DIVISIONS = new Set(["divisie", "circulaire.divisie", "hoofdstuk", "paragraaf", "sectie"]);
+
+// Overslaan: metadata, ondertekening en noten horen niet in de chunks
+const SKIP = new Set(["meta", "metadata", "meta-data", "ondertekening", "noot", "nootref", "img", "illustratie"]);
+
+const BLOCK_CHARS = 1500;
+
+function readKop(node) {
+  const kop = firstChild(node, "kop");
+  if (!kop) return null;
+  const label = textOf(firstChild(kop, "label"));
+  const nr = textOf(firstChild(kop, "nr")).replace(/\.$/, "");
+  const title = textOf(firstChild(kop, "titel"));
+  // Genummerde divisie zonder label ("2.1 Signalering") als paragraaf tonen
+  return { label, nr, title, text: [label || (nr ? "Paragraaf" : ""), nr, title].filter(Boolean).join(" ") };
+}
+
+// Alinea's onder een knoop (zonder overgeslagen onderdelen), één per regel
+function paragraphs(node) {
+  const out = [];
+  for (const c of childElements(node)) {
+    if (SKIP.has(c.name) || c.name === "kop") continue;
+    if (c.name === "al" || c.name === "tussenkop") {
+      const t = textOf(c);
+      if (t) out.push(t);
+    } else {
+      out.push(...paragraphs(c));
+    }
+  }
+  return out;
+}
+
+function hasDivisions(node) {
+  return childElements(node).some(c => (DIVISIONS.has(c.name) && readKop(c)) || (!SKIP.has(c.name) && hasDivisions(c)));
+}
+
+function walkDivisions(node, path, out) {
+  for (const c of childElements(node)) {
+    if (SKIP.has(c.name)) continue;
+
+    const kop = DIVISIONS.has(c.name) ? readKop(c) : null;
+    if (!kop) {
+      walkDivisions(c, path, out);
+      continue;
+    }
+
+    const segment = {
+      key: `${kop.label || "Paragraaf"}${kop.nr || out.length + 1}`.replace(/\s+/g, ""),
+      text: kop.text
+    };
+    const next = [...path, segment];
+
+    if (hasDivisions(c)) {
+      walkDivisions(c, next, out);
+      continue;
+    }
+
+    out.push({
+      kind: "paragraaf",
+      nr: kop.nr || null,
+      title: kop.title || null,
+      heading: kop.text,
+      path: next.map(p => `/${p.key}`).join(""),
+      path_label: next.map(p => p.text).join(" > "),
+      leden: [],
+      text: `${kop.text}\n${paragraphs(c).join("\n")}`.trim()
+    });
+  }
+  return out;
+}
+
+// Zonder structuur: opeenvolgende alinea's tot ongeveer BLOCK_CHARS tekens
+function blocks(node) {
+  const out = [];
+  let buf = [];
+  let size = 0;
+  const flush = () => {
+    if (!buf.length) return;
+    const n = out.length + 1;
+    out.push({
+      kind: "deel",
+      nr: null,
+      title: null,
+      heading: `Deel ${n}`,
+      path: `/Deel${n}`,
+      path_label: "",
+      leden: [],
+      text: buf.join("\n")
+    });
+    buf = [];
+    size = 0;
+  };
+  for (const p of paragraphs(node)) {
+    if (size + p.length > BLOCK_CHARS) flush();
+    buf.push(p);
+    size += p.length + 1;
+  }
+  flush();
+  return out;
+}
+
+/**
+ * Parse een publicatie (XML-manifestatie van officielebekendmakingen.nl).
+ * @returns {{ title: string|null, structure: "artikelen"|"paragrafen"|"blokken", units: object[] }}
+ */
+function parseOpXml(xml) {
+  const root = parseXml(xml);
+
+  const title =
+    textOf(findFirst(root, "intitule")) ||
+    textOf(findFirst(root, "circulaire.titel")) ||
+    textOf(findFirst(findFirst(root, "kop"), "titel")) ||
+    null;
+
+  // Ministeriële regeling / beleidsregel met artikelen
+  if (findAll(root, "artikel").length) {
+    const units = parseBwbXml(xml).units;
+    if (units.length) return { title, structure: "artikelen", units };
+  }
+
+  const body =
+    findFirst(root, "circulaire-tekst") ||
+    findFirst(root, "regeling-tekst") ||
+    findFirst(root, "vrije-tekst") ||
+    root;
+
+  if (hasDivisions(body)) {
+    const units = walkDivisions(body, [], []).filter(u => u.text.length > 20);
+    if (units.length) return { title, structure: "paragrafen", units };
+  }
+
+  return { title, structure: "blokken", units: blocks(body).filter(u => u.text.length > 20) };
+}
+
+module.exports = { parseOpXml };
@@ -0,0 +1,333 @@
+// beleidsbank-api/lib/rate-limit.js
+// Rate limits en dagbudgetten per client, gedeeld tussen alle instanties (geen geheugen per proces).
+//
+// Client: een geldige API-sleutel (zie lib/auth.js) telt als eigen client ("key:<id>"), anders het
+// IP-adres ("ip:<adres>"). Een ongeldig token geeft 401.
+// Rate limit: vast venster per endpoint en client, "10/60" = 10 verzoeken per 60 seconden. Elk antwoord
+// krijgt RateLimit-Limit, -Remaining, -Reset en -Policy; daarboven 429 rate_limited met Retry-After.
+// Dagbudget: tokens en geraamde kosten van LLM-aanroepen per client per dag (UTC). Is het budget op,
+// dan 429 quota_exceeded tot middernacht UTC.
+// Per sleutel gaan api_keys.limits voor de standaard, bijv.
+//   { "chat": "120/60", "search": "1000/60", "daily_tokens": 2000000, "daily_cost": 5 }
+// Valt de backend uit, dan gaat het verzoek standaard door (limieten mogen de API niet platleggen),
+// met een foutmelding in de log; met RATE_LIMIT_FAIL=closed krijgt de client dan 503.
+// Geteld worden chat (ook rerank met RERANK_PROVIDER=llm) en embeddings (zoekquery, antwoordcache).
+//
+// Env:
+// RATE_LIMIT_BACKEND       store (default: tabellen rate_limits en usage_daily via lib/store) | redis | off
+// RATE_LIMIT_FAIL          open (default: doorlaten als de backend faalt) | closed (503)
+// REDIS_REST_URL, REDIS_REST_TOKEN   voor redis: Redis-compatibele REST-API (bijv. Upstash)
+// RATE_LIMITS              standaardlimieten overschrijven: "chat:ip=10/60,chat:key=60/60,search:ip=120/60"
+// DAILY_TOKEN_BUDGET_IP    default 100000; DAILY_TOKEN_BUDGET_KEY default 1000000 (0 = geen budget)
+// DAILY_COST_BUDGET_IP, DAILY_COST_BUDGET_KEY   in EUR, default 0 (geen budget)
+// LLM_COST_INPUT_PER_1K, LLM_COST_OUTPUT_PER_1K  prijs per 1000 tokens in EUR, voor de kostenraming
+// LLM_COST_EMBED_PER_1K    prijs per 1000 embeddingtokens in EUR (default 0)
+
+const { identifyClient } = require("./auth");
+const { HttpError } = require("./http");
+const { getLlm } = require("./llm");
+const { getStore } = require("./store");
+
+const DEFAULT_LIMITS = {
+  chat: { ip: "10/60", key: "60/60" },
+  search: { ip: "60/60", key: "600/60" },
+  suggestions: { ip: "10/60", key: "60/60" }
+};
+
+const DEFAULT_TOKEN_BUDGETS = { ip: 100_000, key: 1_000_000 };
+
+function envNumber(env, name, d) {
+  const n = parseFloat(env[name]);
+  return Number.isFinite(n) && n >= 0 ? n : d;
+}
+
+// "10/60" -> { limit: 10, windowSec: 60 }
+function parseRate(s) {
+  const m = String(s ?? "").trim().match(/^(\d+)\s*\/\s*(\d+)$/);
+  return m && +m[2] > 0 ? { limit: +m[1], windowSec: +m[2] } : null;
+}
+
+// "chat:ip=10/60,search:key=600/60" -> { "chat:ip": "10/60", ... }
+function envLimits(env) {
+  const out = {};
+  for (const part of (env.RATE_LIMITS || "").split(",")) {
+    const [k, v] = part.split("=").map(s => s.trim());
+    if (k && v) out[k] = v;
+  }
+  return out;
+}
+
+function rateFor(name, client, env = process.env) {
+  return (
+    (client.kind === "key" && parseRate(client.limits?.[name])) ||
+    parseRate(envLimits(env)[`${name}:${client.kind}`]) ||
+    parseRate(DEFAULT_LIMITS[name]?.[client.kind])
+  );
+}
+
+function budgetFor(client, env = process.env) {
+  const K = client.kind.toUpperCase();
+  const own = client.kind === "key" ? client.limits || {} : {};
+  return {
+    tokens: own.daily_tokens ?? envNumber(env, `DAILY_TOKEN_BUDGET_${K}`, DEFAULT_TOKEN_BUDGETS[client.kind]),
+    cost: own.daily_cost ?? envNumber(env, `DAILY_COST_BUDGET_${K}`, 0)
+  };
+}
+
+/**
+ * Limieten voor api_keys.limits controleren (beheer-API).
+ * @returns {{ limits?: object, error?: string }}
+ */
+function normalizeLimits(raw) {
+  if (raw == null) return { limits: null };
+  if (typeof raw !== "object" || Array.isArray(raw)) return { error: "limits moet een object zijn" };
+  const out = {};
+  for (const [k, v] of Object.entries(raw)) {
+    if (k === "daily_tokens" || k === "daily_cost") {
+      const n = Number(v);
+      if (!Number.isFinite(n) || n < 0) return { error: `${k} moet een getal ≥ 0 zijn` };
+      out[k] = n;
+    } else if (DEFAULT_LIMITS[k]) {
+      if (!parseRate(v)) return { error: `${k} moet de vorm "aantal/seconden" hebben, bijv. "60/60"` };
+      out[k] = String(v).replace(/\s+/g, "");
+    } else {
+      return { error: `onbekende limiet ${k} (toegestaan: ${[...Object.keys(DEFAULT_LIMITS), "daily_tokens", "daily_cost"].join(", ")})` };
+    }
+  }
+  return { limits: Object.keys(out).length ? out : null };
+}
+
+// ---------- backends ----------
+
+function createStoreBackend(store = getStore()) {
+  return {
+    name: "store",
+    missingConfig: () => store.missingConfig(),
+    hit: (key, windowStartMs, windowSec) => store.rateLimitHit(key, new Date(windowStartMs).toISOString(), windowSec),
+    addUsage: (client, day, usage) => store.addUsage(client, day, usage),
+    getUsage: (client, day) => store.getUsage(client, day),
+    listUsage: opts => store.listUsage(opts)
+  };
+}
+
+// Redis-compatibel via de REST-API (pipeline-endpoint), zonder extra dependency
+function createRedisBackend({ url, token }) {
+  const base = (url || "").replace(/\/+$/, "");
+
+  async function pipeline(commands) {
+    const resp = await fetch(`${base}/pipeline`, {
+      method: "POST",
+      headers: { Authorization: `Bearer ${token}`, "Content-Type": "application/json" },
+      body: JSON.stringify(commands)
+    });
+    if (!resp.ok) throw new Error(`redis ${resp.status}`);
+    const out = await resp.json();
+    const failed = out.find(x => x?.error);
+    if (failed) throw new Error(`redis: ${failed.error}`);
+    return out.map(x => x.result);
+  }
+
+  // HGETALL geeft [veld, waarde, veld, waarde, …]
+  function usageFrom(flat, client, day) {
+    const h = {};
+    for (let i = 0; i + 1 < (flat || []).length; i += 2) h[flat[i]] = flat[i + 1];
+    return { client, day, requests: +h.requests || 0, tokens: +h.tokens || 0, cost: +h.cost || 0 };
+  }
+
+  return {
+    name: "redis",
+    missingConfig: () => (!base ? "REDIS_REST_URL missing" : !token ? "REDIS_REST_TOKEN missing" : null),
+
+    async hit(key, windowStartMs, windowSec) {
+      const k = `rl:${key}:${windowStartMs}`;
+      const [count] = await pipeline([["INCR", k], ["EXPIRE", k, String(windowSec + 60)]]);
+      return Number(count);
+    },
+
+    async addUsage(client, day, { requests = 0, tokens = 0, cost = 0 }) {
+      const k = `usage:${client}:${day}`;
+      const out = await pipeline([
+        ["HINCRBY", k, "requests", String(requests)],
+        ["HINCRBY", k, "tokens", String(Math.round(tokens))],
+        ["HINCRBYFLOAT", k, "cost", String(cost)],
+        ["EXPIRE", k, String(3 * 86400)],
+        ["HGETALL", k]
+      ]);
+      return usageFrom(out[4], client, day);
+    },
+
+    async getUsage(client, day) {
+      const [flat] = await pipeline([["HGETALL", `usage:${client}:${day}`]]);
+      return usageFrom(flat, client, day);
+    },
+
+    async listUsage() {
+      throw new HttpError(400, "bij RATE_LIMIT_BACKEND=redis alleen per client opvragen (?client=…)");
+    }
+  };
+}
+
+let cached = null;
+
+function getLimiterBackend(env = process.env) {
+  if (cached && env === process.env) return cached;
+
+  const kind = (env.RATE_LIMIT_BACKEND || "store").toLowerCase();
+  let backend;
+  switch (kind) {
+    case "off":
+      backend = null;
+      break;
+    case "store":
+      backend = createStoreBackend();
+      break;
+    case "redis":
+      backend = createRedisBackend({ url: env.REDIS_REST_URL, token: env.REDIS_REST_TOKEN });
+      break;
+    default:
+      throw new Error(`Onbekende RATE_LIMIT_BACKEND: ${kind}`);
+  }
+
+  if (env === process.env) cached = backend;
+  return backend;
+}
+
+// ---------- meting ----------
+
+function todayUtc() {
+  return new Date().toISOString().slice(0, 10);
+}
+
+function secondsToMidnightUtc(now = Date.now()) {
+  const d = new Date(now);
+  return Math.ceil((Date.UTC(d.getUTCFullYear(), d.getUTCMonth(), d.getUTCDate() + 1) - now) / 1000);
+}
+
+// Tokens uit usage, of geschat (±4 tekens per token) als de provider niets teruggeeft
+function tokensOf(opts, result) {
+  const u = result?.usage || {};
+  const chars = (opts.messages || []).reduce((n, m) => n + String(m.content || "").length, 0);
+  const input = u.prompt_tokens ?? (u.total_tokens ? 0 : Math.ceil(chars / 4));
+  const output = u.completion_tokens ?? (u.total_tokens ? u.total_tokens : Math.ceil((result?.content || "").length / 4));
+  return { input, output };
+}
+
+function costOf({ input, output }, env = process.env) {
+  return (input / 1000) * envNumber(env, "LLM_COST_INPUT_PER_1K", 0) + (output / 1000) * envNumber(env, "LLM_COST_OUTPUT_PER_1K", 0);
+}
+
+// Embeddings geven geen usage terug: geschat zoals de provider de invoer afkapt (8000 tekens per tekst)
+function embedTokensOf(texts) {
+  return (texts || []).reduce((n, t) => n + Math.ceil(String(t || "").slice(0, 8000).length / 4), 0);
+}
+
+// LLM-wrapper die het verbruik van elke chat- en embedding-aanroep meteen op het dagbudget boekt
+function meteredLlm(llm, record, env = process.env) {
+  const book = async (opts, result) => {
+    const t = tokensOf(opts, result);
+    await record({ tokens: t.input + t.output, cost: costOf(t, env) });
+    return result;
+  };
+  const bookEmbed = async (texts, result) => {
+    const tokens = embedTokensOf(texts);
+    if (tokens) await record({ tokens, cost: (tokens / 1000) * envNumber(env, "LLM_COST_EMBED_PER_1K", 0) });
+    return result;
+  };
+  return {
+    ...llm,
+    chat: async opts => book(opts, await llm.chat(opts)),
+    chatStream: async (opts, onToken) => book(opts, await llm.chatStream(opts, onToken)),
+    embed: async texts => bookEmbed(texts, await llm.embed(texts)),
+    embedOne: async text => bookEmbed([text], await llm.embedOne(text))
+  };
+}
+
+// Backend faalt: loggen, en doorlaten of (RATE_LIMIT_FAIL=closed) 503
+function backendFailed(e, step, client, env) {
+  console.error(`[rate-limit] ${step} mislukt voor ${client.id}`, e);
+  if ((env.RATE_LIMIT_FAIL || "open").toLowerCase() === "closed") {
+    throw new HttpError(503, "rate limiting tijdelijk niet beschikbaar, probeer het straks opnieuw", {
+      code: "rate_limit_unavailable"
+    });
+  }
+  return { client, llm: null, usage: null };
+}
+
+/**
+ * Rate limit (en met budget: dagbudget) afdwingen voor één verzoek. Zet de RateLimit-headers.
+ * @param {string} name  endpoint (sleutel in DEFAULT_LIMITS)
+ * @param {{ budget?: boolean }} opts  budget: LLM-verbruik tellen; geeft dan een gemeten llm terug
+ * @returns {Promise<{ client: object|null, llm: object|null, usage: object|null }>}
+ * @throws {HttpError} 401 ongeldig token, 429 rate_limited of quota_exceeded,
+ *                   503 als de backend faalt en RATE_LIMIT_FAIL=closed
+ */
+async function enforce(req, res, name, { budget = false } = {}, { backend = getLimiterBackend(), env = process.env } = {}) {
+  if (!backend || backend.missingConfig()) return { client: null, llm: null, usage: null };
+
+  const client = await identifyClient(req);
+
+  const now = Date.now();
+  const rate = rateFor(name, client, env);
+  if (rate) {
+    const windowStart = Math.floor(now / (rate.windowSec * 1000)) * rate.windowSec * 1000;
+    let count;
+    try {
+      count = await backend.hit(`${name}:${client.id}`, windowStart, rate.windowSec);
+    } catch (e) {
+      return backendFailed(e, "rate limit", client, env);
+    }
+
+    const reset = Math.max(1, Math.ceil((windowStart + rate.windowSec * 1000 - now) / 1000));
+    res.setHeader("RateLimit-Limit", String(rate.limit));
+    res.setHeader("RateLimit-Remaining", String(Math.max(0, rate.limit - count)));
+    res.setHeader("RateLimit-Reset", String(reset));
+    res.setHeader("RateLimit-Policy", `${rate.limit};w=${rate.windowSec}`);
+    if (count > rate.limit) {
+      res.setHeader("Retry-After", String(reset));
+      throw new HttpError(429, "te veel verzoeken, probeer het straks opnieuw", {
+        code: "rate_limited",
+        details: { limit: rate.limit, window_seconds: rate.windowSec, retry_after: reset }
+      });
+    }
+  }
+
+  if (!budget) return { client, llm: null, usage: null };
+
+  // Alleen toegelaten verzoeken tellen mee in het dagverbruik
+  const day = todayUtc();
+  let usage;
+  try {
+    usage = await backend.addUsage(client.id, day, { requests: 1, tokens: 0, cost: 0 });
+  } catch (e) {
+    return backendFailed(e, "dagverbruik", client, env);
+  }
+
+  const max = budgetFor(client, env);
+  const over = (max.tokens > 0 && usage.tokens >= max.tokens) || (max.cost > 0 && usage.cost >= max.cost);
+  if (over) {
+    const retry = secondsToMidnightUtc(now);
+    res.setHeader("Retry-After", String(retry));
+    throw new HttpError(429, "dagbudget op, morgen (UTC) weer beschikbaar", {
+      code: "quota_exceeded",
+      details: { used: { tokens: usage.tokens, cost: usage.cost }, budget: max, retry_after: retry }
+    });
+  }
+
+  // Verbruik achteraf boeken; een fout hier breekt het lopende antwoord niet af
+  const record = delta => backend.addUsage(client.id, day, { requests: 0, ...delta }).catch(e => {
+    console.error(`[rate-limit] verbruik boeken mislukt voor ${client.id}`, e);
+    return null;
+  });
+  return { client, llm: meteredLlm(getLlm(env), record, env), usage };
+}
+
+module.exports = {
+  enforce,
+  getLimiterBackend,
+  createStoreBackend,
+  createRedisBackend,
+  normalizeLimits,
+  rateFor,
+  budgetFor,
+  DEFAULT_LIMITS
+};
@@ -0,0 +1,153 @@
+// beleidsbank-api/lib/references.js
+// Verwijzingen tussen artikelen: uit wetstekst halen (bij ingest), opzoeken en gebruiken om
+// bij chat de artikelen mee te nemen waar een gevonden artikel naar verwijst. Daarnaast de
+// uitspraken die naar gevonden artikelen verwijzen (case_law_articles).
+
+const { parseCitations, expandRange } = require("./citations");
+const { lawsForAliases, normalizeAlias } = require("./laws");
+const { getStore } = require("./store");
+
+const MAX_NGRAM = 8;
+
+// Kop ("Artikel 3:40") niet als verwijzing naar zichzelf lezen
+function bodyOf(text) {
+  return (text || "").replace(/^Artikel\b[^\n]*\n/, "");
+}
+
+// Kandidaat-wetnamen na "van de/het …" (voor het opzoeken van aliassen in het register)
+function lawCandidates(texts) {
+  const out = new Set();
+  const re = /van\s+(?:de|het)\s+(\p{Lu}[^,.;:()\n]{0,100})/gu;
+  for (const text of texts) {
+    let m;
+    while ((m = re.exec(text || ""))) {
+      const words = m[1].match(/[\p{L}\p{N}]+/gu) || [];
+      for (let n = 1; n <= Math.min(MAX_NGRAM, words.length); n++) {
+        out.add(normalizeAlias(words.slice(0, n).join(" ")));
+      }
+    }
+  }
+  return [...out];
+}
+
+// Wetten die in een batch artikelteksten genoemd kunnen worden (ingebouwd + register)
+function lawsForTexts(texts, { store = getStore() } = {}) {
+  return lawsForAliases(lawCandidates(texts.map(bodyOf)), { store });
+}
+
+/**
+ * Verwijzingen in één artikeltekst.
+ * @returns {{ target_doc_id: string|null, target_article: string, target_lid: string|null,
+ *             target_onderdeel: string|null, target_law_text: string|null, kind: "internal"|"external",
+ *             raw: string }[]}
+ */
+function extractReferences(text, { docId, articleNr, laws }) {
+  const out = [];
+  const seen = new Set();
+
+  for (const c of parseCitations(bodyOf(text), { laws, strict: true })) {
+    const targetDoc = c.doc_id || (c.law_text ? null : docId);
+
+    for (const article of expandRange(c.article, c.article_to)) {
+      if (targetDoc === docId && article === articleNr) continue;
+
+      const key = [targetDoc, c.law_text, article, c.lid, c.onderdeel].join("|");
+      if (seen.has(key)) continue;
+      seen.add(key);
+
+      out.push({
+        target_doc_id: targetDoc,
+        target_article: article,
+        target_lid: c.lid,
+        target_onderdeel: c.onderdeel,
+        target_law_text: targetDoc ? null : c.law_text,
+        kind: targetDoc === docId ? "internal" : "external",
+        raw: c.raw.slice(0, 300)
+      });
+    }
+  }
+
+  return out;
+}
+
+/**
+ * Per verwijzing het artikel (chunk) dat op peildatum gold, als dat in de database staat.
+ * @returns {Promise<Map<string, object>>} sleutel "doc_id|artikel"
+ */
+async function resolveTargets(edges, { store = getStore(), peildatum }) {
+  const byDoc = new Map();
+  for (const e of edges) {
+    if (!e.target_doc_id) continue;
+    if (!byDoc.has(e.target_doc_id)) byDoc.set(e.target_doc_id, new Set());
+    byDoc.get(e.target_doc_id).add(e.target_article);
+  }
+
+  const out = new Map();
+  for (const [docId, articles] of byDoc) {
+    const rows = await store.findArticles({ doc_id: docId, articles: [...articles], peildatum, limit: 100 });
+    for (const r of rows) {
+      const nr = r.article_nr || (r.label.match(/Artikel\s+(\S+)$/) || [])[1];
+      if (nr && !out.has(`${docId}|${nr}`)) out.set(`${docId}|${nr}`, r);
+    }
+  }
+  return out;
+}
+
+/**
+ * Artikelen waarnaar de eerste `fromTop` resultaten verwijzen en die nog niet in de resultaten zitten.
+ * @returns {Promise<object[]>} chunks met referenced_by (chunk-id) en reference (de verwijzing)
+ */
+async function referencedArticles(results, { store = getStore(), peildatum, fromTop = 3, maxAdded = 3 } = {}) {
+  const sources = results.slice(0, fromTop).filter(r => r.id != null);
+  if (!sources.length) return [];
+
+  const edges = await store.listReferences({ source_chunk_ids: sources.map(r => r.id) });
+  const targets = await resolveTargets(edges, { store, peildatum });
+
+  const have = new Set(results.map(r => String(r.id)));
+  const added = [];
+
+  // Volgorde van de bronresultaten aanhouden
+  for (const src of sources) {
+    for (const e of edges.filter(x => String(x.source_chunk_id) === String(src.id))) {
+      const target = targets.get(`${e.target_doc_id}|${e.target_article}`);
+      if (!target || have.has(String(target.id))) continue;
+      have.add(String(target.id));
+      added.push({ ...target, referenced_by: src.id, reference: e.raw });
+      if (added.length >= maxAdded) return added;
+    }
+  }
+  return added;
+}
+
+/**
+ * Uitspraken die verwijzen naar de artikelen in de eerste `fromTop` resultaten, nieuwste eerst.
+ * @returns {Promise<object[]>} bronnen met source_type "rechtspraak", label, text (inhoudsindicatie)
+ *                              en case_law_for (chunk-id van het artikel)
+ */
+async function relatedCaseLaw(results, { store = getStore(), fromTop = 3, max = 2 } = {}) {
+  const targets = results
+    .slice(0, fromTop)
+    .map(r => ({ id: r.id, doc_id: r.doc_id, article: r.article_nr || (r.label.match(/Artikel\s+(\S+)$/) || [])[1] }))
+    .filter(t => t.doc_id && t.article);
+  if (!targets.length) return [];
+
+  const rows = await store.caseLawForArticles(targets, { limit: max });
+  return rows
+    .filter(u => u.summary)
+    .map(u => {
+      const article = targets.find(t => u.cites.some(c => c.doc_id === t.doc_id && c.article === t.article));
+      return {
+        id: u.ecli,
+        source_type: "rechtspraak",
+        ecli: u.ecli,
+        label: `Uitspraak ${[u.court, u.decision_date].filter(Boolean).join(" ")}, ${u.ecli}`,
+        text: u.summary,
+        source_url: u.source_url,
+        decision_date: u.decision_date,
+        case_law_for: article?.id ?? null
+      };
+    });
+}
+
+module.exports = { extractReferences, lawsForTexts, resolveTargets, referencedArticles, relatedCaseLaw };
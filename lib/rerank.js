@@ -0,0 +1,156 @@
+// beleidsbank-api/lib/rerank.js
+// Herordenen van zoekkandidaten tussen retrieval en antwoord, met relevantiescore (0–1) per kandidaat
+// en een cutoff die irrelevante passages laat vallen.
+//
+// Env:
+// RERANK_PROVIDER   none (default) | llm | cross-encoder
+// RERANK_CUTOFF     minimale score om te blijven (standaard 0.3)
+// RERANK_TOP_N      aantal kandidaten dat wordt beoordeeld (standaard 20)
+// RERANK_URL        cross-encoder endpoint, bijv. text-embeddings-inference `/rerank`
+// RERANK_MODEL, RERANK_API_KEY  optioneel (Cohere/Jina-achtige endpoints)
+
+const { getLlm } = require("./llm");
+
+const PASSAGE_CHARS = 500;
+
+function envNumber(env, name, d) {
+  const n = parseFloat(env[name]);
+  return Number.isFinite(n) ? n : d;
+}
+
+function passageText(c) {
+  return (c.text || "").replace(/\s+/g, " ").slice(0, PASSAGE_CHARS);
+}
+
+// LLM pointwise in één aanroep: score 0–10 per passage
+function createLlmReranker(llm) {
+  const system = `
+Je beoordeelt hoe relevant wetspassages zijn voor een vraag.
+Geef ALLEEN een JSON array terug zoals [{"n":1,"score":7}], één object per passage.
+score: 10 = beantwoordt de vraag direct, 5 = gerelateerd maar niet voldoende, 0 = niet relevant.
+`.trim();
+
+  return {
+    name: "llm",
+    async score(query, candidates) {
+      const passages = candidates
+        .map((c, i) => `[${i + 1}] ${c.label}\n${passageText(c)}`)
+        .join("\n\n");
+
+      const ai = await llm.chat({
+        temperature: 0,
+        max_tokens: 20 + candidates.length * 16,
+        messages: [
+          { role: "system", content: system },
+          { role: "user", content: `Vraag: ${query}\n\nPassages:\n${passages}` }
+        ]
+      });
+      if (!ai.ok) throw new Error(ai.error || "rerank llm failed");
+
+      let parsed = null;
+      try {
+        parsed = JSON.parse((ai.content || "").replace(/^```(?:json)?\s*|\s*```$/g, ""));
+      } catch {}
+      if (!Array.isArray(parsed) || !parsed.length) throw new Error("rerank llm gaf geen geldige JSON");
+
+      const scores = new Array(candidates.length).fill(null);
+      for (const item of parsed) {
+        const i = parseInt(item?.n, 10) - 1;
+        const s = parseFloat(item?.score);
+        if (i >= 0 && i < scores.length && Number.isFinite(s)) scores[i] = Math.min(1, Math.max(0, s / 10));
+      }
+      // Niet beoordeeld = niet relevant
+      return scores.map(s => s ?? 0);
+    }
+  };
+}
+
+// Cross-encoder via HTTP. Ondersteunt [{ index, score }] (text-embeddings-inference)
+// en { results: [{ index, relevance_score }] } (Cohere/Jina).
+function createCrossEncoderReranker({ url, model, apiKey }) {
+  return {
+    name: "cross-encoder",
+    async score(query, candidates) {
+      if (!url) throw new Error("Missing RERANK_URL");
+
+      const texts = candidates.map(passageText);
+      const controller = new AbortController();
+      const t = setTimeout(() => controller.abort(), 10_000);
+      try {
+        const r = await fetch(url, {
+          method: "POST",
+          signal: controller.signal,
+          headers: {
+            "Content-Type": "application/json",
+            ...(apiKey ? { Authorization: `Bearer ${apiKey}` } : {})
+          },
+          body: JSON.stringify({ model, query, texts, documents: texts })
+        });
+        const json = await r.json().catch(() => null);
+        if (!r.ok) throw new Error(`rerank ${r.status}`);
+
+        const list = Array.isArray(json) ? json : (json?.results || []);
+        const scores = new Array(candidates.length).fill(0);
+        for (const item of list) {
+          const s = item.score ?? item.relevance_score;
+          if (item.index >= 0 && item.index < scores.length && Number.isFinite(s)) scores[item.index] = s;
+        }
+        return scores;
+      } finally {
+        clearTimeout(t);
+      }
+    }
+  };
+}
+
+function rerankProviderName(env = process.env) {
+  return (env.RERANK_PROVIDER || "none").toLowerCase();
+}
+
+function getReranker(kind = rerankProviderName(), env = process.env, llm = null) {
+  switch (kind) {
+    case "none":
+      return null;
+    case "llm":
+      return createLlmReranker(llm || getLlm());
+    case "cross-encoder":
+      return createCrossEncoderReranker({ url: env.RERANK_URL, model: env.RERANK_MODEL, apiKey: env.RERANK_API_KEY });
+    default:
+      throw new Error(`Onbekende RERANK_PROVIDER: ${kind}`);
+  }
+}
+
+/**
+ * Herorden kandidaten. Bij een fout van de reranker blijft de volgorde ongewijzigd (applied: false).
+ * @returns {Promise<{ results: object[], applied: boolean, provider: string, cutoff: number,
+ *                      dropped: object[], error?: string }>}
+ */
+async function rerank(query, candidates, { reranker, cutoff, topN, env = process.env } = {}) {
+  cutoff = cutoff ?? envNumber(env, "RERANK_CUTOFF", 0.3);
+  topN = topN ?? envNumber(env, "RERANK_TOP_N", 20);
+
+  const head = candidates.slice(0, topN);
+  const base = { provider: reranker?.name || "none", cutoff };
+
+  if (!reranker || !head.length) return { ...base, results: candidates, applied: false, dropped: [] };
+
+  let scores;
+  try {
+    scores = await reranker.score(query, head);
+  } catch (e) {
+    return { ...base, results: candidates, applied: false, dropped: [], error: String(e?.message || e) };
+  }
+
+  const scored = head
+    .map((c, i) => ({ ...c, rerank_score: scores[i], scores: { ...(c.scores || {}), rerank: { score: scores[i] } } }))
+    .sort((a, b) => b.rerank_score - a.rerank_score);
+
+  return {
+    ...base,
+    applied: true,
+    results: scored.filter(c => c.rerank_score >= cutoff),
+    dropped: scored.filter(c => c.rerank_score < cutoff)
+  };
+}
+
+module.exports = { rerank, getReranker, rerankProviderName };
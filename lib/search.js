@@ -0,0 +1,498 @@
+// beleidsbank-api/lib/search.js
+// Zoeklogica van /api/search, ook direct aan te roepen vanuit chat (geen HTTP-rondje).
+// search({ q, peildatum }) -> { ok, peildatum, results, citations?, ambiguous?, ambiguity?, question?, options? }
+//
+// Bevat q een artikelverwijzing (lib/citations.js), dan worden precies de geciteerde artikelen
+// teruggegeven, met `provision` = het geciteerde lid/onderdeel als dat is opgegeven.
+// Is de verwijzing niet eenduidig (wet, artikel of versie), dan volgt ambiguous: true met een vraag
+// en options; de `choice` van een optie gaat terug als search({ choice }) en geeft direct het artikel.
+//
+// Vector- en keyword-resultaten worden samengevoegd met reciprocal rank fusion (lib/fusion.js).
+// Elk resultaat krijgt score, provenance (vector | keyword | both) en scores per bron.
+// De keyword-leg is full-text (keyword_chunks, Nederlandse stemming); excerpt is een fragment
+// met de treffers tussen <mark>…</mark> (ts_headline, of lib/dutch.js voor vectorresultaten).
+//
+// Env optioneel (ook per aanroep via ranking):
+// SEARCH_VECTOR_WEIGHT   (standaard 1)
+// SEARCH_KEYWORD_WEIGHT  (standaard 1)
+// SEARCH_RRF_K           (standaard 60)
+//
+// Filters (doc_ids, regulation_types, path_prefix, source_types) gaan mee in beide zoek-RPC's. Paginering gaat met
+// een cursor over de volledige rangschikking; facets telt de resultaten per regeling.
+//
+// Decentrale regelingen (CVDR) zijn standaard buiten beeld: filters.authorities (namen of codes,
+// bijv. ["Amsterdam"] of ["gm0363"]) geeft landelijke regels plus die van deze overheden. Zonder
+// authorities alleen landelijk, tenzij doc_ids of source_types ("cvdr") expliciet gezet zijn.
+//
+// Optioneel daarna een rerankstap (lib/rerank.js): standaard aan als RERANK_PROVIDER gezet is,
+// per aanroep aan/uit te zetten met `rerank`. Het antwoord bevat dan de fusievolgorde en de
+// weggevallen kandidaten, zodat het effect meetbaar is.
+
+const crypto = require("crypto");
+
+const { parseCitations, expandRange, extractProvision } = require("./citations");
+const { parseIsoDate } = require("./dates");
+const { parseQuery, headline } = require("./dutch");
+const { lawsForText, lawShort, describeLaws } = require("./laws");
+const { fuseRankings, DEFAULT_K } = require("./fusion");
+const { getLlm } = require("./llm");
+const { getStore } = require("./store");
+const { rerank: rerankCandidates, getReranker, rerankProviderName } = require("./rerank");
+
+const CANDIDATES_PER_LEG = 30;
+const MAX_CANDIDATES_PER_LEG = 200;
+const RESULT_LIMIT = 15;
+const MAX_PAGE_SIZE = 50;
+const MAX_CITATIONS = 5;
+const MAX_ARTICLE_RESULTS = 10;
+const MAX_OPTIONS = 5;
+const PREVIEW_CHARS = 200;
+
+function envNumber(name, d) {
+  const n = parseFloat(process.env[name]);
+  return Number.isFinite(n) ? n : d;
+}
+
+function rankingOptions(ranking = {}) {
+  return {
+    k: ranking.k ?? envNumber("SEARCH_RRF_K", DEFAULT_K),
+    weights: {
+      vector: ranking.vector ?? envNumber("SEARCH_VECTOR_WEIGHT", 1),
+      keyword: ranking.keyword ?? envNumber("SEARCH_KEYWORD_WEIGHT", 1)
+    }
+  };
+}
+
+function clean(t) {
+  return (t || "")
+    .replace(/\s+/g, " ")
+    .replace(/Toon relaties in LiDO/gi, "")
+    .replace(/Maak een permanente link/gi, "")
+    .replace(/Toon wetstechnische informatie/gi, "")
+    .replace(/Druk het regelingonderdeel af/gi, "")
+    .replace(/Sla het regelingonderdeel op/gi, "")
+    .trim();
+}
+
+function toResult(r, query) {
+  return {
+    id: r.id,
+    label: r.label,
+    text: clean(r.text),
+    excerpt: r.headline ? clean(r.headline) : headline(clean(r.text), query),
+    source_url: r.source_url,
+    doc_id: r.doc_id,
+    article_nr: r.article_nr || null,
+    path_label: r.path_label || null,
+    valid_from: r.valid_from || null,
+    valid_to: r.valid_to || null,
+    ...(r.score != null ? { score: r.score, provenance: r.provenance, scores: r.scores } : {}),
+    ...(r.rerank_score != null ? { rerank_score: r.rerank_score } : {})
+  };
+}
+
+function articleNrOf(row) {
+  return row.article_nr || (row.label.match(/Artikel\s+(\S+)$/) || [])[1] || null;
+}
+
+function orList(names) {
+  return names.length > 1 ? `${names.slice(0, -1).join(", ")} of ${names[names.length - 1]}` : names[0];
+}
+
+function articleResult(r, c) {
+  return {
+    ...toResult(r, parseQuery("")),
+    provenance: "article",
+    citation: c,
+    provision: c.lid || c.onderdeel ? extractProvision(r.text, c) : null
+  };
+}
+
+/**
+ * Verduidelijkingsoptie voor de frontend (knop). `choice` kan ongewijzigd terug naar
+ * search({ choice }) of chat ({ choice }) en leidt dan direct naar dit artikel.
+ */
+function clarificationOption(c, row, law, { pinChunk = false, peildatum = null } = {}) {
+  const article = articleNrOf(row) || c.article;
+  return {
+    title: row.label,
+    doc_id: row.doc_id,
+    law: law?.short || null,
+    law_title: law?.title || null,
+    article,
+    chunk_id: row.id,
+    path_label: row.path_label || null,
+    valid_from: row.valid_from || null,
+    valid_to: row.valid_to || null,
+    preview: clean(row.text).slice(0, PREVIEW_CHARS),
+    choice: {
+      doc_id: row.doc_id,
+      article,
+      lid: c.lid || null,
+      onderdeel: c.onderdeel || null,
+      ...(pinChunk ? { chunk_id: row.id } : {}),
+      ...(peildatum ? { peildatum } : {})
+    }
+  };
+}
+
+function clarification(kind, question, c, options, peildatum) {
+  return { ok: true, peildatum, ambiguous: true, ambiguity: kind, citations: [c], question, options, results: [] };
+}
+
+/**
+ * Verduidelijking als een verwijzing niet eenduidig is:
+ * law      artikel bestaat in meerdere wetten en er is geen wet genoemd
+ * article  de wet heeft meerdere artikelen met dit nummer, of het nummer bestaat niet (suggesties)
+ * version  het artikel gold niet op peildatum, wel in andere versies
+ * @returns {Promise<object|null>} search-antwoord met ambiguous: true, of null
+ */
+async function clarify(c, articles, rows, { store, peildatum, authorities }) {
+  const docs = [...new Set(rows.map(r => r.doc_id).filter(Boolean))];
+
+  if (!c.doc_id && docs.length > 1) {
+    const laws = await describeLaws(docs.slice(0, MAX_OPTIONS), { store });
+    return clarification(
+      "law",
+      `Over welke wet gaat het bij artikel ${c.article}? Bijvoorbeeld ${orList(laws.map(l => l.short))}.`,
+      c,
+      laws.map(l => clarificationOption(c, rows.find(r => r.doc_id === l.doc_id), l)),
+      peildatum
+    );
+  }
+
+  // Eén wet, één artikelnummer, maar meerdere artikelen (bijv. in verschillende hoofdstukken of bijlagen)
+  if (docs.length === 1 && articles.length === 1 && new Set(rows.map(r => r.label)).size > 1) {
+    const [law] = await describeLaws(docs, { store });
+    const options = rows.slice(0, MAX_OPTIONS).map(r => clarificationOption(c, r, law, { pinChunk: true }));
+    return clarification(
+      "article",
+      `De ${law.short} heeft meerdere artikelen ${c.article}. Welke bedoelt u? ${orList(options.map(o => o.path_label || o.title))}.`,
+      c,
+      options,
+      peildatum
+    );
+  }
+
+  if (rows.length) return null;
+
+  // Niet geldig op peildatum: andere versies aanbieden, nieuwste eerst (ook bij meer dan 20 versies)
+  const versions = await inScope(c, await store.findArticles({ doc_id: c.doc_id, articles, limit: 20, newestFirst: true }), { store, authorities });
+  const versionDocs = [...new Set(versions.map(r => r.doc_id))];
+
+  if (versions.length && !c.doc_id && versionDocs.length > 1) {
+    const laws = await describeLaws(versionDocs.slice(0, MAX_OPTIONS), { store });
+    return clarification(
+      "law",
+      `Over welke wet gaat het bij artikel ${c.article}? Bijvoorbeeld ${orList(laws.map(l => l.short))}.`,
+      c,
+      laws.map(l => clarificationOption(c, versions.find(r => r.doc_id === l.doc_id), l)),
+      peildatum
+    );
+  }
+
+  if (versions.length) {
+    const [law] = await describeLaws(versionDocs, { store });
+    const recent = versions.slice(0, MAX_OPTIONS);
+    return clarification(
+      "version",
+      `Artikel ${c.article} van de ${law.short} gold niet op ${peildatum}. Welke versie bedoelt u?`,
+      c,
+      recent.map(r => clarificationOption(c, r, law, { pinChunk: true, peildatum: r.valid_from })),
+      peildatum
+    );
+  }
+
+  // Nummer bestaat niet in de genoemde wet: artikelen binnen dat nummer voorstellen (3 -> 3:1, 3:2, …)
+  if (c.doc_id && articles.length === 1) {
+    const near = await store.findArticlesByPrefix({ doc_id: c.doc_id, prefix: c.article, peildatum, limit: 50 });
+    if (!near.length) return null;
+    near.sort((a, b) => (articleNrOf(a) || "").localeCompare(articleNrOf(b) || "", "nl", { numeric: true }));
+    const [law] = await describeLaws([c.doc_id], { store });
+    const options = near.slice(0, MAX_OPTIONS).map(r => clarificationOption(c, r, law));
+    return clarification(
+      "article",
+      `Artikel ${c.article} komt niet voor in de ${law.short}. Bedoelt u ${orList(options.map(o => `artikel ${o.article}`))}?`,
+      c,
+      options,
+      peildatum
+    );
+  }
+
+  return null;
+}
+
+// Filters van de zoekvraag met de standaardscope voor decentrale regelingen (zie boven)
+function scopedFilters(filters = {}) {
+  const { authorities, ...rest } = filters;
+  const names = (authorities || []).map(a => a.toString().trim().toLowerCase()).filter(Boolean);
+  if (names.length) return { ...rest, authorities: [...new Set(names)] };
+  const explicit = rest.doc_ids?.length || rest.source_types?.includes("cvdr");
+  return explicit ? rest : { ...rest, authorities: [] };
+}
+
+// Artikelen uit CVDR-regelingen van andere overheden weglaten, tenzij de regeling genoemd is
+async function inScope(c, rows, { store, authorities }) {
+  if (!authorities || c.doc_id || !rows.length) return rows;
+  const docs = new Map((await store.getLaws([...new Set(rows.map(r => r.doc_id))]).catch(() => [])).map(d => [d.id, d]));
+  const allowed = new Set(authorities);
+  return rows.filter(r => {
+    const d = docs.get(r.doc_id);
+    return d?.source_type !== "cvdr" ||
+      allowed.has((d.authority_name || "").toLowerCase()) ||
+      allowed.has((d.authority_code || "").toLowerCase());
+  });
+}
+
+async function articleSearch(citations, { store, peildatum, authorities }) {
+  const results = [];
+  const unknownLaws = [];
+
+  for (const c of citations) {
+    // Genoemde wet die niet in het register staat: geen artikel van een andere wet teruggeven
+    if (c.law_text && !c.doc_id) {
+      unknownLaws.push(c.law_text);
+      continue;
+    }
+
+    const articles = expandRange(c.article, c.article_to);
+    const rows = await inScope(c, await store.findArticles({ doc_id: c.doc_id, articles, peildatum, limit: 50 }), { store, authorities });
+
+    const ambiguous = await clarify(c, articles, rows, { store, peildatum, authorities });
+    if (ambiguous) return { ...ambiguous, citations };
+
+    // Volgorde van de verwijzing aanhouden (3:40, 3:41, …)
+    const order = nr => {
+      const i = articles.indexOf(nr);
+      return i < 0 ? articles.length : i;
+    };
+    rows.sort((a, b) => order(articleNrOf(a)) - order(articleNrOf(b)));
+
+    for (const r of rows) results.push(articleResult(r, c));
+  }
+
+  return {
+    ok: true,
+    peildatum,
+    citations,
+    ...(unknownLaws.length ? { unknown_laws: [...new Set(unknownLaws)] } : {}),
+    results: results.slice(0, MAX_ARTICLE_RESULTS)
+  };
+}
+
+/**
+ * Gekozen optie uit een verzoek (chat-body of querystring) controleren.
+ * @returns {object|null} choice voor search({ choice }), of null als doc_id/article ontbreken
+ */
+function parseChoice(raw) {
+  if (!raw || typeof raw !== "object") return null;
+  const str = v => (v ?? "").toString().trim();
+  const doc_id = str(raw.doc_id);
+  const article = str(raw.article);
+  if (!doc_id || !/^[\w:.-]{1,40}$/.test(article)) return null;
+
+  const chunkId = str(raw.chunk_id);
+  const peildatum = parseIsoDate(str(raw.peildatum));
+  return {
+    doc_id,
+    article,
+    lid: str(raw.lid) || null,
+    onderdeel: str(raw.onderdeel) || null,
+    ...(chunkId ? { chunk_id: chunkId } : {}),
+    ...(peildatum ? { peildatum } : {})
+  };
+}
+
+// Gekozen verduidelijkingsoptie: direct het artikel (of de vastgepinde chunk), zonder nieuwe doorvraag
+async function chosenArticle(choice, { store, peildatum }) {
+  const day = choice.peildatum || peildatum;
+  const law = await lawShort(choice.doc_id, { store });
+  const c = {
+    raw: `artikel ${choice.article} ${law}`,
+    doc_id: choice.doc_id,
+    law,
+    law_text: null,
+    article: choice.article,
+    article_to: null,
+    lid: choice.lid || null,
+    onderdeel: choice.onderdeel || null
+  };
+
+  const pinned = choice.chunk_id != null ? await store.getChunk(choice.chunk_id) : null;
+  const rows = pinned && pinned.doc_id === choice.doc_id
+    ? [pinned]
+    : await store.findArticles({ doc_id: choice.doc_id, articles: [choice.article], peildatum: day, limit: 10 });
+
+  return {
+    ok: true,
+    peildatum: day,
+    citations: [c],
+    choice,
+    results: rows.slice(0, MAX_ARTICLE_RESULTS).map(r => articleResult(r, c))
+  };
+}
+
+function searchFingerprint(parts) {
+  return crypto.createHash("sha256").update(JSON.stringify(parts)).digest("base64url").slice(0, 12);
+}
+
+// Cursor = offset in de rangschikking + vingerafdruk van de zoekvraag (base64url JSON)
+function encodeCursor(offset, fingerprint) {
+  return Buffer.from(JSON.stringify({ o: offset, f: fingerprint })).toString("base64url");
+}
+
+function decodeCursor(cursor, fingerprint) {
+  try {
+    const { o, f } = JSON.parse(Buffer.from(cursor, "base64url").toString("utf8"));
+    return f === fingerprint && Number.isInteger(o) && o >= 0 ? o : null;
+  } catch {
+    return null;
+  }
+}
+
+// Aantal resultaten per regeling (over alle pagina's)
+async function lawFacets(ranked, { store }) {
+  const counts = new Map();
+  for (const r of ranked) counts.set(r.doc_id, (counts.get(r.doc_id) || 0) + 1);
+  if (!counts.size) return [];
+
+  const laws = await describeLaws([...counts.keys()], { store });
+  return laws
+    .map(l => ({ doc_id: l.doc_id, law: l.short, count: counts.get(l.doc_id) }))
+    .sort((a, b) => b.count - a.count || a.doc_id.localeCompare(b.doc_id));
+}
+
+// rerank: undefined = volgens RERANK_PROVIDER, true = aan (llm als er geen provider is), false = uit
+function pickReranker(rerank, llm) {
+  if (rerank === false) return null;
+  const kind = rerankProviderName();
+  if (rerank === true && kind === "none") return getReranker("llm", process.env, llm);
+  return getReranker(kind, process.env, llm);
+}
+
+/**
+ * @param {{ q: string, peildatum: string, ranking?: { vector?: number, keyword?: number, k?: number },
+ *           rerank?: boolean, rerankQuery?: string, choice?: object,
+ *           filters?: { doc_ids?: string[], regulation_types?: string[], path_prefix?: string,
+ *                       source_types?: string[], authorities?: string[] },
+ *           limit?: number, cursor?: string, embedding?: number[] }} params
+ *   rerankQuery: vraag waarop gererankt wordt (standaard q), bijv. de oorspronkelijke chatvraag
+ *   choice: `choice` van een verduidelijkingsoptie; q wordt dan genegeerd
+ *   filters: worden in de zoek-RPC's toegepast (vector en keyword), niet achteraf; authorities ook
+ *            bij artikelverwijzingen
+ *   limit/cursor: pagina van de gerangschikte resultaten; next_cursor staat in `page`
+ *   embedding: al berekende embedding van q (chat heeft hem al voor de antwoordcache)
+ */
+async function search({ q, peildatum, ranking, rerank, rerankQuery, choice, filters = {}, limit = RESULT_LIMIT, cursor, embedding: given }, { store = getStore(), llm = getLlm(), reranker } = {}) {
+
+  // --------------------------------
+  // 1 ARTIKELVERWIJZING ("art. 3:40, tweede lid, Awb") of gekozen verduidelijkingsoptie
+  // --------------------------------
+
+  if (choice) return chosenArticle(choice, { store, peildatum });
+
+  filters = scopedFilters(filters);
+
+  // Artikelverwijzingen met de wetten uit het register (ook aliassen en afkortingen die niet in
+  // de ingebouwde lijst staan, bijv. "art. 5 Wtw")
+  const citations = parseCitations(q, { laws: await lawsForText(q, { store }) }).slice(0, MAX_CITATIONS);
+
+  if (citations.length) return articleSearch(citations, { store, peildatum, authorities: filters.authorities });
+
+  // Paginering: de cursor hoort bij precies deze zoekvraag (q, peildatum, filters, ranking)
+  const { k, weights } = rankingOptions(ranking);
+  const fingerprint = searchFingerprint({ q, peildatum, filters, k, weights, rerank });
+  const offset = cursor ? decodeCursor(cursor, fingerprint) : 0;
+  if (offset == null) return { ok: false, error: "ongeldige cursor", peildatum, results: [] };
+
+  // Genoeg kandidaten per leg om tot en met deze pagina te kunnen rangschikken
+  const perLeg = Math.min(MAX_CANDIDATES_PER_LEG, Math.max(CANDIDATES_PER_LEG, offset + limit));
+
+  // --------------------------------
+  // 2 EMBEDDING
+  // --------------------------------
+
+  const embedding = given || await llm.embedOne(q);
+
+  // --------------------------------
+  // 3 VECTOR SEARCH
+  // --------------------------------
+
+  let vectorResults = [];
+
+  if (embedding) {
+    try {
+      vectorResults = await store.vectorMatch(embedding, { peildatum, limit: perLeg, filters });
+    } catch {}
+  }
+
+  // --------------------------------
+  // 4 KEYWORD SEARCH
+  // --------------------------------
+
+  let keywordResults = [];
+
+  try {
+    keywordResults = await store.keywordMatch(q, { peildatum, limit: perLeg, filters });
+  } catch {}
+
+  // --------------------------------
+  // 5 FUSION (RRF, dedupe op chunk-id)
+  // --------------------------------
+
+  const fused = fuseRankings(
+    { vector: vectorResults, keyword: keywordResults },
+    { k, weights, scoreField: { vector: "similarity", keyword: "rank" } }
+  );
+
+  const query = parseQuery(q);
+  const base = { ok: true, peildatum, ranking: { method: "rrf", k, weights }, filters };
+
+  // Zat een leg vol, dan zijn er mogelijk meer kandidaten dan opgehaald (volgende pagina haalt er meer op)
+  const saturated = perLeg < MAX_CANDIDATES_PER_LEG &&
+    (vectorResults.length >= perLeg || keywordResults.length >= perLeg);
+
+  // Eén pagina uit de rangschikking, met facetten over alle opgehaalde kandidaten.
+  // complete: false = total en facets zijn een ondergrens.
+  const paged = async (ranked, { more }) => {
+    const end = offset + limit;
+    return {
+      results: ranked.slice(offset, end).map(r => toResult(r, query)),
+      page: {
+        limit,
+        offset,
+        total: ranked.length,
+        complete: !more,
+        next_cursor: end < ranked.length || (more && end < MAX_CANDIDATES_PER_LEG) ? encodeCursor(end, fingerprint) : null
+      },
+      facets: await lawFacets(ranked, { store })
+    };
+  };
+
+  // --------------------------------
+  // 6 RERANK (optioneel)
+  // --------------------------------
+
+  reranker = reranker !== undefined ? reranker : pickReranker(rerank, llm);
+  if (!reranker) {
+    return { ...base, ...await paged(fused, { more: saturated }) };
+  }
+
+  const rr = await rerankCandidates(rerankQuery || q, fused, { reranker });
+
+  return {
+    ...base,
+    rerank: {
+      provider: rr.provider,
+      applied: rr.applied,
+      cutoff: rr.cutoff,
+      fusion_order: fused.slice(0, RESULT_LIMIT).map(r => r.id),
+      dropped: rr.dropped.map(r => ({ id: r.id, label: r.label, rerank_score: r.rerank_score })),
+      ...(rr.error ? { error: rr.error } : {})
+    },
+    // Alleen de gererankte kandidaten (RERANK_TOP_N) zijn te pagineren
+    ...await paged(rr.results, { more: false })
+  };
+}
+
+module.exports = { search, parseChoice, clean, RESULT_LIMIT, MAX_PAGE_SIZE };
@@ -0,0 +1,34 @@
+// beleidsbank-api/lib/sru.js
+// SRU-zoekservice van overheid.nl (zoekservice.overheid.nl): URL's per connectie
+// (BWB, OFFICIELEPUBLICATIES, cvdr) en XML ophalen met timeout (fetchText, ook voor andere
+// open-databronnen zoals data.rechtspraak.nl).
+
+const SRU_URL = "https://zoekservice.overheid.nl/sru/Search";
+
+function sruUrl(connection, query, { startRecord = 1, maximumRecords = 25 } = {}) {
+  return `${SRU_URL}` +
+    `?operation=searchRetrieve` +
+    `&version=1.2` +
+    `&x-connection=${connection}` +
+    `&x-info-1-accept=any` +
+    `&query=${encodeURIComponent(query)}` +
+    `&startRecord=${startRecord}` +
+    `&maximumRecords=${maximumRecords}`;
+}
+
+async function fetchText(url, ms = 25000) {
+  const controller = new AbortController();
+  const t = setTimeout(() => controller.abort(), ms);
+  try {
+    const r = await fetch(url, {
+      signal: controller.signal,
+      redirect: "follow",
+      headers: { Accept: "application/xml,text/xml;q=0.9,*/*;q=0.8" }
+    });
+    return { ok: r.ok, status: r.status, text: await r.text() };
+  } finally {
+    clearTimeout(t);
+  }
+}
+
+module.exports = { sruUrl, fetchText };
@@ -0,0 +1,549 @@
+// beleidsbank-api/lib/store/index.js
+// Data-access voor documenten en chunks. Endpoints bouwen geen PostgREST-URL's meer zelf.
+//
+// Env:
+// STORE_BACKEND       supabase (default) | memory
+// SUPABASE_URL, SUPABASE_SERVICE_ROLE_KEY (of SUPABASE_SERVICE_KEY)
+// MEMORY_STORE_FILE   optioneel: JSON-bestand voor de memory-backend
+//
+// Filters zijn objecten: { kolom: waarde | null | [lijst] | { eq|neq|gt|gte|lt|lte|like|ilike|in|is: waarde } },
+// met $or: [filter, ...] voor OF-condities. Een array van filters betekent EN.
+
+const { createSupabaseBackend } = require("./supabase");
+const { createMemoryBackend } = require("./memory");
+
+const CHUNK_COLUMNS = "id,label,unit_key,text,source_url,doc_id,article_nr,path,path_label,valid_from,valid_to";
+const API_KEY_COLUMNS = "id,name,role,key_prefix,limits,created_by,created_at,last_used_at,revoked_at";
+const CASE_LAW_COLUMNS = "ecli,title,court,decision_date,publication_date,case_numbers,subjects,summary,source_url";
+const LAW_COLUMNS = "id,title,official_title,citeertitel,short_title,regulation_type,source_type,publication_type,publication_date,authority_type,authority_name,authority_code,source_url";
+
+// Alleen rijen die op peildatum d golden
+function validOn(d) {
+  return {
+    valid_from: { lte: d },
+    $or: [{ valid_to: null }, { valid_to: { gt: d } }]
+  };
+}
+
+// Tabellen per doc_id, in verwijdervolgorde (verwijzingen voor chunks, documents als laatste).
+// Gecachte chatantwoorden die het document citeren gaan altijd mee.
+function documentTables(docId, scope) {
+  const tables = [
+    ["answer_cache", { doc_ids: { cs: [docId] } }],
+    ["chunk_references", { source_doc_id: docId }],
+    ["chunks", { doc_id: docId }],
+    ["document_versions", { doc_id: docId }]
+  ];
+  if (scope === "document") {
+    tables.push(["law_aliases", { doc_id: docId }], ["documents", { id: docId }]);
+  }
+  return tables;
+}
+
+// Alleen gezette filters meesturen (RPC-parameters met default null)
+function searchFilterArgs(filters = {}) {
+  const out = {};
+  if (filters.doc_ids?.length) out.doc_ids = filters.doc_ids;
+  if (filters.regulation_types?.length) out.regulation_types = filters.regulation_types;
+  if (filters.path_prefix) out.path_prefix = filters.path_prefix;
+  if (filters.source_types?.length) out.source_types = filters.source_types;
+  // Leeg array is hier wel een filter: alleen landelijke regels
+  if (Array.isArray(filters.authorities)) out.authorities = filters.authorities;
+  return out;
+}
+
+// Per (doc_id, label, valid_from) de langste tekst houden
+function dedupeChunkRows(rows) {
+  const map = new Map();
+  for (const r of rows) {
+    const key = `${r.doc_id}||${r.label}||${r.valid_from}`;
+    const prev = map.get(key);
+    if (!prev || (r.text || "").length > (prev.text || "").length) map.set(key, r);
+  }
+  return Array.from(map.values());
+}
+
+function createStore(backend) {
+  return {
+    backend,
+    name: backend.name,
+    missingConfig: () => backend.missingConfig(),
+
+    // ---------- documents ----------
+
+    async upsertDocuments(docs) {
+      await backend.upsert("documents", docs, { onConflict: "id" });
+    },
+
+    async getDocument(id) {
+      const rows = await backend.select("documents", { filter: { id }, limit: 1 });
+      return rows[0] || null;
+    },
+
+    async documentsWithoutEmbedding(limit = 200) {
+      return backend.select("documents", { columns: "id,title", filter: { embedding: null }, limit });
+    },
+
+    async setDocumentEmbedding(id, embedding) {
+      await backend.update("documents", { id }, { embedding });
+    },
+
+    // ---------- wettenregister ----------
+
+    async getLaws(ids) {
+      if (!ids.length) return [];
+      return backend.select("documents", { columns: LAW_COLUMNS, filter: { id: ids } });
+    },
+
+    // Zoeken op (citeer)titel of afkorting
+    async searchLaws({ q, type, limit = 20, offset = 0 } = {}) {
+      const filter = [];
+      if (q) {
+        filter.push({
+          $or: ["title", "official_title", "citeertitel", "short_title"].map(col => ({ [col]: { ilike: `*${q}*` } }))
+        });
+      }
+      if (type) filter.push({ regulation_type: type });
+      return backend.select("documents", { columns: LAW_COLUMNS, filter, order: "id.asc", limit, offset });
+    },
+
+    async upsertLawAliases(rows) {
+      if (!rows.length) return;
+      await backend.upsert("law_aliases", rows, { onConflict: "alias_norm,doc_id" });
+    },
+
+    async listLawAliases({ doc_ids, alias_norms } = {}) {
+      const filter = {};
+      if (doc_ids) filter.doc_id = doc_ids;
+      if (alias_norms) filter.alias_norm = alias_norms;
+      return backend.select("law_aliases", { columns: "alias,alias_norm,doc_id,source", filter, limit: 1000 });
+    },
+
+    async deleteLawAlias(alias_norm, doc_id) {
+      return backend.remove("law_aliases", { alias_norm, doc_id });
+    },
+
+    // Versie registreren en valid_to van versies/chunks herberekenen
+    async upsertDocumentVersion(version) {
+      await backend.upsert("document_versions", version, { onConflict: "doc_id,valid_from" });
+      await backend.rpc("refresh_chunk_validity", { p_doc_id: version.doc_id });
+    },
+
+    // ---------- chunks ----------
+
+    // returning: kolommen van de geschreven rijen teruggeven (bijv. "id,label,valid_from")
+    async upsertChunks(rows, { returning } = {}) {
+      const uniqueRows = dedupeChunkRows(rows);
+      let written = [];
+      // ✅ Guard: geen request doen als er niks te schrijven is
+      if (uniqueRows.length) {
+        written = await backend.upsert("chunks", uniqueRows, { onConflict: "doc_id,label,valid_from", returning });
+      }
+      return { sent: rows.length, unique: uniqueRows.length, rows: written };
+    },
+
+    async deleteChunks(filter) {
+      return backend.remove("chunks", filter);
+    },
+
+    async getChunk(id) {
+      const rows = await backend.select("chunks", { columns: CHUNK_COLUMNS, filter: { id }, limit: 1 });
+      return rows[0] || null;
+    },
+
+    // Alle versies van een artikel, oudste eerst (op label of artikelnummer)
+    async listChunkVersions({ doc_id, label, article_nr }) {
+      const filter = { doc_id };
+      if (label) filter.label = label;
+      if (article_nr) filter.article_nr = article_nr;
+      return backend.select("chunks", { columns: CHUNK_COLUMNS, filter, order: "valid_from.asc" });
+    },
+
+    // Sleutels + hashes van alle rijen van een regeling (zonder tekst/embedding), voor incrementele ingest
+    async listChunkKeys(doc_id) {
+      const pageSize = 1000;
+      const out = [];
+      for (let offset = 0; ; offset += pageSize) {
+        const page = await backend.select("chunks", {
+          columns: "id,label,unit_key,source_url,valid_from,valid_to,removed_at,content_hash,embedding_model",
+          filter: { doc_id },
+          order: "id.asc",
+          limit: pageSize,
+          offset
+        });
+        out.push(...page);
+        if (page.length < pageSize) return out;
+      }
+    },
+
+    // Nieuw label (andere korte naam) voor bestaande rijen: [{ id, label, unit_key }]
+    async relabelChunks(rows) {
+      let total = 0;
+      for (const { id, ...patch } of rows) {
+        const { count } = await backend.update("chunks", { id }, patch);
+        total += count;
+      }
+      return total;
+    },
+
+    async markChunksRemoved(ids, removedAt) {
+      let total = 0;
+      for (let i = 0; i < ids.length; i += 200) {
+        const { count } = await backend.update("chunks", { id: ids.slice(i, i + 200) }, { removed_at: removedAt });
+        total += count;
+      }
+      return total;
+    },
+
+    // ---------- verwijzingen ----------
+
+    // Verwijzingen van deze chunks vervangen door `refs` (elk met source_chunk_id)
+    async replaceChunkReferences(sourceIds, refs) {
+      for (let i = 0; i < sourceIds.length; i += 200) {
+        await backend.remove("chunk_references", { source_chunk_id: sourceIds.slice(i, i + 200) });
+      }
+      for (let i = 0; i < refs.length; i += 500) {
+        await backend.insert("chunk_references", refs.slice(i, i + 500));
+      }
+    },
+
+    async listReferences({ source_chunk_ids, target_doc_id, target_article } = {}) {
+      const filter = {};
+      if (source_chunk_ids) filter.source_chunk_id = source_chunk_ids;
+      if (target_doc_id) filter.target_doc_id = target_doc_id;
+      if (target_article) filter.target_article = target_article;
+      return backend.select("chunk_references", { filter, order: "id.asc", limit: 500 });
+    },
+
+    async upsertCaseLaw(rows) {
+      if (!rows.length) return;
+      await backend.upsert("case_law", rows, { onConflict: "ecli" });
+    },
+
+    // Geeft de vervangen koppelingen terug (doc_id, article)
+    async replaceCaseLawArticles(ecli, links) {
+      const previous = await backend.select("case_law_articles", { columns: "doc_id,article", filter: { ecli }, limit: 1000 });
+      await backend.remove("case_law_articles", { ecli });
+      if (links.length) await backend.insert("case_law_articles", links);
+      return previous;
+    },
+
+    // Uitspraken die naar een van deze artikelen verwijzen, nieuwste eerst, met de geciteerde artikelen
+    async caseLawForArticles(targets, { limit = 10 } = {}) {
+      if (!targets.length) return [];
+      const links = await backend.select("case_law_articles", {
+        columns: "ecli,doc_id,article",
+        filter: { $or: targets.map(t => ({ doc_id: t.doc_id, article: t.article })) },
+        limit: 1000
+      });
+      if (!links.length) return [];
+
+      const rows = await backend.select("case_law", {
+        columns: CASE_LAW_COLUMNS,
+        filter: { ecli: [...new Set(links.map(l => l.ecli))] },
+        order: "decision_date.desc.nullslast",
+        limit
+      });
+      return rows.map(r => ({
+        ...r,
+        cites: links.filter(l => l.ecli === r.ecli).map(l => ({ doc_id: l.doc_id, article: l.article }))
+      }));
+    },
+
+    async getChunks(ids, { peildatum } = {}) {
+      if (!ids.length) return [];
+      const filter = [{ id: ids }];
+      if (peildatum) filter.push(validOn(peildatum));
+      return backend.select("chunks", { columns: CHUNK_COLUMNS, filter });
+    },
+
+    // Exacte artikelen (op article_nr, of label "… Artikel <nr>" voor chunks zonder article_nr)
+    // Zonder peildatum: alle versies, oudste eerst
+    // Zonder peildatum alle versies, oudste eerst; newestFirst: nieuwste eerst (limit houdt dan de recentste)
+    async findArticles({ doc_id, articles, peildatum, limit = 50, newestFirst = false }) {
+      const filter = [
+        { $or: [{ article_nr: articles }, ...articles.map(a => ({ label: { ilike: `*Artikel ${a}` } }))] }
+      ];
+      if (peildatum) filter.push(validOn(peildatum));
+      if (doc_id) filter.push({ doc_id });
+      const order = peildatum ? undefined : newestFirst ? "valid_from.desc,id.desc" : "valid_from.asc";
+      return backend.select("chunks", { columns: CHUNK_COLUMNS, filter, order, limit });
+    },
+
+    // Artikelen binnen een nummer, bijv. prefix "3" -> 3:1, 3:2, 3.1 (voor "bedoelt u…"-suggesties)
+    async findArticlesByPrefix({ doc_id, prefix, peildatum, limit = 10 }) {
+      const filter = [
+        { doc_id },
+        { $or: [{ article_nr: { like: `${prefix}:*` } }, { article_nr: { like: `${prefix}.*` } }] }
+      ];
+      if (peildatum) filter.push(validOn(peildatum));
+      return backend.select("chunks", { columns: CHUNK_COLUMNS, filter, order: "id.asc", limit });
+    },
+
+    // filters: { doc_ids?, regulation_types?, path_prefix?, source_types?, authorities? } (worden in de RPC toegepast)
+    async vectorMatch(embedding, { peildatum, limit = 15, filters }) {
+      const rows = await backend.rpc("match_chunks", {
+        query_embedding: embedding,
+        match_count: limit,
+        peildatum,
+        ...searchFilterArgs(filters)
+      });
+      return Array.isArray(rows) ? rows : [];
+    },
+
+    // Full-text (tsvector dutch) met rank en headline; q in websearch-syntaxis
+    async keywordMatch(q, { peildatum, limit = 15, filters }) {
+      const rows = await backend.rpc("keyword_chunks", {
+        query: q,
+        match_count: limit,
+        peildatum,
+        ...searchFilterArgs(filters)
+      });
+      return Array.isArray(rows) ? rows : [];
+    },
+
+    // Hash en geldigheid per chunk (voor de antwoordcache: is een geciteerde chunk veranderd?)
+    async chunkFingerprints(ids) {
+      if (!ids.length) return [];
+      return backend.select("chunks", { columns: "id,content_hash,valid_from,valid_to,removed_at", filter: { id: ids } });
+    },
+
+    // ---------- antwoordcache (lib/answer-cache.js) ----------
+
+    // Beste niet-verlopen entry boven de drempel, of null
+    async matchAnswerCache(embedding, { peildatum, scope, model, threshold }) {
+      const rows = await backend.rpc("match_answer_cache", {
+        query_embedding: embedding,
+        p_peildatum: peildatum,
+        p_scope: scope,
+        p_model: model,
+        match_threshold: threshold
+      });
+      return (Array.isArray(rows) ? rows[0] : rows) || null;
+    },
+
+    async insertAnswerCache(row) {
+      await backend.insert("answer_cache", row);
+    },
+
+    async deleteAnswerCache(id) {
+      return backend.remove("answer_cache", { id });
+    },
+
+    // Entries die een van deze doc_ids (of ECLI's) citeren; geeft het aantal verwijderde terug
+    async invalidateAnswerCache(docIds) {
+      return backend.remove("answer_cache", { doc_ids: { ov: docIds } });
+    },
+
+    // ---------- gesprekken (lib/conversations.js) ----------
+
+    async insertConversation(row) {
+      const [created] = await backend.insert("conversations", row, { returning: "*" });
+      return created || null;
+    },
+
+    async getConversation(id) {
+      const rows = await backend.select("conversations", { filter: { id }, limit: 1 });
+      return rows[0] || null;
+    },
+
+    async listConversations({ owner, limit = 50, offset = 0 }) {
+      return backend.select("conversations", { filter: { owner }, order: "updated_at.desc,id.asc", limit, offset });
+    },
+
+    // Geeft het bijgewerkte gesprek terug, of null als het niet bestaat
+    async updateConversation(id, patch) {
+      const { rows } = await backend.update("conversations", { id }, patch, { returning: "*" });
+      return rows[0] || null;
+    },
+
+    // Beurten eerst (de memory-backend kent geen on delete cascade); geeft { conversations, turns }
+    async deleteConversation(id) {
+      const turns = await backend.remove("conversation_turns", { conversation_id: id });
+      const conversations = await backend.remove("conversations", { id });
+      return { conversations, turns };
+    },
+
+    async insertConversationTurn(row) {
+      const [created] = await backend.insert("conversation_turns", row, { returning: "*" });
+      return created || null;
+    },
+
+    async listConversationTurns(conversationId, { limit = 200, newestFirst = false } = {}) {
+      return backend.select("conversation_turns", {
+        filter: { conversation_id: conversationId },
+        order: newestFirst ? "id.desc" : "id.asc",
+        limit
+      });
+    },
+
+    // ---------- ingest jobs ----------
+
+    async insertJobs(jobs) {
+      return backend.insert("ingest_jobs", jobs, { returning: "*" });
+    },
+
+    async getJob(id) {
+      const rows = await backend.select("ingest_jobs", { filter: { id }, limit: 1 });
+      return rows[0] || null;
+    },
+
+    async listJobs({ status, bwb_id, limit = 50, offset = 0 } = {}) {
+      const filter = {};
+      if (status) filter.status = status;
+      if (bwb_id) filter.bwb_id = bwb_id;
+      return backend.select("ingest_jobs", { filter, order: "created_at.desc,id.desc", limit, offset });
+    },
+
+    async findActiveJobs(bwbIds) {
+      if (!bwbIds.length) return [];
+      return backend.select("ingest_jobs", {
+        filter: { bwb_id: bwbIds, status: ["queued", "running", "paused"] }
+      });
+    },
+
+    // Jobs die nu opgepakt mogen worden: niet in backoff en geen geldige lease
+    async runnableJobs(nowIso, limit = 1) {
+      return backend.select("ingest_jobs", {
+        filter: [
+          { status: ["queued", "running"] },
+          { $or: [{ run_after: null }, { run_after: { lte: nowIso } }] },
+          { $or: [{ locked_until: null }, { locked_until: { lt: nowIso } }] }
+        ],
+        order: "created_at.asc,id.asc",
+        limit
+      });
+    },
+
+    // Conditionele update: `guard` zijn extra filtervoorwaarden (bijv. verwachte status).
+    // Geeft { rows, count } terug; count 0 = job stond niet (meer) in de verwachte toestand.
+    async updateJob(id, patch, guard = {}) {
+      return backend.update(
+        "ingest_jobs",
+        { ...guard, id },
+        { ...patch, updated_at: new Date().toISOString() },
+        { returning: "*" }
+      );
+    },
+
+    // ---------- beheer: API-sleutels, auditlog, verwijderen ----------
+
+    async findApiKey(keyHash) {
+      const rows = await backend.select("api_keys", { filter: { key_hash: keyHash }, limit: 1 });
+      return rows[0] || null;
+    },
+
+    async touchApiKey(id) {
+      await backend.update("api_keys", { id }, { last_used_at: new Date().toISOString() });
+    },
+
+    async insertApiKey(row) {
+      const [created] = await backend.insert("api_keys", row, { returning: API_KEY_COLUMNS });
+      return created || null;
+    },
+
+    async listApiKeys() {
+      return backend.select("api_keys", { columns: API_KEY_COLUMNS, order: "created_at.desc,id.desc", limit: 500 });
+    },
+
+    // Geeft het aantal ingetrokken sleutels terug (0 = bestond niet of was al ingetrokken)
+    async revokeApiKey(id) {
+      const { count } = await backend.update("api_keys", { id, revoked_at: null }, { revoked_at: new Date().toISOString() });
+      return count;
+    },
+
+    // Eigen rate limits en budgetten (zie lib/rate-limit.js); null = standaard. Geeft de sleutel terug.
+    async updateApiKeyLimits(id, limits) {
+      const { rows } = await backend.update("api_keys", { id }, { limits }, { returning: API_KEY_COLUMNS });
+      return rows[0] || null;
+    },
+
+    async writeAudit(entry) {
+      await backend.insert("audit_log", entry);
+    },
+
+    async listAudit({ actor, action, target, limit = 50, offset = 0 } = {}) {
+      const filter = {};
+      if (actor) filter.actor = actor;
+      if (action) filter.action = action.endsWith("*") ? { like: action } : action;
+      if (target) filter.target = target;
+      return backend.select("audit_log", { filter, order: "created_at.desc,id.desc", limit, offset });
+    },
+
+    // ---------- rate limits en dagverbruik (lib/rate-limit.js) ----------
+
+    // Teller van dit venster ophogen; geeft de nieuwe stand terug
+    async rateLimitHit(key, windowStart, windowSeconds) {
+      const count = await backend.rpc("rate_limit_hit", {
+        p_key: key,
+        p_window_start: windowStart,
+        p_window_seconds: windowSeconds
+      });
+      return Number(count);
+    },
+
+    // Verbruik optellen; geeft de dagtotalen terug
+    async addUsage(client, day, { requests = 0, tokens = 0, cost = 0 }) {
+      const out = await backend.rpc("usage_add", {
+        p_client: client,
+        p_day: day,
+        p_requests: requests,
+        p_tokens: Math.round(tokens),
+        p_cost: cost
+      });
+      const row = Array.isArray(out) ? out[0] : out;
+      return { client, day, requests: +row?.requests || 0, tokens: +row?.tokens || 0, cost: +row?.cost || 0 };
+    },
+
+    async getUsage(client, day) {
+      const [row] = await backend.select("usage_daily", { filter: { client, day }, limit: 1 });
+      return { client, day, requests: +row?.requests || 0, tokens: +row?.tokens || 0, cost: +row?.cost || 0 };
+    },
+
+    async listUsage({ day, client, limit = 100, offset = 0 } = {}) {
+      const filter = {};
+      if (day) filter.day = day;
+      if (client) filter.client = client.endsWith("*") ? { like: client } : client;
+      return backend.select("usage_daily", { filter, order: "tokens.desc,client.asc", limit, offset });
+    },
+
+    // Rijen die bij een doc_id horen. scope "chunks": chunks, hun verwijzingen en versies;
+    // "document": daarnaast de documents-rij en aliassen.
+    async countDocumentData(docId, { scope = "document" } = {}) {
+      const out = {};
+      for (const [table, filter] of documentTables(docId, scope)) out[table] = await backend.count(table, filter);
+      return out;
+    },
+
+    async deleteDocumentData(docId, { scope = "document" } = {}) {
+      const out = {};
+      for (const [table, filter] of documentTables(docId, scope)) out[table] = await backend.remove(table, filter);
+      return out;
+    }
+  };
+}
+
+let cached = null;
+
+function getStore(env = process.env) {
+  if (cached && env === process.env) return cached;
+
+  const kind = (env.STORE_BACKEND || "supabase").toLowerCase();
+  let backend;
+  if (kind === "memory") {
+    backend = createMemoryBackend({ file: env.MEMORY_STORE_FILE });
+  } else if (kind === "supabase") {
+    backend = createSupabaseBackend({
+      url: env.SUPABASE_URL,
+      key: env.SUPABASE_SERVICE_ROLE_KEY || env.SUPABASE_SERVICE_KEY
+    });
+  } else {
+    throw new Error(`Onbekende STORE_BACKEND: ${kind}`);
+  }
+
+  const store = createStore(backend);
+  if (env === process.env) cached = store;
+  return store;
+}
+
+module.exports = { getStore, createStore, validOn, CHUNK_COLUMNS };
@@ -0,0 +1,357 @@
+// beleidsbank-api/lib/store/memory.js
+// In-process backend: zelfde operaties als Supabase, zonder database.
+// Bedoeld voor lokaal draaien en CI. Optioneel bewaard in een JSON-bestand (MEMORY_STORE_FILE),
+// zodat ingest en search in aparte processen dezelfde data zien.
+//
+// RPC's (match_chunks enz.) zijn hier in JS nagebouwd; zie `rpcs` onderaan.
+
+const fs = require("fs");
+const { parseQuery, matchScore, headline } = require("../dutch");
+
+function toNumberOrString(v) {
+  return typeof v === "number" ? v : (v == null ? v : String(v));
+}
+
+function compare(a, b) {
+  if (typeof a === "number" && typeof b === "number") return a - b;
+  const sa = String(a);
+  const sb = String(b);
+  return sa < sb ? -1 : sa > sb ? 1 : 0;
+}
+
+function likeToRegex(pattern, flags) {
+  const esc = String(pattern)
+    .split("")
+    .map(ch => (ch === "*" || ch === "%") ? ".*" : ch === "_" ? "." : ch.replace(/[.+?^${}()|[\]\\]/g, "\\$&"))
+    .join("");
+  return new RegExp(`^${esc}$`, flags);
+}
+
+function matchOp(value, op, arg) {
+  switch (op) {
+    case "eq": return value != null && String(value) === String(arg);
+    case "neq": return value != null && String(value) !== String(arg);
+    case "gt": return value != null && compare(toNumberOrString(value), toNumberOrString(arg)) > 0;
+    case "gte": return value != null && compare(toNumberOrString(value), toNumberOrString(arg)) >= 0;
+    case "lt": return value != null && compare(toNumberOrString(value), toNumberOrString(arg)) < 0;
+    case "lte": return value != null && compare(toNumberOrString(value), toNumberOrString(arg)) <= 0;
+    case "in": return value != null && arg.map(String).includes(String(value));
+    case "is": return arg === null ? value == null : value === arg;
+    case "like": return value != null && likeToRegex(arg, "s").test(String(value));
+    case "ilike": return value != null && likeToRegex(arg, "is").test(String(value));
+    case "cs": return Array.isArray(value) && arg.every(x => value.map(String).includes(String(x)));
+    case "ov": return Array.isArray(value) && arg.some(x => value.map(String).includes(String(x)));
+    default: throw new Error(`Onbekende filter-operator: ${op}`);
+  }
+}
+
+function matchCond(value, cond) {
+  if (cond === null) return value == null;
+  if (Array.isArray(cond)) return matchOp(value, "in", cond);
+  if (typeof cond !== "object") return matchOp(value, "eq", cond);
+  return Object.entries(cond).every(([op, arg]) => matchOp(value, op, arg));
+}
+
+function matches(row, filter) {
+  if (!filter) return true;
+  if (Array.isArray(filter)) return filter.every(f => matches(row, f));
+  for (const [k, cond] of Object.entries(filter)) {
+    if (k === "$or") {
+      if (!cond.some(f => matches(row, f))) return false;
+      continue;
+    }
+    if (!matchCond(row[k], cond)) return false;
+  }
+  return true;
+}
+
+// "valid_from.asc,id.desc"
+function sortRows(rows, order) {
+  if (!order) return rows;
+  const keys = order.split(",").map(p => {
+    const [col, dir = "asc", nulls] = p.split(".");
+    return { col, desc: dir === "desc", nullsFirst: nulls === "nullsfirst" };
+  });
+  return [...rows].sort((a, b) => {
+    for (const k of keys) {
+      const av = a[k.col];
+      const bv = b[k.col];
+      if (av == null && bv == null) continue;
+      if (av == null) return k.nullsFirst ? -1 : 1;
+      if (bv == null) return k.nullsFirst ? 1 : -1;
+      const c = compare(av, bv);
+      if (c !== 0) return k.desc ? -c : c;
+    }
+    return 0;
+  });
+}
+
+function pick(row, columns) {
+  if (!columns || columns === "*") return { ...row };
+  const out = {};
+  for (const c of columns.split(",").map(s => s.trim()).filter(Boolean)) out[c] = row[c] ?? null;
+  return out;
+}
+
+function parseVector(v) {
+  if (Array.isArray(v)) return v;
+  if (typeof v === "string") {
+    try { return JSON.parse(v); } catch { return null; }
+  }
+  return null;
+}
+
+function cosine(a, b) {
+  let dot = 0, na = 0, nb = 0;
+  const n = Math.min(a.length, b.length);
+  for (let i = 0; i < n; i++) {
+    dot += a[i] * b[i];
+    na += a[i] * a[i];
+    nb += b[i] * b[i];
+  }
+  return na && nb ? dot / (Math.sqrt(na) * Math.sqrt(nb)) : 0;
+}
+
+function isValidOn(row, d) {
+  const from = row.valid_from || "0000-01-01";
+  return from <= d && (!row.valid_to || row.valid_to > d);
+}
+
+function todayIso() {
+  return new Date().toISOString().slice(0, 10);
+}
+
+// Filters van match_chunks/keyword_chunks: doc_ids, regulation_types, path_prefix, source_types, authorities
+function searchFilter(db, args) {
+  const docs = new Map(db.table("documents").map(d => [d.id, d]));
+  const types = args.regulation_types ? new Set(args.regulation_types) : null;
+  const sources = args.source_types ? new Set(args.source_types) : null;
+  const prefix = args.path_prefix;
+  const authorities = args.authorities ? new Set(args.authorities) : null;
+  // CVDR-regeling buiten de opgegeven overheden (andere bronnen vallen nooit af)
+  const outOfScope = d => d?.source_type === "cvdr" &&
+    !authorities.has((d.authority_name || "").toLowerCase()) &&
+    !authorities.has((d.authority_code || "").toLowerCase());
+  return c =>
+    (!args.doc_ids || args.doc_ids.includes(c.doc_id)) &&
+    (!types || types.has(docs.get(c.doc_id)?.regulation_type)) &&
+    // source_type heeft in SQL default 'bwb'
+    (!sources || (docs.has(c.doc_id) && sources.has(docs.get(c.doc_id).source_type || "bwb"))) &&
+    (!prefix || c.path === prefix || (c.path || "").startsWith(`${prefix}/`)) &&
+    (!authorities || !outOfScope(docs.get(c.doc_id)));
+}
+
+// JS-tegenhangers van de SQL-functies in supabase/migrations
+const rpcs = {
+  match_chunks(db, args) {
+    const q = parseVector(args.query_embedding) || [];
+    const d = args.peildatum || todayIso();
+    const allowed = searchFilter(db, args);
+    return (db.table("chunks"))
+      .filter(c => c.embedding != null && isValidOn(c, d) && allowed(c))
+      .map(c => {
+        const { embedding, ...rest } = c;
+        return { ...rest, similarity: cosine(q, parseVector(embedding) || []) };
+      })
+      .sort((a, b) => b.similarity - a.similarity)
+      .slice(0, args.match_count || 15);
+  },
+
+  // Benadering van keyword_chunks (tsvector dutch): zelfde stemmer/stopwoorden, treffer in label telt extra
+  keyword_chunks(db, args) {
+    const query = parseQuery(args.query);
+    const d = args.peildatum || todayIso();
+    const allowed = searchFilter(db, args);
+    return (db.table("chunks"))
+      .filter(c => isValidOn(c, d) && allowed(c))
+      .map(c => {
+        const all = matchScore(`${c.label || ""} ${c.text || ""}`, query);
+        const rank = all > 0 ? all + Math.max(0, matchScore(c.label, query)) : 0;
+        return { c, rank };
+      })
+      .filter(x => x.rank > 0)
+      .sort((a, b) => b.rank - a.rank || compare(a.c.id, b.c.id))
+      .slice(0, args.match_count || 15)
+      .map(({ c, rank }) => {
+        const { embedding, ...rest } = c;
+        return { ...rest, rank, headline: headline(c.text, query) };
+      });
+  },
+
+  refresh_chunk_validity(db, args) {
+    const versions = sortRows(db.table("document_versions").filter(v => v.doc_id === args.p_doc_id), "valid_from.asc");
+    versions.forEach((v, i) => { v.valid_to = versions[i + 1]?.valid_from || null; });
+
+    // Per plek in de regeling (unit_key), zoals de SQL-functie; oude rijen zonder unit_key per label
+    const byKey = new Map();
+    for (const c of db.table("chunks")) {
+      if (c.doc_id !== args.p_doc_id) continue;
+      const key = c.unit_key ?? c.label;
+      if (!byKey.has(key)) byKey.set(key, []);
+      byKey.get(key).push(c);
+    }
+    for (const rows of byKey.values()) {
+      sortRows(rows, "valid_from.asc").forEach((c, i, list) => {
+        const ends = [list[i + 1]?.valid_from, c.removed_at].filter(Boolean).sort();
+        c.valid_to = ends[0] || null;
+      });
+    }
+    return null;
+  },
+
+  match_answer_cache(db, args) {
+    const q = parseVector(args.query_embedding) || [];
+    const now = new Date().toISOString();
+    const best = db.table("answer_cache")
+      .filter(e => e.expires_at > now && e.scope === args.p_scope && e.model === args.p_model &&
+        (e.peildatum ?? null) === (args.p_peildatum ?? null))
+      .map(e => {
+        const { embedding, ...rest } = e;
+        return { ...rest, similarity: cosine(q, parseVector(embedding) || []) };
+      })
+      .filter(e => e.similarity >= args.match_threshold)
+      .sort((a, b) => b.similarity - a.similarity);
+    return best.slice(0, 1);
+  },
+
+  rate_limit_hit(db, args) {
+    const rows = db.table("rate_limits");
+    const now = new Date().toISOString();
+    // Verlopen vensters opruimen, zoals de SQL-functie
+    for (let i = rows.length - 1; i >= 0; i--) if (rows[i].expires_at < now) rows.splice(i, 1);
+
+    let row = rows.find(r => r.key === args.p_key && r.window_start === args.p_window_start);
+    if (!row) {
+      const expires = new Date(Date.parse(args.p_window_start) + args.p_window_seconds * 1000).toISOString();
+      row = { key: args.p_key, window_start: args.p_window_start, count: 0, expires_at: expires };
+      rows.push(row);
+    }
+    row.count += 1;
+    return row.count;
+  },
+
+  usage_add(db, args) {
+    const rows = db.table("usage_daily");
+    let row = rows.find(r => r.client === args.p_client && r.day === args.p_day);
+    if (!row) {
+      row = { client: args.p_client, day: args.p_day, requests: 0, tokens: 0, cost: 0 };
+      rows.push(row);
+    }
+    row.requests += args.p_requests || 0;
+    row.tokens += args.p_tokens || 0;
+    row.cost += args.p_cost || 0;
+    row.updated_at = new Date().toISOString();
+    return { ...row };
+  }
+};
+
+function createMemoryBackend({ file } = {}) {
+  // Eén gedeelde staat per proces (alle endpoints in `vercel dev` delen hem)
+  const key = `__beleidsbankMemoryStore:${file || ""}`;
+  if (!globalThis[key]) {
+    let data = { tables: {}, seq: {} };
+    if (file && fs.existsSync(file)) {
+      try { data = JSON.parse(fs.readFileSync(file, "utf8")); } catch {}
+    }
+    globalThis[key] = data;
+  }
+  const state = globalThis[key];
+
+  function table(name) {
+    if (!state.tables[name]) state.tables[name] = [];
+    return state.tables[name];
+  }
+
+  function nextId(name) {
+    state.seq[name] = (state.seq[name] || 0) + 1;
+    return state.seq[name];
+  }
+
+  function persist() {
+    if (file) fs.writeFileSync(file, JSON.stringify(state));
+  }
+
+  function withDefaults(name, row) {
+    const out = { ...row };
+    if (out.id === undefined) out.id = nextId(name);
+    if (out.created_at === undefined) out.created_at = new Date().toISOString();
+    return out;
+  }
+
+  const db = { table };
+
+  return {
+    name: "memory",
+
+    missingConfig() {
+      return null;
+    },
+
+    async select(name, opts = {}) {
+      let rows = table(name).filter(r => matches(r, opts.filter));
+      rows = sortRows(rows, opts.order);
+      const offset = opts.offset || 0;
+      rows = rows.slice(offset, opts.limit != null ? offset + opts.limit : undefined);
+      return rows.map(r => pick(r, opts.columns));
+    },
+
+    async count(name, filter) {
+      return table(name).filter(r => matches(r, filter)).length;
+    },
+
+    async upsert(name, rows, opts = {}) {
+      const list = Array.isArray(rows) ? rows : [rows];
+      const cols = (opts.onConflict || "id").split(",").map(s => s.trim());
+      const t = table(name);
+      const out = [];
+
+      for (const row of list) {
+        const existing = t.find(r => cols.every(c => row[c] !== undefined && String(r[c]) === String(row[c])));
+        if (existing) {
+          if (!opts.ignoreDuplicates) Object.assign(existing, row);
+          out.push(existing);
+        } else {
+          const created = withDefaults(name, row);
+          t.push(created);
+          out.push(created);
+        }
+      }
+
+      persist();
+      return opts.returning ? out.map(r => pick(r, opts.returning)) : [];
+    },
+
+    async insert(name, rows, opts = {}) {
+      const list = (Array.isArray(rows) ? rows : [rows]).map(r => withDefaults(name, r));
+      table(name).push(...list);
+      persist();
+      return opts.returning ? list.map(r => pick(r, opts.returning)) : [];
+    },
+
+    async update(name, filter, patch, opts = {}) {
+      const hit = table(name).filter(r => matches(r, filter));
+      for (const r of hit) Object.assign(r, patch);
+      if (hit.length) persist();
+      return { rows: opts.returning ? hit.map(r => pick(r, opts.returning)) : [], count: hit.length };
+    },
+
+    async remove(name, filter) {
+      const t = table(name);
+      const keep = t.filter(r => !matches(r, filter));
+      const removed = t.length - keep.length;
+      state.tables[name] = keep;
+      if (removed) persist();
+      return removed;
+    },
+
+    async rpc(name, args) {
+      const fn = rpcs[name];
+      if (!fn) throw new Error(`memory store: rpc ${name} niet geïmplementeerd`);
+      const out = fn(db, args || {});
+      persist();
+      return out;
+    }
+  };
+}
+
+module.exports = { createMemoryBackend, matches, rpcs };
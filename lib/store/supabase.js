@@ -0,0 +1,184 @@
+// beleidsbank-api/lib/store/supabase.js
+// PostgREST-backend (Supabase). Vertaalt de generieke filters uit lib/store naar query-strings.
+
+function safeJsonParse(s) {
+  try { return JSON.parse(s); } catch { return null; }
+}
+
+const OPS = new Set(["eq", "neq", "gt", "gte", "lt", "lte", "like", "ilike", "in", "is", "cs", "ov"]);
+
+// { col: waarde | null | [..] | { op: waarde, ... } } -> [[col, op, waarde], ...]
+function conditions(col, cond) {
+  if (cond === null) return [[col, "is", null]];
+  if (Array.isArray(cond)) return [[col, "in", cond]];
+  if (typeof cond !== "object") return [[col, "eq", cond]];
+  return Object.entries(cond).map(([op, v]) => {
+    if (!OPS.has(op)) throw new Error(`Onbekende filter-operator: ${op}`);
+    return [col, op, v];
+  });
+}
+
+function listValue(arr) {
+  return `(${arr.map(v => `"${String(v).replace(/"/g, '\\"')}"`).join(",")})`;
+}
+
+function pgArray(arr) {
+  return `{${arr.map(v => `"${String(v).replace(/"/g, '\\"')}"`).join(",")}}`;
+}
+
+function plainValue(op, v) {
+  if (op === "in") return listValue(v);
+  if (op === "cs" || op === "ov") return pgArray(v);
+  if (op === "is") return String(v);
+  return String(v);
+}
+
+// Waarde binnen or=(...): altijd quoten, behalve is.null/true/false
+function treeValue(op, v) {
+  if (op === "in") return listValue(v);
+  if (op === "cs" || op === "ov") return `"${pgArray(v).replace(/"/g, '\\"')}"`;
+  if (op === "is") return String(v);
+  return `"${String(v).replace(/"/g, '\\"')}"`;
+}
+
+function treeExpr(filter) {
+  const parts = [];
+  for (const [k, cond] of Object.entries(filter)) {
+    if (k === "$or") {
+      parts.push(`or(${cond.map(treeExpr).join(",")})`);
+      continue;
+    }
+    for (const [col, op, v] of conditions(k, cond)) parts.push(`${col}.${op}.${treeValue(op, v)}`);
+  }
+  return parts.length === 1 ? parts[0] : `and(${parts.join(",")})`;
+}
+
+function filterParams(filter) {
+  const list = Array.isArray(filter) ? filter : [filter || {}];
+  const params = [];
+  const orGroups = [];
+
+  for (const f of list) {
+    for (const [k, cond] of Object.entries(f || {})) {
+      if (k === "$or") {
+        orGroups.push(`or(${cond.map(treeExpr).join(",")})`);
+        continue;
+      }
+      for (const [col, op, v] of conditions(k, cond)) {
+        params.push(`${encodeURIComponent(col)}=${op}.${encodeURIComponent(plainValue(op, v))}`);
+      }
+    }
+  }
+
+  if (orGroups.length === 1) params.push(`or=${encodeURIComponent(orGroups[0].slice(2))}`);
+  if (orGroups.length > 1) params.push(`and=${encodeURIComponent(`(${orGroups.join(",")})`)}`);
+  return params;
+}
+
+function createSupabaseBackend({ url, key }) {
+  const base = (url || "").replace(/\/+$/, "");
+
+  async function request(method, path, { body, prefer } = {}) {
+    const headers = {
+      apikey: key,
+      Authorization: `Bearer ${key}`
+    };
+    if (body !== undefined) headers["Content-Type"] = "application/json";
+    if (prefer) headers.Prefer = prefer;
+
+    const resp = await fetch(`${base}/rest/v1/${path}`, {
+      method,
+      headers,
+      body: body === undefined ? undefined : JSON.stringify(body)
+    });
+
+    const text = await resp.text();
+    if (!resp.ok) {
+      const table = path.split("?")[0];
+      throw new Error(`Supabase ${method} ${table} failed ${resp.status}: ${text.slice(0, 300)}`);
+    }
+
+    // Content-Range: 0-24/3573 of */0
+    const range = resp.headers?.get ? resp.headers.get("content-range") : null;
+    const total = range && /\/(\d+)$/.test(range) ? parseInt(range.split("/")[1], 10) : null;
+
+    return { data: text ? safeJsonParse(text) : null, total };
+  }
+
+  function query(filter, opts = {}) {
+    const params = filterParams(filter);
+    if (opts.columns) params.unshift(`select=${opts.columns}`);
+    if (opts.order) params.push(`order=${opts.order}`);
+    if (opts.limit != null) params.push(`limit=${opts.limit}`);
+    if (opts.offset) params.push(`offset=${opts.offset}`);
+    if (opts.onConflict) params.push(`on_conflict=${opts.onConflict}`);
+    return params.length ? `?${params.join("&")}` : "";
+  }
+
+  return {
+    name: "supabase",
+
+    missingConfig() {
+      if (!base) return "SUPABASE_URL missing";
+      if (!key) return "SUPABASE_SERVICE_ROLE_KEY (of SUPABASE_SERVICE_KEY) missing";
+      return null;
+    },
+
+    async select(table, opts = {}) {
+      const { data } = await request("GET", `${table}${query(opts.filter, { ...opts, columns: opts.columns || "*" })}`);
+      return Array.isArray(data) ? data : [];
+    },
+
+    async count(table, filter) {
+      const { total } = await request("GET", `${table}${query(filter, { columns: "*", limit: 1 })}`, {
+        prefer: "count=exact"
+      });
+      return total ?? 0;
+    },
+
+    async upsert(table, rows, opts = {}) {
+      const list = Array.isArray(rows) ? rows : [rows];
+      if (!list.length) return [];
+      const { data } = await request("POST", `${table}${query(null, { onConflict: opts.onConflict, columns: opts.returning ? opts.returning : null })}`, {
+        body: list,
+        prefer: [
+          opts.ignoreDuplicates ? "resolution=ignore-duplicates" : "resolution=merge-duplicates",
+          opts.returning ? "return=representation" : "return=minimal"
+        ].join(",")
+      });
+      return Array.isArray(data) ? data : [];
+    },
+
+    async insert(table, rows, opts = {}) {
+      const list = Array.isArray(rows) ? rows : [rows];
+      if (!list.length) return [];
+      const { data } = await request("POST", `${table}${query(null, { columns: opts.returning || null })}`, {
+        body: list,
+        prefer: opts.returning ? "return=representation" : "return=minimal"
+      });
+      return Array.isArray(data) ? data : [];
+    },
+
+    async update(table, filter, patch, opts = {}) {
+      const { data, total } = await request("PATCH", `${table}${query(filter, { columns: opts.returning || null })}`, {
+        body: patch,
+        prefer: opts.returning ? "return=representation,count=exact" : "return=minimal,count=exact"
+      });
+      return { rows: Array.isArray(data) ? data : [], count: total ?? 0 };
+    },
+
+    async remove(table, filter) {
+      const { total } = await request("DELETE", `${table}${query(filter)}`, {
+        prefer: "return=minimal,count=exact"
+      });
+      return total ?? 0;
+    },
+
+    async rpc(name, args) {
+      const { data } = await request("POST", `rpc/${name}`, { body: args || {} });
+      return data;
+    }
+  };
+}
+
+module.exports = { createSupabaseBackend, filterParams };
@@ -0,0 +1,231 @@
+// beleidsbank-api/lib/verify.js
+// Controle of een chat-antwoord trouw is aan de bronnen: per zin moet de geciteerde passage
+// de zin dragen. Letterlijke citaten ("…") moeten woordelijk in een geciteerde passage staan.
+//
+// Env:
+// CHAT_VERIFY              lexical (default) | llm | off
+// CHAT_VERIFY_ACTION       remove (default): niet-onderbouwde zinnen weglaten | flag: laten staan, alleen markeren
+// CHAT_VERIFY_MIN_OVERLAP  lexical: minimaal deel van de inhoudswoorden dat in de bron staat (standaard 0.6)
+
+const { stems } = require("./dutch");
+const { getLlm } = require("./llm");
+
+const NO_ANSWER = "Dit staat niet in de beschikbare wetstekst.";
+
+// Geen zinseinde na deze afkortingen
+const ABBREVIATIONS = /\b(art|artt|bijv|bv|o\.a|jo|nr|nrs|onderd|e\.d|d\.w\.z|m\.b\.t|i\.v\.m|t\.a\.v|zgn)\.$/i;
+
+function envNumber(env, name, d) {
+  const n = parseFloat(env[name]);
+  return Number.isFinite(n) ? n : d;
+}
+
+function normalizeQuote(s) {
+  return (s || "").toLowerCase().replace(/[“”„"]/g, "").replace(/\s+/g, " ").trim();
+}
+
+function stripCitations(s) {
+  return s.replace(/\s*\[\d+\]/g, "").trim();
+}
+
+/**
+ * Antwoord in zinnen, met de bronnummers per zin. Losse markers ("[1].") horen bij de vorige zin.
+ * @returns {{ text: string, citations: number[], newline: boolean }[]}
+ */
+function splitSentences(answer) {
+  const parts = [];
+  for (const line of (answer || "").split(/\n+/)) {
+    let buf = "";
+    let first = true;
+    for (const p of line.split(/(?<=[.!?])\s+/)) {
+      buf = buf ? `${buf} ${p}` : p;
+      if (ABBREVIATIONS.test(buf)) continue;
+      parts.push({ text: buf, newline: first });
+      buf = "";
+      first = false;
+    }
+    if (buf) parts.push({ text: buf, newline: first });
+  }
+
+  const out = [];
+  for (const p of parts) {
+    const text = p.text.trim();
+    if (!text) continue;
+    if (/^(\[\d+\][\s.,;]*)+$/.test(text) && out.length) {
+      out[out.length - 1].text += ` ${text}`;
+      continue;
+    }
+    out.push({ text, newline: p.newline && out.length > 0 });
+  }
+
+  return out.map(s => ({
+    text: s.text,
+    citations: [...new Set([...s.text.matchAll(/\[(\d+)\]/g)].map(m => parseInt(m[1], 10)))],
+    newline: s.newline
+  }));
+}
+
+function joinSentences(sentences) {
+  return sentences.map((s, i) => (i === 0 ? "" : s.newline ? "\n" : " ") + s.text).join("");
+}
+
+// Letterlijke citaten in de zin die niet in de geciteerde passages voorkomen
+function unmatchedQuotes(sentence, passages) {
+  const quotes = [...sentence.matchAll(/["“„]([^"”“]{8,})["”]/g)].map(m => normalizeQuote(m[1]));
+  const hay = passages.map(normalizeQuote);
+  return quotes.filter(q => !hay.some(h => h.includes(q)));
+}
+
+// Deel van de inhoudswoorden (stammen) van de zin dat in de geciteerde passages voorkomt
+function overlapScore(sentence, passages) {
+  const words = stems(stripCitations(sentence));
+  if (!words.length) return 1;
+  const present = new Set(passages.flatMap(p => stems(p)));
+  return words.filter(w => present.has(w)).length / words.length;
+}
+
+function createLexicalVerifier({ minOverlap }) {
+  return {
+    name: "lexical",
+    async check(items) {
+      return items.map(it => {
+        const score = overlapScore(it.text, it.passages);
+        return { supported: score >= minOverlap, score };
+      });
+    }
+  };
+}
+
+// Entailment via de LLM: één aanroep voor alle zinnen
+function createLlmVerifier(llm) {
+  const system = `
+Je controleert of zinnen uit een antwoord volledig worden gedragen door de geciteerde wetspassages.
+Een zin is alleen "supported" als alles wat hij beweert direct uit de passages volgt, zonder eigen interpretatie of aanvulling.
+Geef ALLEEN een JSON array terug zoals [{"s":1,"supported":true}], één object per zin.
+`.trim();
+
+  return {
+    name: "llm",
+    async check(items) {
+      const prompt = items
+        .map((it, i) => `Zin ${i + 1}: ${stripCitations(it.text)}\nPassages:\n${it.passages.map(p => `- ${p.replace(/\s+/g, " ")}`).join("\n")}`)
+        .join("\n\n");
+
+      const ai = await llm.chat({
+        temperature: 0,
+        max_tokens: 20 + items.length * 16,
+        messages: [
+          { role: "system", content: system },
+          { role: "user", content: prompt }
+        ]
+      });
+      if (!ai.ok) throw new Error(ai.error || "verify llm failed");
+
+      let parsed = null;
+      try {
+        parsed = JSON.parse((ai.content || "").replace(/^```(?:json)?\s*|\s*```$/g, ""));
+      } catch {}
+      if (!Array.isArray(parsed)) throw new Error("verify llm gaf geen geldige JSON");
+
+      const out = items.map(() => ({ supported: false, score: 0 }));
+      for (const item of parsed) {
+        const i = parseInt(item?.s, 10) - 1;
+        if (i >= 0 && i < out.length) out[i] = { supported: item.supported === true, score: item.supported === true ? 1 : 0 };
+      }
+      return out;
+    }
+  };
+}
+
+function verifyModeName(env = process.env) {
+  return (env.CHAT_VERIFY || "lexical").toLowerCase();
+}
+
+// llm: standaard getLlm(); chat geeft de gemeten llm mee (dagbudget, zie lib/rate-limit.js)
+function getVerifier(kind = verifyModeName(), env = process.env, llm = null) {
+  switch (kind) {
+    case "off":
+      return null;
+    case "lexical":
+      return createLexicalVerifier({ minOverlap: envNumber(env, "CHAT_VERIFY_MIN_OVERLAP", 0.6) });
+    case "llm":
+      return createLlmVerifier(llm || getLlm());
+    default:
+      throw new Error(`Onbekende CHAT_VERIFY: ${kind}`);
+  }
+}
+
+/**
+ * Controleer een antwoord tegen de bronpassages (passages[n - 1] hoort bij [n]).
+ * Status per zin: supported | unsupported | uncited | no_answer.
+ * Bij een fout van de llm-verifier wordt lexical gebruikt (error in het resultaat).
+ * @returns {Promise<{ answer: string, applied: boolean, method: string, action: string, removed: number,
+ *                      sentences: { text: string, citations: number[], status: string, score: number|null,
+ *                                   reason?: string }[], error?: string }>}
+ */
+async function verifyAnswer(answer, passages, { verifier, action, llm, env = process.env } = {}) {
+  action = action || ((env.CHAT_VERIFY_ACTION || "remove").toLowerCase() === "flag" ? "flag" : "remove");
+  if (verifier === undefined) verifier = getVerifier(verifyModeName(env), env, llm);
+  if (!verifier) return { answer, applied: false, method: "off", action, removed: 0, sentences: [] };
+
+  const sentences = splitSentences(answer).map(s => ({ ...s, status: null, score: null }));
+
+  // Zinnen die inhoudelijk gecontroleerd moeten worden
+  const todo = [];
+  for (const s of sentences) {
+    if (stripCitations(s.text) === NO_ANSWER) {
+      s.status = "no_answer";
+      continue;
+    }
+    if (!s.citations.length) {
+      s.status = "uncited";
+      continue;
+    }
+    const cited = s.citations.map(n => passages[n - 1]).filter(Boolean);
+    if (cited.length < s.citations.length) {
+      s.status = "unsupported";
+      s.reason = "bron bestaat niet";
+      continue;
+    }
+    const quotes = unmatchedQuotes(s.text, cited);
+    if (quotes.length) {
+      s.status = "unsupported";
+      s.reason = "citaat niet letterlijk in bron";
+      continue;
+    }
+    todo.push({ sentence: s, text: s.text, passages: cited });
+  }
+
+  let method = verifier.name;
+  let error;
+  let checks = [];
+  if (todo.length) {
+    try {
+      checks = await verifier.check(todo);
+    } catch (e) {
+      error = String(e?.message || e);
+      method = "lexical";
+      checks = await getVerifier("lexical", env).check(todo);
+    }
+  }
+  todo.forEach((t, i) => {
+    t.sentence.status = checks[i].supported ? "supported" : "unsupported";
+    t.sentence.score = checks[i].score;
+  });
+
+  const keep = s => s.status === "supported" || s.status === "no_answer";
+  const kept = action === "remove" ? sentences.filter(keep) : sentences;
+  const removed = sentences.length - kept.length;
+
+  return {
+    answer: !removed ? answer : kept.length ? joinSentences(kept) : NO_ANSWER,
+    applied: true,
+    method,
+    action,
+    removed,
+    sentences: sentences.map(({ newline, ...s }) => s),
+    ...(error ? { error } : {})
+  };
+}
+
+module.exports = { verifyAnswer, splitSentences, getVerifier, verifyModeName, NO_ANSWER };
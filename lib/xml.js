@@ -0,0 +1,122 @@
+// beleidsbank-api/lib/xml.js
+// Kleine XML-parser zonder dependencies (genoeg voor BWB / SRU / CVDR XML).
+// parseXml(xml) -> { name:"#root", attrs:{}, children:[...] }
+// Tekstknopen zijn strings in children; elementen zijn { name, attrs, children }.
+
+function decodeEntities(s) {
+  return (s || "")
+    .replace(/&#x([0-9a-f]+);/gi, (_, h) => String.fromCodePoint(parseInt(h, 16)))
+    .replace(/&#(\d+);/g, (_, d) => String.fromCodePoint(parseInt(d, 10)))
+    .replace(/&nbsp;/g, " ")
+    .replace(/&quot;/g, '"')
+    .replace(/&apos;/g, "'")
+    .replace(/&lt;/g, "<")
+    .replace(/&gt;/g, ">")
+    .replace(/&amp;/g, "&");
+}
+
+function localName(name) {
+  const i = name.indexOf(":");
+  return (i >= 0 ? name.slice(i + 1) : name).toLowerCase();
+}
+
+function parseAttrs(raw) {
+  const attrs = {};
+  const re = /([^\s=]+)\s*=\s*("([^"]*)"|'([^']*)')/g;
+  let m;
+  while ((m = re.exec(raw || "")) !== null) {
+    attrs[localName(m[1])] = decodeEntities(m[3] ?? m[4] ?? "");
+  }
+  return attrs;
+}
+
+function parseXml(xml) {
+  const root = { name: "#root", attrs: {}, children: [] };
+  const stack = [root];
+  const re = /<!--[\s\S]*?-->|<!\[CDATA\[([\s\S]*?)\]\]>|<\?[\s\S]*?\?>|<!DOCTYPE[^>]*>|<\/\s*([^\s>]+)\s*>|<([^\s>\/!?]+)([^>]*?)(\/?)>|([^<]+)/g;
+  let m;
+
+  while ((m = re.exec(xml || "")) !== null) {
+    const top = stack[stack.length - 1];
+
+    if (m[1] !== undefined) {
+      top.children.push(m[1]);
+    } else if (m[2] !== undefined) {
+      // sluit-tag: pop tot het bijbehorende element (tolerant voor slordige XML)
+      const name = localName(m[2]);
+      for (let i = stack.length - 1; i > 0; i--) {
+        if (stack[i].name === name) {
+          stack.length = i;
+          break;
+        }
+      }
+    } else if (m[3] !== undefined) {
+      const el = { name: localName(m[3]), attrs: parseAttrs(m[4]), children: [] };
+      top.children.push(el);
+      if (!m[5]) stack.push(el);
+    } else if (m[6] !== undefined) {
+      top.children.push(decodeEntities(m[6]));
+    }
+  }
+
+  return root;
+}
+
+function isElement(node) {
+  return !!node && typeof node === "object";
+}
+
+function childElements(node, name) {
+  return (node?.children || []).filter(c => isElement(c) && (!name || c.name === name));
+}
+
+function firstChild(node, name) {
+  return (node?.children || []).find(c => isElement(c) && c.name === name) || null;
+}
+
+// Diepte-eerst zoeken naar het eerste element met deze naam
+function findFirst(node, name) {
+  for (const c of node?.children || []) {
+    if (!isElement(c)) continue;
+    if (c.name === name) return c;
+    const hit = findFirst(c, name);
+    if (hit) return hit;
+  }
+  return null;
+}
+
+function findAll(node, name, out = []) {
+  for (const c of node?.children || []) {
+    if (!isElement(c)) continue;
+    if (c.name === name) out.push(c);
+    findAll(c, name, out);
+  }
+  return out;
+}
+
+// Inline-elementen plakken direct aan de omringende tekst; overige elementen
+// krijgen een spatie eromheen zodat "<label>Artikel</label><nr>1</nr>" leesbaar blijft.
+const INLINE = new Set(["nadruk", "intref", "extref", "sup", "inf", "sub", "unl", "b", "i", "u", "a", "span", "em", "strong"]);
+
+function rawText(node) {
+  if (typeof node === "string") return node;
+  const inner = (node.children || []).map(rawText).join("");
+  return INLINE.has(node.name) ? inner : ` ${inner} `;
+}
+
+// Alle tekst onder een knoop, witruimte genormaliseerd
+function textOf(node) {
+  if (!node) return "";
+  return rawText(node).replace(/\s+/g, " ").trim();
+}
+
+module.exports = {
+  decodeEntities,
+  parseXml,
+  isElement,
+  childElements,
+  firstChild,
+  findFirst,
+  findAll,
+  textOf
+};
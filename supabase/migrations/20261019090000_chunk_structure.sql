@@ -0,0 +1,7 @@
+-- Structuurpad per chunk (BWB XML: boek/hoofdstuk/titel/afdeling/paragraaf/artikel)
+alter table chunks add column if not exists article_nr text;
+alter table chunks add column if not exists path text;
+alter table chunks add column if not exists path_label text;
+
+create index if not exists chunks_doc_article_idx on chunks (doc_id, article_nr);
+create index if not exists chunks_doc_path_idx on chunks (doc_id, path text_pattern_ops);
@@ -0,0 +1,80 @@
+-- Meerdere versies per regeling, elk met geldigheidsperiode.
+-- valid_from = datum inwerkingtreding van de toestand, valid_to = begin van de volgende versie (exclusief).
+
+create table if not exists document_versions (
+  doc_id text not null references documents(id) on delete cascade,
+  valid_from date not null,
+  valid_to date,
+  source_url text,
+  ingested_at timestamptz not null default now(),
+  primary key (doc_id, valid_from)
+);
+
+alter table chunks add column if not exists valid_from date not null default date '1900-01-01';
+alter table chunks add column if not exists valid_to date;
+
+-- (doc_id, label) is niet meer uniek: één rij per versie
+alter table chunks drop constraint if exists chunks_doc_id_label_key;
+drop index if exists chunks_doc_id_label_key;
+create unique index if not exists chunks_doc_label_version_key on chunks (doc_id, label, valid_from);
+create index if not exists chunks_validity_idx on chunks (valid_from, valid_to);
+
+-- Herbereken valid_to van versies en chunks van één regeling
+create or replace function refresh_chunk_validity(p_doc_id text)
+returns void
+language sql
+as $$
+  update document_versions v
+     set valid_to = n.next_from
+    from (
+      select doc_id, valid_from,
+             lead(valid_from) over (partition by doc_id order by valid_from) as next_from
+        from document_versions
+       where doc_id = p_doc_id
+    ) n
+   where v.doc_id = n.doc_id
+     and v.valid_from = n.valid_from
+     and v.valid_to is distinct from n.next_from;
+
+  update chunks c
+     set valid_to = v.valid_to
+    from document_versions v
+   where c.doc_id = p_doc_id
+     and v.doc_id = c.doc_id
+     and v.valid_from = c.valid_from
+     and c.valid_to is distinct from v.valid_to;
+$$;
+
+-- Vector search op peildatum (standaard vandaag)
+drop function if exists match_chunks(vector, int);
+
+create or replace function match_chunks(
+  query_embedding vector(1536),
+  match_count int default 15,
+  peildatum date default current_date
+)
+returns table (
+  id chunks.id%type,
+  doc_id text,
+  label text,
+  text text,
+  source_url text,
+  article_nr text,
+  path text,
+  path_label text,
+  valid_from date,
+  valid_to date,
+  similarity float
+)
+language sql stable
+as $$
+  select c.id, c.doc_id, c.label, c.text, c.source_url, c.article_nr, c.path, c.path_label,
+         c.valid_from, c.valid_to,
+         1 - (c.embedding <=> query_embedding) as similarity
+    from chunks c
+   where c.embedding is not null
+     and c.valid_from <= peildatum
+     and (c.valid_to is null or c.valid_to > peildatum)
+   order by c.embedding <=> query_embedding
+   limit match_count;
+$$;
@@ -0,0 +1,21 @@
+-- Duurzame ingest-jobs: één job per BWB-id (+ optionele peildatum), verwerkt in slices.
+create table if not exists ingest_jobs (
+  id bigserial primary key,
+  bwb_id text not null,
+  peildatum date,                         -- null = datum van uitvoeren
+  status text not null default 'queued'
+    check (status in ('queued', 'running', 'paused', 'done', 'failed')),
+  cursor int not null default 0,          -- offset van het volgende artikel
+  total int,                              -- aantal artikelen (na eerste slice bekend)
+  attempts int not null default 0,        -- mislukte pogingen sinds laatste succes
+  max_attempts int not null default 5,
+  last_error text,
+  run_after timestamptz,                  -- backoff na fout
+  locked_until timestamptz,               -- lease van de runner die de job nu verwerkt
+  created_at timestamptz not null default now(),
+  updated_at timestamptz not null default now(),
+  finished_at timestamptz
+);
+
+create index if not exists ingest_jobs_status_idx on ingest_jobs (status, run_after);
+create index if not exists ingest_jobs_bwb_idx on ingest_jobs (bwb_id);
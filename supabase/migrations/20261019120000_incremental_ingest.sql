@@ -0,0 +1,52 @@
+-- Incrementele re-ingest: per chunk een hash van de geëmbedde inhoud en het embeddingmodel.
+-- Ongewijzigde artikelen houden hun rij (en embedding) over versies heen; alleen nieuwe of
+-- gewijzigde artikelen krijgen een nieuwe rij. Vervallen artikelen krijgen removed_at.
+
+alter table chunks add column if not exists content_hash text;
+alter table chunks add column if not exists embedding_model text;
+alter table chunks add column if not exists removed_at date;
+
+-- Bestaande data: artikelen zonder rij in een latere versie zijn bij die versie vervallen
+update chunks c
+   set removed_at = v.valid_to
+  from document_versions v
+ where v.doc_id = c.doc_id
+   and v.valid_from = c.valid_from
+   and v.valid_to is not null
+   and c.removed_at is null
+   and not exists (
+     select 1
+       from chunks n
+      where n.doc_id = c.doc_id
+        and n.label = c.label
+        and n.valid_from > c.valid_from
+   );
+
+-- valid_to per artikel: begin van de volgende rij met hetzelfde label, of removed_at
+create or replace function refresh_chunk_validity(p_doc_id text)
+returns void
+language sql
+as $$
+  update document_versions v
+     set valid_to = n.next_from
+    from (
+      select doc_id, valid_from,
+             lead(valid_from) over (partition by doc_id order by valid_from) as next_from
+        from document_versions
+       where doc_id = p_doc_id
+    ) n
+   where v.doc_id = n.doc_id
+     and v.valid_from = n.valid_from
+     and v.valid_to is distinct from n.next_from;
+
+  update chunks c
+     set valid_to = n.valid_to
+    from (
+      select id,
+             least(lead(valid_from) over (partition by label order by valid_from), removed_at) as valid_to
+        from chunks
+       where doc_id = p_doc_id
+    ) n
+   where c.id = n.id
+     and c.valid_to is distinct from n.valid_to;
+$$;
@@ -0,0 +1,56 @@
+-- Full-text keyword search (Nederlands): stemming, stopwoorden en zinsdelen via websearch_to_tsquery.
+-- Label weegt zwaarder (A) dan de tekst (B).
+
+alter table chunks add column if not exists fts tsvector
+  generated always as (
+    setweight(to_tsvector('dutch', coalesce(label, '')), 'A') ||
+    setweight(to_tsvector('dutch', coalesce(text, '')), 'B')
+  ) stored;
+
+create index if not exists chunks_fts_idx on chunks using gin (fts);
+
+-- query in websearch-syntaxis: woorden (EN), "zinsdeel", -uitsluiten, or
+create or replace function keyword_chunks(
+  query text,
+  match_count int default 15,
+  peildatum date default current_date
+)
+returns table (
+  id chunks.id%type,
+  doc_id text,
+  label text,
+  text text,
+  source_url text,
+  article_nr text,
+  path text,
+  path_label text,
+  valid_from date,
+  valid_to date,
+  rank float,
+  headline text
+)
+language sql stable
+as $$
+  with q as (
+    select websearch_to_tsquery('dutch', query) as tsq
+  ),
+  hits as (
+    select c.id, c.doc_id, c.label, c.text, c.source_url, c.article_nr, c.path, c.path_label,
+           c.valid_from, c.valid_to,
+           ts_rank_cd(c.fts, q.tsq, 1) as rank   -- 1 = normaliseren op log(lengte)
+      from chunks c, q
+     where c.fts @@ q.tsq
+       and c.valid_from <= peildatum
+       and (c.valid_to is null or c.valid_to > peildatum)
+     order by rank desc, c.id
+     limit match_count
+  )
+  -- ts_headline alleen voor de uiteindelijke treffers (duur per rij)
+  select h.id, h.doc_id, h.label, h.text, h.source_url, h.article_nr, h.path, h.path_label,
+         h.valid_from, h.valid_to,
+         h.rank::float,
+         ts_headline('dutch', h.text, q.tsq,
+           'StartSel=<mark>, StopSel=</mark>, MaxWords=35, MinWords=15, MaxFragments=2, FragmentDelimiter=" … "')
+    from hits h, q
+   order by h.rank desc, h.id;
+$$;
@@ -0,0 +1,19 @@
+-- Wettenregister: titels, citeertitels, afkortingen en soort regeling uit de SRU-metadata (ingest-all),
+-- plus handmatige aliassen (/api/laws). Gebruikt voor labels, doorvragen en het herkennen van wetten.
+
+alter table documents add column if not exists official_title text;
+alter table documents add column if not exists citeertitel text;
+alter table documents add column if not exists short_title text;       -- afkorting voor labels, bijv. "Awb"
+alter table documents add column if not exists regulation_type text;   -- wet, AMvB, ministeriele-regeling, ...
+
+create table if not exists law_aliases (
+  alias_norm text not null,           -- kleine letters, enkele spaties
+  alias text not null,
+  doc_id text not null references documents(id) on delete cascade,
+  source text not null default 'manual' check (source in ('sru', 'manual')),
+  created_at timestamptz not null default now(),
+  primary key (alias_norm, doc_id)
+);
+
+create index if not exists law_aliases_doc_idx on law_aliases (doc_id);
+create index if not exists documents_short_title_idx on documents (lower(short_title));
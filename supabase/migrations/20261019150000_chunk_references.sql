@@ -0,0 +1,35 @@
+-- Verwijzingsgraaf: per chunk (artikelversie) de verwijzingen naar andere artikelen
+-- ("bedoeld in artikel 4:5", "artikel 2.1 van de Omgevingswet"), gevuld bij ingest.
+-- Het doel is een artikel (doc + nummer), geen chunk: welke versie geldt hangt af van de peildatum.
+
+do $$
+declare
+  id_type text;
+begin
+  -- Zelfde type als chunks.id (bigint of uuid, afhankelijk van het oorspronkelijke schema)
+  select format_type(a.atttypid, a.atttypmod)
+    into id_type
+    from pg_attribute a
+   where a.attrelid = 'chunks'::regclass
+     and a.attname = 'id';
+
+  execute format($f$
+    create table if not exists chunk_references (
+      id bigserial primary key,
+      source_chunk_id %s not null references chunks(id) on delete cascade,
+      source_doc_id text not null,
+      target_doc_id text,                 -- null = onbekende wet (zie target_law_text)
+      target_article text not null,
+      target_lid text,
+      target_onderdeel text,
+      target_law_text text,
+      kind text not null check (kind in ('internal', 'external')),
+      raw text,
+      created_at timestamptz not null default now()
+    )
+  $f$, id_type);
+end
+$$;
+
+create index if not exists chunk_references_source_idx on chunk_references (source_chunk_id);
+create index if not exists chunk_references_target_idx on chunk_references (target_doc_id, target_article);
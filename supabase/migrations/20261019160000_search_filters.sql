@@ -0,0 +1,99 @@
+-- Filters in de zoek-RPC's, zodat vector- en keyword-leg op dezelfde deelverzameling zoeken
+-- (niet achteraf filteren): doc_ids, regulation_types (documents.regulation_type) en
+-- path_prefix (structuurpad, bijv. '/Hoofdstuk8' = hoofdstuk 8 en alles daaronder).
+
+create index if not exists documents_regulation_type_idx on documents (regulation_type);
+
+drop function if exists match_chunks(vector, int, date);
+
+create or replace function match_chunks(
+  query_embedding vector(1536),
+  match_count int default 15,
+  peildatum date default current_date,
+  doc_ids text[] default null,
+  regulation_types text[] default null,
+  path_prefix text default null
+)
+returns table (
+  id chunks.id%type,
+  doc_id text,
+  label text,
+  text text,
+  source_url text,
+  article_nr text,
+  path text,
+  path_label text,
+  valid_from date,
+  valid_to date,
+  similarity float
+)
+language sql stable
+as $$
+  select c.id, c.doc_id, c.label, c.text, c.source_url, c.article_nr, c.path, c.path_label,
+         c.valid_from, c.valid_to,
+         1 - (c.embedding <=> query_embedding) as similarity
+    from chunks c
+   where c.embedding is not null
+     and c.valid_from <= peildatum
+     and (c.valid_to is null or c.valid_to > peildatum)
+     and (doc_ids is null or c.doc_id = any(doc_ids))
+     and (path_prefix is null or c.path = path_prefix or c.path like path_prefix || '/%')
+     and (regulation_types is null or exists (
+           select 1 from documents d where d.id = c.doc_id and d.regulation_type = any(regulation_types)))
+   order by c.embedding <=> query_embedding
+   limit match_count;
+$$;
+
+drop function if exists keyword_chunks(text, int, date);
+
+create or replace function keyword_chunks(
+  query text,
+  match_count int default 15,
+  peildatum date default current_date,
+  doc_ids text[] default null,
+  regulation_types text[] default null,
+  path_prefix text default null
+)
+returns table (
+  id chunks.id%type,
+  doc_id text,
+  label text,
+  text text,
+  source_url text,
+  article_nr text,
+  path text,
+  path_label text,
+  valid_from date,
+  valid_to date,
+  rank float,
+  headline text
+)
+language sql stable
+as $$
+  with q as (
+    select websearch_to_tsquery('dutch', query) as tsq
+  ),
+  hits as (
+    select c.id, c.doc_id, c.label, c.text, c.source_url, c.article_nr, c.path, c.path_label,
+           c.valid_from, c.valid_to,
+           ts_rank_cd(c.fts, q.tsq, 1) as rank   -- 1 = normaliseren op log(lengte)
+      from chunks c, q
+     where c.fts @@ q.tsq
+       and c.valid_from <= peildatum
+       and (c.valid_to is null or c.valid_to > peildatum)
+       and (doc_ids is null or c.doc_id = any(doc_ids))
+       and (path_prefix is null or c.path = path_prefix or c.path like path_prefix || '/%')
+       and (regulation_types is null or exists (
+             select 1 from documents d where d.id = c.doc_id and d.regulation_type = any(regulation_types)))
+     order by rank desc, c.id
+     limit match_count
+  )
+  -- ts_headline alleen voor de uiteindelijke treffers (duur per rij)
+  select h.id, h.doc_id, h.label, h.text, h.source_url, h.article_nr, h.path, h.path_label,
+         h.valid_from, h.valid_to,
+         h.rank::float,
+         ts_headline('dutch', h.text, q.tsq,
+           'StartSel=<mark>, StopSel=</mark>, MaxWords=35, MinWords=15, MaxFragments=2, FragmentDelimiter=" … "')
+    from hits h, q
+   order by h.rank desc, h.id;
+$$;
@@ -0,0 +1,30 @@
+-- Rechtspraak (data.rechtspraak.nl): uitspraken per ECLI met metadata en inhoudsindicatie, en de
+-- artikelen waarnaar ze verwijzen. Een koppeling wijst naar een artikel (doc + nummer), niet naar
+-- een chunk, net als chunk_references. source: metadata (wetsverwijzing van de rechtspraak) of
+-- tekst (uit de inhoudsindicatie gehaald).
+
+create table if not exists case_law (
+  ecli text primary key,
+  title text,
+  court text,
+  decision_date date,
+  publication_date date,
+  case_numbers text[] not null default '{}',
+  subjects text[] not null default '{}',
+  summary text,
+  source_url text,
+  updated_at timestamptz not null default now()
+);
+
+create index if not exists case_law_decision_date_idx on case_law (decision_date desc);
+
+create table if not exists case_law_articles (
+  ecli text not null references case_law(ecli) on delete cascade,
+  doc_id text not null,
+  article text not null,
+  raw text,
+  source text not null check (source in ('metadata', 'tekst')),
+  primary key (ecli, doc_id, article)
+);
+
+create index if not exists case_law_articles_target_idx on case_law_articles (doc_id, article);
@@ -0,0 +1,28 @@
+-- Beheer-API: API-sleutels met een rol (alleen de sha256-hash van het token wordt bewaard) en een
+-- auditlog van ingest, verwijderen en sleutelbeheer. Zie lib/auth.js.
+
+create table if not exists api_keys (
+  id bigserial primary key,
+  name text not null,
+  role text not null check (role in ('viewer', 'ingester', 'admin')),
+  key_hash text not null unique,
+  key_prefix text not null,           -- eerste tekens van het token, om een sleutel te herkennen
+  created_by text,
+  created_at timestamptz not null default now(),
+  last_used_at timestamptz,
+  revoked_at timestamptz
+);
+
+create table if not exists audit_log (
+  id bigserial primary key,
+  actor text not null,                -- naam van de sleutel (of ADMIN_TOKEN / cron)
+  role text,
+  action text not null,               -- bijv. ingest.bwb, document.delete, keys.create
+  target text,                        -- doc_id, ECLI, job-id, …
+  details jsonb not null default '{}',
+  created_at timestamptz not null default now()
+);
+
+create index if not exists audit_log_created_idx on audit_log (created_at desc);
+create index if not exists audit_log_target_idx on audit_log (target);
+create index if not exists audit_log_actor_idx on audit_log (actor, created_at desc);
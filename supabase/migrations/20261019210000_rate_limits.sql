@@ -0,0 +1,62 @@
+-- Rate limits en dagbudgetten (RATE_LIMIT_BACKEND=store): tellers per venster en verbruik per client
+-- per dag, gedeeld tussen alle instanties. Plus eigen limieten per API-sleutel. Zie lib/rate-limit.js.
+
+create table if not exists rate_limits (
+  key text not null,                  -- <endpoint>:<client>, bijv. chat:ip:203.0.113.7
+  window_start timestamptz not null,
+  count integer not null default 0,
+  expires_at timestamptz not null,
+  primary key (key, window_start)
+);
+
+create index if not exists rate_limits_expires_idx on rate_limits (expires_at);
+
+create table if not exists usage_daily (
+  client text not null,               -- ip:<adres> of key:<id>
+  day date not null,                  -- UTC
+  requests integer not null default 0,
+  tokens bigint not null default 0,
+  cost numeric(12, 6) not null default 0,
+  updated_at timestamptz not null default now(),
+  primary key (client, day)
+);
+
+create index if not exists usage_daily_day_idx on usage_daily (day, tokens desc);
+
+-- { "chat": "120/60", "search": "1000/60", "daily_tokens": 2000000, "daily_cost": 5 }; null = standaard
+alter table api_keys add column if not exists limits jsonb;
+
+-- Teller ophogen (atomair via de primary key); ruimt af en toe verlopen vensters op
+create or replace function rate_limit_hit(p_key text, p_window_start timestamptz, p_window_seconds integer)
+returns integer
+language plpgsql
+as $$
+declare
+  n integer;
+begin
+  insert into rate_limits (key, window_start, count, expires_at)
+  values (p_key, p_window_start, 1, p_window_start + make_interval(secs => p_window_seconds))
+  on conflict (key, window_start) do update set count = rate_limits.count + 1
+  returning count into n;
+
+  if random() < 0.01 then
+    delete from rate_limits where expires_at < now();
+  end if;
+
+  return n;
+end;
+$$;
+
+create or replace function usage_add(p_client text, p_day date, p_requests integer, p_tokens bigint, p_cost numeric)
+returns usage_daily
+language sql
+as $$
+  insert into usage_daily (client, day, requests, tokens, cost)
+  values (p_client, p_day, p_requests, p_tokens, p_cost)
+  on conflict (client, day) do update
+     set requests = usage_daily.requests + excluded.requests,
+         tokens = usage_daily.tokens + excluded.tokens,
+         cost = usage_daily.cost + excluded.cost,
+         updated_at = now()
+  returning *;
+$$;
@@ -0,0 +1,48 @@
+-- Semantische antwoordcache voor chat: antwoord plus bronnen per herschreven zoekquery, met de
+-- geciteerde chunks (id en content_hash) en documenten voor invalidatie. Zie lib/answer-cache.js.
+
+create table if not exists answer_cache (
+  id bigserial primary key,
+  query text not null,                -- herschreven zoekquery
+  embedding vector(1536) not null,
+  peildatum date,                     -- null = actueel (vraag zonder of met peildatum vandaag)
+  scope text not null default '',     -- overheden, gesorteerd en komma-gescheiden; '' = landelijk
+  model text not null,                -- chatmodel dat het antwoord gaf
+  payload jsonb not null,             -- { answer, sources, verification }
+  doc_ids text[] not null default '{}',  -- geciteerde doc_ids en ECLI's
+  chunks jsonb not null default '[]', -- [{ id, hash }] van de geciteerde chunks
+  created_at timestamptz not null default now(),
+  expires_at timestamptz not null
+);
+
+create index if not exists answer_cache_doc_ids_idx on answer_cache using gin (doc_ids);
+create index if not exists answer_cache_expires_idx on answer_cache (expires_at);
+
+create or replace function match_answer_cache(
+  query_embedding vector(1536),
+  p_peildatum date,
+  p_scope text,
+  p_model text,
+  match_threshold float default 0.95
+)
+returns table (
+  id bigint,
+  query text,
+  payload jsonb,
+  chunks jsonb,
+  created_at timestamptz,
+  similarity float
+)
+language sql stable
+as $$
+  select a.id, a.query, a.payload, a.chunks, a.created_at,
+         1 - (a.embedding <=> query_embedding) as similarity
+    from answer_cache a
+   where a.expires_at > now()
+     and a.scope = p_scope
+     and a.model = p_model
+     and a.peildatum is not distinct from p_peildatum
+     and 1 - (a.embedding <=> query_embedding) >= match_threshold
+   order by a.embedding <=> query_embedding
+   limit 1;
+$$;
@@ -0,0 +1,42 @@
+-- Gesprekken aan de serverkant: chat haalt de geschiedenis hier op in plaats van uit het verzoek.
+-- Per beurt de herschreven zoekquery, opgehaalde chunks en geciteerde bronnen. Zie lib/conversations.js.
+
+create table if not exists conversations (
+  id uuid primary key,
+  owner text,                         -- key:<id> van de API-sleutel; null = anoniem (toegang via de uuid)
+  title text not null,
+  created_at timestamptz not null default now(),
+  updated_at timestamptz not null default now()
+);
+
+create index if not exists conversations_owner_idx on conversations (owner, updated_at desc);
+
+do $$
+declare
+  id_type text;
+begin
+  -- chunk_ids als array van het type van chunks.id (bigint of uuid), zoals in chunk_references
+  select format_type(a.atttypid, a.atttypmod)
+    into id_type
+    from pg_attribute a
+   where a.attrelid = 'chunks'::regclass
+     and a.attname = 'id';
+
+  execute format($f$
+    create table if not exists conversation_turns (
+      id bigserial primary key,
+      conversation_id uuid not null references conversations (id) on delete cascade,
+      question text not null,
+      rewritten_query text,               -- null bij een gekozen verduidelijkingsoptie
+      chunk_ids %s[] not null default '{}',  -- opgehaalde chunks (zoekresultaten en verwezen artikelen)
+      sources jsonb not null default '[]',   -- geciteerde bronnen zoals in het chatantwoord
+      answer text not null,
+      peildatum date,
+      cache_hit boolean not null default false,
+      created_at timestamptz not null default now()
+    )
+  $f$, id_type);
+end
+$$;
+
+create index if not exists conversation_turns_conversation_idx on conversation_turns (conversation_id, id);
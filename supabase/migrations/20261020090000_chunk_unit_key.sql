@@ -0,0 +1,51 @@
+-- Incrementele ingest op de plek in de regeling i.p.v. het label: unit_key is het label zonder
+-- korte naam ("Artikel 1:3", "Artikel 1 (Bijlage I)"). Een andere korte naam geeft dan alleen een
+-- nieuw label voor de bestaande rij, geen nieuwe versie. Zie lib/ingest/slice.js.
+
+alter table chunks add column if not exists unit_key text;
+
+-- Bestaande rijen: alles na "<korte naam> — "
+update chunks
+   set unit_key = case when position(' — ' in label) > 0
+                       then substr(label, position(' — ' in label) + 3)
+                       else label end
+ where unit_key is null;
+
+create index if not exists chunks_doc_unit_key_idx on chunks (doc_id, unit_key, valid_from);
+
+-- content_hash zonder korte naam: sha256 van "<path_label>\n<tekst>" (of alleen de tekst), zoals
+-- hashInput in lib/ingest/slice.js. Anders telt de eerste ingest na deze migratie alles als gewijzigd.
+update chunks
+   set content_hash = encode(sha256(convert_to(
+         case when coalesce(path_label, '') <> '' then path_label || E'\n' || text else text end,
+         'UTF8')), 'hex')
+ where content_hash is not null;
+
+-- valid_to per unit_key: begin van de volgende rij op dezelfde plek, of removed_at
+create or replace function refresh_chunk_validity(p_doc_id text)
+returns void
+language sql
+as $$
+  update document_versions v
+     set valid_to = n.next_from
+    from (
+      select doc_id, valid_from,
+             lead(valid_from) over (partition by doc_id order by valid_from) as next_from
+        from document_versions
+       where doc_id = p_doc_id
+    ) n
+   where v.doc_id = n.doc_id
+     and v.valid_from = n.valid_from
+     and v.valid_to is distinct from n.next_from;
+
+  update chunks c
+     set valid_to = n.valid_to
+    from (
+      select id,
+             least(lead(valid_from) over (partition by coalesce(unit_key, label) order by valid_from), removed_at) as valid_to
+        from chunks
+       where doc_id = p_doc_id
+    ) n
+   where c.id = n.id
+     and c.valid_to is distinct from n.valid_to;
+$$;
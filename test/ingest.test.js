@@ -0,0 +1,58 @@
+// beleidsbank-api/test/ingest.test.js
+// Incrementele ingest (lib/ingest/slice.js) tegen de memory-store en de fake LLM, zonder netwerk.
+// Draaien: node --test test/
+
+process.env.STORE_BACKEND = "memory";
+process.env.LLM_PROVIDER = "fake";
+
+const test = require("node:test");
+const assert = require("node:assert/strict");
+
+const XML = `<?xml version="1.0" encoding="UTF-8"?>
+<toestand bwb-id="BWBR0005537" inwerkingtreding="2024-01-01"><wetgeving><citeertitel>Algemene wet bestuursrecht</citeertitel>
+<wet-besluit><wettekst><hoofdstuk><kop><label>Hoofdstuk</label><nr>1</nr><titel>Inleidende bepalingen</titel></kop>
+<artikel><kop><label>Artikel</label><nr>1:1</nr></kop><lid><lidnr>1</lidnr><al>Onder bestuursorgaan wordt verstaan: een orgaan van een rechtspersoon die krachtens publiekrecht is ingesteld.</al></lid></artikel>
+<artikel><kop><label>Artikel</label><nr>1:2</nr></kop><lid><lidnr>1</lidnr><al>Onder belanghebbende wordt verstaan: degene wiens belang rechtstreeks bij een besluit is betrokken.</al></lid></artikel>
+<artikel><kop><label>Artikel</label><nr>1:3</nr></kop><lid><lidnr>1</lidnr><al>Onder besluit wordt verstaan: een schriftelijke beslissing van een bestuursorgaan.</al></lid></artikel>
+</hoofdstuk></wettekst>
+<bijlage><kop><label>Bijlage</label><nr>1</nr><titel>Bevoegdheidsregeling</titel></kop><al>Lijst van regelingen.</al></bijlage></wet-besluit></wetgeving></toestand>`;
+
+global.fetch = async () => ({ ok: true, status: 200, text: async () => XML });
+
+const { ingestBwbSlice } = require("../lib/ingest/bwb");
+const { getStore } = require("../lib/store");
+
+const ID = "BWBR0005537";
+// Elke keer een andere peildatum (zelfde versie): anders komt de geparste XML uit de cache van loadBwb
+let day = 0;
+const ingest = () => ingestBwbSlice({ id: ID, peildatum: `2026-01-0${++day}`, offset: 0, limit: 50 });
+
+test("opnieuw ingesten van een ongewijzigde versie laat alle artikelen staan", async () => {
+  const first = await ingest();
+  assert.equal(first.added, first.total_articles_found);
+
+  const again = await ingest();
+  assert.equal(again.unchanged, again.total_articles_found);
+  assert.equal(again.added, 0);
+  assert.equal(again.removed, 0);
+  assert.equal(again.relabeled, 0);
+
+  const rows = await getStore().backend.select("chunks", { filter: { doc_id: ID } });
+  assert.equal(rows.length, first.total_articles_found);
+  assert.ok(rows.every(r => r.label.startsWith("Awb — ")));
+});
+
+test("een andere korte naam geeft alleen nieuwe labels, geen nieuwe versie", async () => {
+  const store = getStore();
+  await store.backend.update("documents", { id: ID }, { short_title: "AWB" });
+
+  const result = await ingest();
+  assert.equal(result.unchanged, result.total_articles_found);
+  assert.equal(result.relabeled, result.total_articles_found);
+  assert.equal(result.added, 0);
+  assert.equal(result.removed, 0);
+
+  const rows = await store.backend.select("chunks", { filter: { doc_id: ID } });
+  assert.equal(rows.length, result.total_articles_found);
+  assert.ok(rows.every(r => r.label.startsWith("AWB — ") && r.valid_to == null));
+});